@@ -1,507 +1,1318 @@
 let courses = [];
-let currentTimezone = 'America/Chicago';
+let currentTimezone = TimeZone.detectTimeZone(); // Overridden by the time zone picker
 let isGoogleAuthenticated = false;
 let currentBatchId = null; // Track the current batch of added events
+let termCalendar = null; // Holidays and breaks to skip (see /shared/term-calendar.js)
+let institutionProfile = InstitutionProfile.DEFAULT_PROFILE; // Selected school (see /institutions/index.json)
+let institutions = []; // Institution registry entries
+let buildingDirectory = null; // The school's buildings, to turn "RIDGLEY, Room 00016" into an address (see /shared/building-directory.js)
+let travelTimes = null; // The school's walking times between buildings (see /shared/travel-time.js)
+let travelBuffers = false; // Add "travel" events before classes in another building to Google Calendar
+let blockConflicts = false; // Add nothing to Google Calendar while courses overlap (see ScheduleModel.findTimeConflicts)
+let sources = []; // Uploaded sheets {file, sheet, rows, columnMapping, forcedRows}, re-parsed when the institution changes
+let unscheduledPolicy = 'hold'; // skip, allDay or hold (see ScheduleModel.UNSCHEDULED_POLICIES)
+let sourceAdapter = ''; // Source system id (see ScheduleModel.getAdapters), or '' to detect it per sheet
+let exportLocale = ''; // Language of the day names (see ScheduleModel.LOCALES), or '' to detect it per sheet
+let adaptersLoaded = Promise.resolve(); // Settles once the adapters in /shared/adapters are registered
+let excludedComponents = new Set(); // Components (e.g. "Discussion", or '' for none) left out of exports
+let examSchedule = null; // Uploaded final exam schedule {name, exams}, matched to courses on every parse
+let examReminders = ExamSchedule.DEFAULT_EXAM_REMINDERS; // Reminder preset for exam events (see ExamSchedule.EXAM_REMINDERS)
+let statusPolicies = Object.assign({}, ScheduleModel.DEFAULT_STATUS_POLICIES); // Waitlisted/pending handling (see ScheduleModel.getStatusPolicy)
+let eventTemplates = Object.assign({}, EventTemplate.DEFAULT_TEMPLATES); // Event title and description (see /shared/event-template.js)
+let courseEditor = null; // Course being edited in the preview {index, course}; index is courses.length for a new one
+let previewView = 'table'; // Preview layout: 'table' or 'grid' (weekly timetable, see /shared/weekly-grid.js)
 
 // File input handling
 document.getElementById('fileInput').addEventListener('change', function(e) {
-    const file = e.target.files[0];
-    if (file) {
+    const files = Array.from(e.target.files);
+    if (files.length > 0) {
+        hideMessages();
+        parseExcelFiles(files);
+    }
+});
+
+// Institution selection
+document.getElementById('institutionSelect').addEventListener('change', function() {
+    selectInstitution(this.value);
+});
+
+// Source system selection
+document.getElementById('sourceSelect').addEventListener('change', function() {
+    sourceAdapter = this.value;
+    if (sources.length > 0) {
         hideMessages();
-        parseExcelFile(file);
+        parseSources();
+    }
+});
+
+// Export language selection
+document.getElementById('localeSelect').addEventListener('change', function() {
+    exportLocale = this.value;
+    try {
+        localStorage.setItem('locale', exportLocale);
+    } catch (e) {
+        console.warn('Could not save export language to localStorage:', e);
+    }
+    if (sources.length > 0) {
+        hideMessages();
+        parseSources();
+    }
+});
+
+// Time zone selection
+document.getElementById('timeZoneSelect').addEventListener('change', function() {
+    currentTimezone = this.value;
+    // Remember an explicit choice for future visits
+    try {
+        localStorage.setItem('timeZone', currentTimezone);
+    } catch (e) {
+        console.warn('Could not save time zone to localStorage:', e);
+    }
+});
+
+// Unscheduled (online/TBA) course handling
+document.getElementById('unscheduledSelect').addEventListener('change', function() {
+    unscheduledPolicy = this.value;
+    try {
+        localStorage.setItem('unscheduledPolicy', unscheduledPolicy);
+    } catch (e) {
+        console.warn('Could not save unscheduled policy to localStorage:', e);
+    }
+    if (courses.length > 0) {
+        displayPreview(courses);
+    }
+});
+
+// Final exam schedule upload (CSV or spreadsheet)
+document.getElementById('examScheduleInput').addEventListener('change', async function(e) {
+    const file = e.target.files[0];
+    this.value = '';
+    if (!file) return;
+    
+    try {
+        const bytes = await readFileAsArrayBuffer(file);
+        const { sheets } = ScheduleFile.readScheduleFile(XLSX, bytes, file.name);
+        const exams = [].concat(...sheets.map(sheet => ExamSchedule.parseExamSchedule(sheet.rows).exams));
+        if (exams.length === 0) {
+            showError('No final exams found in that file. It needs a course column and the exam date and time.');
+            return;
+        }
+        setExamSchedule({ name: file.name, exams });
+    } catch (error) {
+        showError('Could not read exam schedule: ' + error.message);
+    }
+});
+
+document.getElementById('travelBuffersCheckbox').addEventListener('change', function() {
+    travelBuffers = this.checked;
+    try {
+        localStorage.setItem('travelBuffers', String(travelBuffers));
+    } catch (e) {
+        console.warn('Could not save travel buffers to localStorage:', e);
+    }
+});
+
+document.getElementById('blockConflictsCheckbox').addEventListener('change', function() {
+    blockConflicts = this.checked;
+    try {
+        localStorage.setItem('blockConflicts', String(blockConflicts));
+    } catch (e) {
+        console.warn('Could not save conflict blocking to localStorage:', e);
+    }
+    if (courses.length > 0) {
+        displayPreview(courses);
+    }
+});
+
+// Event title and description templates, previewed as you type and saved once they're valid
+['titleTemplateInput', 'descriptionTemplateInput'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateEventTemplates);
+});
+
+document.getElementById('resetTemplatesBtn').addEventListener('click', function() {
+    document.getElementById('titleTemplateInput').value = EventTemplate.DEFAULT_TEMPLATES.title;
+    document.getElementById('descriptionTemplateInput').value = EventTemplate.DEFAULT_TEMPLATES.description;
+    updateEventTemplates();
+});
+
+document.getElementById('examReminderSelect').addEventListener('change', function() {
+    examReminders = this.value;
+    try {
+        localStorage.setItem('examReminders', examReminders);
+    } catch (e) {
+        console.warn('Could not save exam reminders to localStorage:', e);
+    }
+});
+
+// Waitlisted and pending course handling, one select per registration state
+document.querySelectorAll('.status-policy-select').forEach(select => {
+    select.addEventListener('change', function() {
+        statusPolicies[this.getAttribute('data-state')] = this.value;
+        try {
+            localStorage.setItem('statusPolicies', JSON.stringify(statusPolicies));
+        } catch (e) {
+            console.warn('Could not save registration status policies to localStorage:', e);
+        }
+        if (courses.length > 0) {
+            displayPreview(courses);
+        }
+    });
+});
+
+// Academic calendar selection
+document.getElementById('termCalendarSelect').addEventListener('change', async function() {
+    if (this.value === 'upload') {
+        document.getElementById('termCalendarInput').click();
+        return;
+    }
+    
+    if (!this.value) {
+        setTermCalendar(null);
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/institutions/${this.value}`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        setTermCalendar(TermCalendar.normalizeTermCalendar(await response.json()));
+    } catch (error) {
+        showError('Could not load academic calendar: ' + error.message);
+        this.value = '';
+        setTermCalendar(null);
     }
 });
 
+document.getElementById('termCalendarInput').addEventListener('change', function(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        const calendar = TermCalendar.parseAcademicCalendarICS(event.target.result);
+        if (calendar.holidays.length === 0 && calendar.breaks.length === 0) {
+            showError('No all-day holidays or breaks found in that calendar file.');
+            document.getElementById('termCalendarSelect').value = '';
+            setTermCalendar(null);
+            return;
+        }
+        calendar.name = calendar.name || file.name;
+        setTermCalendar(calendar);
+    };
+    reader.readAsText(file);
+    this.value = '';
+});
+
 // Download button handling
 document.getElementById('downloadBtn').addEventListener('click', function() {
+    const coursesToAdd = getCoursesToAdd();
+    if (coursesToAdd.length === 0) {
+        showError('Tick at least one course or component to add');
+        return;
+    }
     // Track ICS download
     if (typeof gtag !== 'undefined') {
         gtag('event', 'ics_download', {
             'event_category': 'Download',
             'event_label': 'ICS File',
-            'value': courses.length
+            'value': coursesToAdd.length
         });
     }
-    downloadICS(courses);
+    downloadICS(coursesToAdd);
 });
 
-function parseExcelFile(file) {
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = new Uint8Array(e.target.result);
-            const workbook = XLSX.read(data, {type: 'array'});
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            
-            // Try multiple parsing methods
-            let jsonData = [];
-            
-            // Method 1: Standard parsing
-            jsonData = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: '', raw: false});
-            
-            // Method 2: If we get empty or single row, try different options
-            if (jsonData.length < 2) {
-                jsonData = XLSX.utils.sheet_to_json(worksheet, {header: 1, defval: '', raw: true});
-            }
-            
-            // Method 3: Try parsing as CSV
-            if (jsonData.length < 2) {
-                const csv = XLSX.utils.sheet_to_csv(worksheet);
-                jsonData = csv.split('\n').map(row => row.split(','));
-            }
-            
-            // Method 4: Try parsing with expanded range
-            if (jsonData.length < 2) {
-                // Find the actual range by looking at all cells
-                let maxRow = 0;
-                let maxCol = 0;
-                
-                Object.keys(worksheet).forEach(key => {
-                    if (key.startsWith('!')) return; // Skip metadata
-                    const cellRef = XLSX.utils.decode_cell(key);
-                    maxRow = Math.max(maxRow, cellRef.r);
-                    maxCol = Math.max(maxCol, cellRef.c);
-                });
-                
-                // Create expanded range
-                const range = {s: {r: 0, c: 0}, e: {r: maxRow, c: maxCol}};
-                
-                jsonData = [];
-                for (let R = range.s.r; R <= range.e.r; ++R) {
-                    const row = [];
-                    for (let C = range.s.c; C <= range.e.c; ++C) {
-                        const cellAddress = XLSX.utils.encode_cell({r: R, c: C});
-                        const cell = worksheet[cellAddress];
-                        row.push(cell ? cell.v : '');
-                    }
-                    jsonData.push(row);
-                }
-            }
-            
-            courses = parseWorkdayData(jsonData);
-            
-            if (courses.length === 0) {
-                showError('No courses found. The Excel file might be in an unsupported format. Please try saving it as a different Excel format (.xlsx) or check the browser console for debugging info.');
-                return;
-            }
-            
-            displayPreview(courses);
-            document.getElementById('downloadBtn').disabled = false;
-            
-            // Track successful file upload and parsing
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'file_upload_success', {
-                    'event_category': 'File Upload',
-                    'event_label': 'Excel File',
-                    'value': courses.length
-                });
-            }
-            
-            // Save courses to sessionStorage so they persist across page reloads (e.g., OAuth redirect)
-            try {
-                const coursesJson = JSON.stringify(courses);
-                // Check if data is too large (sessionStorage typically has 5-10MB limit)
-                if (coursesJson.length > 5 * 1024 * 1024) { // 5MB limit
-                    console.warn('Courses data too large for sessionStorage, some data may be lost on page reload');
-                }
-                sessionStorage.setItem('courses', coursesJson);
-            } catch (e) {
-                console.warn('Could not save courses to sessionStorage:', e);
-                if (e.name === 'QuotaExceededError') {
-                    showError('Warning: Course data is too large to save. If you refresh the page, you may need to upload your file again.');
-                }
-            }
-            
-            // Enable Google Calendar button if authenticated
-            if (isGoogleAuthenticated) {
-                document.getElementById('addToGoogleBtn').disabled = false;
-            }
-            
-            showSuccess(`Successfully parsed ${courses.length} courses!`);
-            
-        } catch (error) {
-            console.error('Error parsing Excel:', error);
-            showError('Error reading Excel file: ' + error.message);
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// Same limit as POST /api/parse
+const MAX_UPLOAD_FILES = 10;
+
+/**
+ * Read one or more exports and add every sheet to the loaded sources
+ * Uploading again adds to the list instead of replacing it; a file with the
+ * same name as an earlier upload replaces that upload.
+ */
+async function parseExcelFiles(files) {
+    const loaded = new Set(sources.map(source => source.file).concat(files.map(file => file.name)));
+    if (loaded.size > MAX_UPLOAD_FILES) {
+        showError(`Upload at most ${MAX_UPLOAD_FILES} files`);
+        return;
+    }
+    try {
+        await adaptersLoaded;
+        for (const file of files) {
+            const data = new Uint8Array(await readFileAsArrayBuffer(file));
             
-            // Track file parse errors
-            if (typeof gtag !== 'undefined') {
-                gtag('event', 'file_parse_error', {
-                    'event_category': 'File Upload',
-                    'event_label': 'Parse Error',
-                    'value': 0
-                });
-            }
+            // Keep the rows so a different institution profile can re-parse them
+            const sheets = ScheduleFile.readScheduleFile(XLSX, data, file.name).sheets.map(sheet => ({
+                file: file.name,
+                sheet: sheet.name,
+                rows: sheet.rows,
+                columnMapping: null,
+                forcedRows: new Set() // Sheet rows the user chose to import even though they'd be skipped
+            }));
+            sources = sources.filter(source => source.file !== file.name).concat(sheets);
         }
-    };
-    reader.readAsArrayBuffer(file);
+        displayLoadedFiles();
+        
+        if (!parseSources()) {
+            return;
+        }
+        
+        // Track successful file upload and parsing
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'file_upload_success', {
+                'event_category': 'File Upload',
+                'event_label': 'Excel File',
+                'value': courses.length
+            });
+        }
+        
+    } catch (error) {
+        console.error('Error parsing file:', error);
+        showError('Error reading file: ' + error.message);
+        
+        // Track file parse errors
+        if (typeof gtag !== 'undefined') {
+            gtag('event', 'file_parse_error', {
+                'event_category': 'File Upload',
+                'event_label': 'Parse Error',
+                'value': 0
+            });
+        }
+    }
 }
 
-function parseWorkdayData(data) {
-    if (data.length < 2) {
-        return [];
+// Sheet names only need the file name when several files are loaded
+function getSourceName(source) {
+    const fileCount = new Set(sources.map(entry => entry.file)).size;
+    return fileCount > 1 ? `${source.file} - ${source.sheet}` : source.sheet;
+}
+
+/**
+ * Parse every loaded sheet with the selected institution profile and show the merged result
+ * @returns {boolean} Whether any courses were found
+ */
+function parseSources() {
+    const savedMappings = loadColumnMappings();
+    const sheets = sources.map(source => ({
+        name: getSourceName(source),
+        rows: source.rows,
+        // A layout the user mapped before is recognized by its header row
+        columnMapping: source.columnMapping || ScheduleModel.findSavedColumnMapping(source.rows, savedMappings),
+        forceInclude: Array.from(source.forcedRows)
+    }));
+    const result = ScheduleModel.parseSheets(sheets, { profile: institutionProfile, adapter: sourceAdapter || null, locale: exportLocale || null });
+    courses = examSchedule ? ExamSchedule.applyExamSchedule(result.courses, examSchedule.exams).courses : result.courses;
+    courseEditor = null;
+    displayDiagnostics(result.sheets);
+    
+    // Let the user confirm columns the parser had to guess, on a sheet with courses
+    // or on the first sheet of a file that produced none
+    const filesWithCourses = new Set(sources
+        .filter((source, index) => result.sheets[index].courseCount > 0)
+        .map(source => source.file));
+    const mapIndex = result.sheets.findIndex((sheet, index) => {
+        const source = sources[index];
+        if (!filesWithCourses.has(source.file)) {
+            return sources.findIndex(entry => entry.file === source.file && entry.rows.length > 0) === index;
+        }
+        return sheet.courseCount > 0 && !sheets[index].columnMapping && sheet.columns.ambiguous.length > 0;
+    });
+    const needsMapping = mapIndex !== -1;
+    if (needsMapping) {
+        showColumnMapper(sources[mapIndex], result.sheets[mapIndex].columns, result.sheets[mapIndex].adapter);
+    } else {
+        hideColumnMapper();
+    }
+    
+    if (courses.length === 0) {
+        document.getElementById('preview').innerHTML = '';
+        document.getElementById('downloadBtn').disabled = true;
+        showError(needsMapping
+            ? 'No courses found. Tell us which columns hold your courses and meeting patterns below.'
+            : 'No courses found. The file might be in an unsupported format. Please try saving it as .xlsx or .csv, or check the browser console for debugging info.');
+        return false;
     }
     
-    // Find header row (look for common column names)
-    let headerRow = 0;
+    displayPreview(courses);
+    document.getElementById('downloadBtn').disabled = false;
     
-    // Try to find the right row with headers - look for the row with both "Meeting Patterns" and "Instructor"
-    for (let i = 0; i < Math.min(10, data.length); i++) {
-        const row = data[i] || [];
-        
-        // Look for a row that has both "Meeting Patterns" and "Instructor" columns
-        const hasMeetingPatterns = row.some(cell => 
-            cell && typeof cell === 'string' && 
-            cell.toLowerCase().includes('meeting patterns')
-        );
-        const hasInstructor = row.some(cell => 
-            cell && typeof cell === 'string' && 
-            cell.toLowerCase().includes('instructor')
-        );
-        const hasCourseListing = row.some(cell => 
-            cell && typeof cell === 'string' && 
-            cell.toLowerCase().includes('course listing')
-        );
-        
-        if (hasMeetingPatterns && hasInstructor && hasCourseListing) {
-            headerRow = i;
-            break;
-        }
+    saveCourses();
+    
+    // Enable Google Calendar button if authenticated
+    if (isGoogleAuthenticated) {
+        document.getElementById('addToGoogleBtn').disabled = false;
     }
     
-    const headers = data[headerRow] || [];
+    const includedSheets = result.sheets.filter(sheet => sheet.included && sheet.courseCount > 0);
+    const duplicateCount = includedSheets.reduce((total, sheet) => total + sheet.courseCount, 0) - courses.length;
+    let message = `Successfully parsed ${courses.length} courses`;
+    if (includedSheets.length > 1) {
+        message += ` from ${includedSheets.length} sheets`;
+    }
+    if (duplicateCount > 0) {
+        message += ` (${duplicateCount} duplicate section${duplicateCount === 1 ? '' : 's'} collapsed)`;
+    }
+    // Say so when the day names were read in another language than English
+    const locales = Array.from(new Set(includedSheets.map(sheet => sheet.locale)))
+        .filter(locale => locale !== ScheduleModel.DEFAULT_LOCALE);
+    if (locales.length > 0) {
+        message += `; days read in ${locales.map(locale => ScheduleModel.LOCALES[locale].name).join(', ')}`;
+    }
+    showSuccess(message + '!');
     
-    const courses = [];
+    return true;
+}
+
+/**
+ * List the loaded files, each with a button to remove it from the merged schedule
+ */
+function displayLoadedFiles() {
+    const container = document.getElementById('loadedFiles');
+    const files = Array.from(new Set(sources.map(source => source.file)));
+    if (files.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
     
-    // Map Workday-specific column names
-    const columnMap = {
-        courseListing: findColumn(headers, ['course listing', 'course', 'subject', 'class', 'name', 'title']),
-        meetingPatterns: findColumn(headers, ['meeting patterns', 'enrolled sections meeting patterns', 'schedule', 'days', 'time']),
-        instructor: findColumn(headers, ['instructor', 'professor', 'teacher', 'staff']),
-        startDate: findColumn(headers, ['start date', 'start']),
-        endDate: findColumn(headers, ['end date', 'end']),
-        registrationStatus: findColumn(headers, ['registration status', 'status', 'enrollment status'])
-    };
+    container.innerHTML = `
+        <span>Loaded:</span>
+        ${files.map((file, index) => `
+            <span class="loaded-file">
+                ${escapeHTML(file)}
+                <button type="button" class="loaded-file-remove" data-file-index="${index}" aria-label="Remove ${escapeHTML(file)}">&times;</button>
+            </span>`).join('')}
+    `;
+    container.classList.remove('hidden');
     
-    // Parse each row
-    for (let i = headerRow + 1; i < data.length; i++) {
-        const row = data[i] || [];
-        if (row.every(cell => !cell)) continue; // Skip empty rows
-        
-        
-        // Extract course name from Course Listing column
-        const courseListing = getCellValue(row, columnMap.courseListing) || '';
-        
-        // Skip rows with empty or invalid course listings
-        if (!courseListing || courseListing.trim() === '' || courseListing === 'Course Listing' || courseListing === '13') {
-            continue;
+    container.querySelectorAll('.loaded-file-remove').forEach(button => {
+        button.addEventListener('click', function() {
+            const file = files[Number(this.getAttribute('data-file-index'))];
+            sources = sources.filter(source => source.file !== file);
+            if (sources.length === 0) {
+                resetConverter();
+                return;
+            }
+            displayLoadedFiles();
+            hideMessages();
+            parseSources();
+        });
+    });
+}
+
+function saveCourses() {
+    // Save courses to sessionStorage so they persist across page reloads (e.g., OAuth redirect)
+    try {
+        const coursesJson = JSON.stringify(courses);
+        // Check if data is too large (sessionStorage typically has 5-10MB limit)
+        if (coursesJson.length > 5 * 1024 * 1024) { // 5MB limit
+            console.warn('Courses data too large for sessionStorage, some data may be lost on page reload');
         }
-        
-        const courseName = extractCourseName(courseListing);
-        
-        // Extract meeting info from Meeting Patterns column
-        const meetingPatterns = getCellValue(row, columnMap.meetingPatterns) || '';
-        const meetingInfo = parseMeetingPatterns(meetingPatterns);
-        
-        // Get instructor
-        const instructor = getCellValue(row, columnMap.instructor) || '';
-        
-        // Get registration status
-        const registrationStatus = getCellValue(row, columnMap.registrationStatus);
-        
-        // Extract and convert dates from Excel serial numbers
-        const startDateSerial = getCellValue(row, columnMap.startDate);
-        const endDateSerial = getCellValue(row, columnMap.endDate);
-        
-        // Convert Excel serial numbers to dates
-        const startDate = startDateSerial ? convertExcelDate(startDateSerial) : null;
-        const endDate = endDateSerial ? convertExcelDate(endDateSerial) : null;
-        
-        const course = {
-            id: courses.length + 1,
-            title: courseName || 'Untitled Event',
-            days: meetingInfo.days || 'Monday',
-            time: meetingInfo.startTime || '09:00',
-            endTime: meetingInfo.endTime || '10:00',
-            location: meetingInfo.location || '',
-            instructor: instructor,
-            registrationStatus: registrationStatus,
-            startDate: startDate,
-            endDate: endDate
-        };
-        
-        // Only add if it's a valid course
-        if (isValidCourse(course, row)) {
-            courses.push(course);
+        sessionStorage.setItem('courses', coursesJson);
+    } catch (e) {
+        console.warn('Could not save courses to sessionStorage:', e);
+        if (e.name === 'QuotaExceededError') {
+            showError('Warning: Course data is too large to save. If you refresh the page, you may need to upload your file again.');
         }
     }
+}
+
+function loadColumnMappings() {
+    try {
+        return JSON.parse(localStorage.getItem('columnMappings')) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveColumnMapping(signature, columnMap, adapter) {
+    if (!signature) return;
+    try {
+        const mappings = loadColumnMappings();
+        mappings[signature] = { columnMap, adapter };
+        localStorage.setItem('columnMappings', JSON.stringify(mappings));
+    } catch (e) {
+        console.warn('Could not save column mapping to localStorage:', e);
+    }
+}
+
+function escapeHTML(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet-style column letters: 0 -> A, 26 -> AA
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Show the first rows of a sheet and let the user assign columns
+ * @param {{rows: Array<Array<*>>, columnMapping: ?Object}} source - Loaded sheet (see parseExcelFiles)
+ * @param {{headerRow: number, columnMap: Object<string, number>, ambiguous: string[]}} columns - Current guess
+ * @param {string} adapterId - Source system whose columns are assigned
+ */
+function showColumnMapper(source, columns, adapterId) {
+    const mapper = document.getElementById('columnMapper');
+    const rows = source.rows;
+    const adapter = ScheduleModel.getAdapter(adapterId) || ScheduleModel.getAdapter('workday');
+    const sampleRows = rows.slice(0, 10);
+    const columnCount = Math.max(0, ...sampleRows.map(row => (row || []).length));
+    const headers = rows[columns.headerRow] || [];
+    
+    const headerOptions = sampleRows.map((row, index) => {
+        const text = (row || []).filter(cell => cell !== '' && cell != null).slice(0, 3).join(', ');
+        return `<option value="${index}" ${index === columns.headerRow ? 'selected' : ''}>Row ${index + 1}: ${escapeHTML(text.slice(0, 60))}</option>`;
+    }).join('');
+    
+    const fields = adapter.columnFields.map(field => {
+        const options = Array.from({ length: columnCount }, (_, index) => {
+            const header = headers[index] != null && headers[index] !== '' ? `: ${headers[index]}` : '';
+            return `<option value="${index}" ${columns.columnMap[field.key] === index ? 'selected' : ''}>${getColumnLetter(index)}${escapeHTML(header)}</option>`;
+        }).join('');
+        const flagged = (columns.ambiguous || []).includes(field.key) ? ' column-mapper-flagged' : '';
+        return `
+            <div class="column-mapper-field${flagged}">
+                <label for="columnMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                <select id="columnMap-${field.key}" class="form-select" data-field="${field.key}">
+                    <option value="-1">Not in this sheet</option>
+                    ${options}
+                </select>
+            </div>`;
+    }).join('');
+    
+    const tableRows = rows.slice(columns.headerRow, columns.headerRow + 6).map((row, rowIndex) => `
+            <tr${rowIndex === 0 ? ' class="column-mapper-header"' : ''}>
+                ${Array.from({ length: columnCount }, (_, index) => `<td>${escapeHTML((row || [])[index])}</td>`).join('')}
+            </tr>`).join('');
+    
+    mapper.innerHTML = `
+        <h3>Check your columns${sources.length > 1 ? ` in ${escapeHTML(getSourceName(source))}` : ''}</h3>
+        <p class="help-text">We couldn't tell for sure which columns hold your schedule. Pick them below and we'll remember this layout next time.</p>
+        <div class="calendar-options">
+            <label for="columnMapperHeaderRow">Header row</label>
+            <select id="columnMapperHeaderRow" class="form-select">${headerOptions}</select>
+        </div>
+        <div class="column-mapper-fields">${fields}</div>
+        <div class="column-mapper-sample">
+            <table class="preview-table">
+                <thead><tr>${Array.from({ length: columnCount }, (_, index) => `<th>${getColumnLetter(index)}</th>`).join('')}</tr></thead>
+                <tbody>${tableRows}</tbody>
+            </table>
+        </div>
+        <button id="applyColumnMappingBtn" class="btn">Use these columns</button>
+    `;
+    mapper.classList.remove('hidden');
     
-    return courses;
-}
-
-function extractCourseName(courseListing) {
-    // Extract course name from strings like "CSE 4501 - Video Game Programming II"
-    if (!courseListing || courseListing.trim() === '') {
-        return 'Untitled Course';
-    }
-    
-    // Check if it looks like a course code (e.g., "CSE 4501 - Video Game Programming II")
-    const match = courseListing.match(/([A-Z]{2,4}\s+\d{4})\s*-\s*(.+?)(?:\s*-\s*Fall|$)/);
-    if (match) {
-        return `${match[1]} - ${match[2]}`;
-    }
-    
-    // If it doesn't match the pattern, return as-is
-    return courseListing;
-}
-
-function isNavigationOrHeader(title) {
-    // Filter out navigation elements, headers, and non-course content
-    const navigationTerms = [
-        'calendar view',
-        'edit registration', 
-        'my enrolled courses',
-        'my dropped',
-        'withdrawn courses',
-        'enrolled credit hours',
-        'full-time',
-        'part-time',
-        'view my courses',
-        'academic year',
-        'semester',
-        'term',
-        'student information',
-        'registration',
-        'schedule',
-        'courses',
-        'academic',
-        'undergraduate',
-        'graduate',
-        'bachelor',
-        'master',
-        'doctor',
-        'school of',
-        'department',
-        'college',
-        'university',
-        'active',
-        'inactive',
-        'status',
-        'credit',
-        'hours',
-        'gpa',
-        'grade',
-        'transcript'
-    ];
-    
-    const lowerTitle = title.toLowerCase();
-    
-    // Check if title contains navigation terms
-    for (const term of navigationTerms) {
-        if (lowerTitle.includes(term)) {
-            return true;
-        }
+    const readColumnMap = () => {
+        const columnMap = {};
+        mapper.querySelectorAll('select[data-field]').forEach(select => {
+            columnMap[select.getAttribute('data-field')] = Number(select.value);
+        });
+        return columnMap;
+    };
+    
+    // Column names come from the header row, so redraw when it changes
+    document.getElementById('columnMapperHeaderRow').addEventListener('change', function() {
+        showColumnMapper(source, {
+            headerRow: Number(this.value),
+            columnMap: readColumnMap(),
+            ambiguous: columns.ambiguous
+        }, adapter.id);
+    });
+    
+    document.getElementById('applyColumnMappingBtn').addEventListener('click', () => {
+        const headerRow = Number(document.getElementById('columnMapperHeaderRow').value);
+        const columnMap = readColumnMap();
+        
+        saveColumnMapping(ScheduleModel.getHeaderSignature(rows[headerRow] || []), columnMap, adapter.id);
+        source.columnMapping = { headerRow, columnMap, adapter: adapter.id };
+        hideMessages();
+        parseSources();
+    });
+}
+
+/**
+ * List every source row with whether it was imported and why not
+ * Rows are grouped by sheet when several sheets were scanned.
+ * Skipped rows get a checkbox to import them anyway.
+ * @param {?Array<{name: string, included: boolean, diagnostics: Array}>} sheets - From ScheduleModel.parseSheets
+ */
+function displayDiagnostics(sheets) {
+    const container = document.getElementById('diagnostics');
+    const diagnostics = (sheets || []).reduce((all, sheet) => all.concat(sheet.diagnostics), []);
+    if (diagnostics.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+    
+    const importedCount = diagnostics.filter(diagnostic => diagnostic.imported).length;
+    const skippedCount = diagnostics.length - importedCount;
+    
+    const tableRows = sheets.map((sheet, sourceIndex) => {
+        const heading = sheets.length > 1
+            ? `
+            <tr class="diagnostics-sheet">
+                <td colspan="5">${escapeHTML(sheet.name)}${sheet.included ? '' : ' (no courses; skipped)'}</td>
+            </tr>`
+            : '';
+        return heading + sheet.diagnostics.map(diagnostic => {
+            let result = 'Imported';
+            if (diagnostic.forced) {
+                result = 'Included manually';
+            } else if (!diagnostic.imported) {
+                result = 'Skipped';
+            }
+            const details = diagnostic.imported ? diagnostic.notes : [diagnostic.reason];
+            const include = diagnostic.reason
+                ? `<input type="checkbox" class="diagnostics-include" data-source-index="${sourceIndex}" data-row="${diagnostic.row}" ${diagnostic.forced ? 'checked' : ''} aria-label="Include row ${diagnostic.row}">`
+                : '';
+            return `
+            <tr class="diagnostics-${diagnostic.imported ? 'imported' : 'skipped'}">
+                <td>${diagnostic.row}</td>
+                <td>${escapeHTML(diagnostic.listing)}</td>
+                <td>${result}</td>
+                <td>${details.map(escapeHTML).join('<br>')}</td>
+                <td>${include}</td>
+            </tr>`;
+        }).join('');
+    }).join('');
+    
+    container.innerHTML = `
+        <details class="diagnostics" ${importedCount === 0 ? 'open' : ''}>
+            <summary>Import report: ${importedCount} imported, ${skippedCount} skipped</summary>
+            <table class="preview-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Course Listing</th>
+                        <th>Result</th>
+                        <th>Details</th>
+                        <th>Include</th>
+                    </tr>
+                </thead>
+                <tbody>${tableRows}</tbody>
+            </table>
+        </details>
+    `;
+    container.classList.remove('hidden');
+    
+    container.querySelectorAll('.diagnostics-include').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const forcedRows = sources[Number(this.getAttribute('data-source-index'))].forcedRows;
+            const row = Number(this.getAttribute('data-row'));
+            if (this.checked) {
+                forcedRows.add(row);
+            } else {
+                forcedRows.delete(row);
+            }
+            hideMessages();
+            parseSources();
+        });
+    });
+}
+
+function hideColumnMapper() {
+    const mapper = document.getElementById('columnMapper');
+    mapper.innerHTML = '';
+    mapper.classList.add('hidden');
+}
+
+/**
+ * Courses to export: all of them except those the user unticked, by row or by component,
+ * and waitlisted or pending courses set to be left out
+ */
+function getCoursesToAdd() {
+    return courses.filter(course => !isCourseExcluded(course));
+}
+
+function isCourseExcluded(course) {
+    return course.included === false ||
+        excludedComponents.has(course.component || '') ||
+        ScheduleModel.getStatusPolicy(course, statusPolicies) === 'exclude';
+}
+
+/**
+ * Credits and weekly workload of the courses that will be added
+ */
+function getScheduleSummary(coursesToAdd) {
+    const summary = ScheduleSummary.summarizeSchedule(coursesToAdd);
+    const duration = ScheduleSummary.formatDuration;
+    
+    const facts = [];
+    if (summary.coursesWithoutCredits < summary.courseCount) {
+        facts.push(`<strong>${summary.totalCredits}</strong> credits${summary.coursesWithoutCredits > 0 ? ` (${summary.coursesWithoutCredits} course(s) without credits)` : ''}`);
+    }
+    facts.push(`<strong>${duration(summary.weeklyContactMinutes)}</strong> of class a week`);
+    if (summary.earliestStart) {
+        facts.push(`earliest start ${summary.earliestStart.time} (${summary.earliestStart.day})`);
+        facts.push(`latest end ${summary.latestEnd.time} (${summary.latestEnd.day})`);
+    }
+    if (summary.longestGap) {
+        const gap = summary.longestGap;
+        facts.push(`longest gap ${duration(gap.minutes)} on ${gap.day}, ${gap.from} to ${gap.to}`);
     }
     
-    // Check if it's a student info line (contains student name and ID)
-    if (lowerTitle.includes('(') && lowerTitle.includes(')') && 
-        (lowerTitle.includes('student') || lowerTitle.includes('undergraduate') || lowerTitle.includes('graduate'))) {
-        return true;
+    const days = summary.days.map(day => `
+                <tr>
+                    <td>${day.day}</td>
+                    <td>${day.meetingCount} class${day.meetingCount === 1 ? '' : 'es'}</td>
+                    <td>${duration(day.minutes)}</td>
+                    <td>${day.firstStart} - ${day.lastEnd}</td>
+                </tr>`).join('');
+    
+    return `
+        <div class="schedule-summary">
+            <p>${facts.join(' · ')}</p>
+            ${days ? `<table class="schedule-summary-days"><tbody>${days}</tbody></table>` : ''}
+        </div>`;
+}
+
+// Classes that meet at the same time, e.g. a registered and a waitlisted section
+function getConflictWarnings(coursesToAdd) {
+    const conflicts = ScheduleModel.findTimeConflicts(coursesToAdd);
+    if (conflicts.length === 0) {
+        return '';
+    }
+    const items = conflicts.map(conflict => `
+                <li>${escapeHTML(ScheduleModel.describeTimeConflict(conflict))}</li>`).join('');
+    return `
+        <div class="time-conflicts">
+            <strong>Time conflicts</strong>
+            <ul>${items}</ul>
+            ${blockConflicts ? 'Nothing will be added to Google Calendar until you untick or edit one of each pair.' : ''}
+        </div>`;
+}
+
+// Ids of the courses to add that overlap another one
+function getConflictingCourseIds(coursesToAdd) {
+    const ids = new Set();
+    ScheduleModel.findTimeConflicts(coursesToAdd).forEach(conflict => {
+        ids.add(conflict.first.courseId);
+        ids.add(conflict.second.courseId);
+    });
+    return ids;
+}
+
+// Back-to-back classes too far apart to walk between in the gap
+function getTravelWarnings(coursesToAdd) {
+    const conflicts = TravelTime.findTravelConflicts(coursesToAdd, buildingDirectory, travelTimes);
+    if (conflicts.length === 0) {
+        return '';
+    }
+    const items = conflicts.map(leg => `
+                <li>${leg.day}: ${escapeHTML(leg.from.title)} ends ${leg.fromEnd} in ${escapeHTML(leg.from.building)},
+                    ${escapeHTML(leg.to.title)} starts ${leg.toStart} in ${escapeHTML(leg.to.building)}
+                    (${leg.gapMinutes} min between, about ${leg.travelMinutes} min walk)</li>`).join('');
+    return `
+        <div class="travel-warnings">
+            <strong>Tight connections</strong>
+            <ul>${items}</ul>
+        </div>`;
+}
+
+// Courses that run past the chosen academic calendar, whose holidays there aren't skipped
+function getTermCalendarWarnings(coursesToAdd) {
+    const warnings = TermCalendar.getCoverageWarnings(coursesToAdd, termCalendar);
+    if (warnings.length === 0) {
+        return '';
     }
+    return `
+        <div class="term-calendar-warnings">
+            <strong>Outside the academic calendar</strong>
+            <ul>${warnings.map(warning => `<li>${escapeHTML(warning)}</li>`).join('')}</ul>
+        </div>`;
+}
+
+// Checkboxes for choosing which components (lectures, labs, ...) to add
+function getComponentFilter(courses) {
+    const components = Array.from(new Set(courses.map(course => course.component || '')));
+    if (components.length < 2) {
+        return '';
+    }
+    const options = components.map(component => `
+            <label>
+                <input type="checkbox" class="component-filter-option" value="${escapeHTML(component)}"
+                       ${excludedComponents.has(component) ? '' : 'checked'}>
+                ${escapeHTML(component || 'Other')}
+            </label>`).join('');
+    return `
+        <div class="component-filter">
+            <span>Add to calendar:</span>${options}
+        </div>`;
+}
+
+function displayPreview(courses) {
+    const preview = document.getElementById('preview');
+    
+    preview.innerHTML = `
+        <h3 style="margin: 20px 0 15px 0; color: #4a5568;">Found ${courses.length} courses:</h3>
+        ${getScheduleSummary(getCoursesToAdd())}
+        ${getConflictWarnings(getCoursesToAdd())}
+        ${getTravelWarnings(getCoursesToAdd())}
+        ${getTermCalendarWarnings(getCoursesToAdd())}
+        ${getComponentFilter(courses)}
+        ${getPreviewViewToggle()}
+        ${previewView === 'grid' ? getWeeklyGrid(getCoursesToAdd()) : getPreviewTable(courses)}
+    `;
+    
+    document.querySelectorAll('.preview-view-toggle button').forEach(button => {
+        button.addEventListener('click', function() {
+            previewView = this.getAttribute('data-view');
+            try {
+                localStorage.setItem('previewView', previewView);
+            } catch (e) {
+                console.warn('Could not save preview layout to localStorage:', e);
+            }
+            displayPreview(courses);
+        });
+    });
     
-    // Check if it's just a date or number
-    if (/^\d+$/.test(title.trim()) || /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(title.trim())) {
-        return true;
+    document.querySelectorAll('.component-filter-option').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            if (this.checked) {
+                excludedComponents.delete(this.value);
+            } else {
+                excludedComponents.add(this.value);
+            }
+            displayPreview(courses);
+        });
+    });
+    
+    if (previewView === 'table') {
+        addPreviewTableListeners(courses);
     }
     
-    return false;
+    // The template preview shows the first class that will be added
+    displayTemplatePreview();
 }
 
-function isValidCourse(course, row) {
-    // Check if this is a valid course (not dropped, has proper format, etc.)
+// Table/week switch above the preview
+function getPreviewViewToggle() {
+    const views = [{ id: 'table', label: 'Table' }, { id: 'grid', label: 'Week' }];
+    return `
+        <div class="preview-view-toggle" role="group" aria-label="Preview layout">
+            ${views.map(view => `<button type="button" data-view="${view.id}"${previewView === view.id ? ' class="active" aria-pressed="true"' : ' aria-pressed="false"'}>${view.label}</button>`).join('')}
+        </div>`;
+}
+
+// One row per course, with the editor, include checkboxes and per-course Google links
+function getPreviewTable(courses) {
+    let html = `
+        <table class="preview-table">
+            <thead>
+                <tr>
+                    <th>Course</th>
+                    <th>Days</th>
+                    <th>Time</th>
+                    <th>Location</th>
+                    <th>Instructor</th>
+                    <th>Add to Calendar</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
     
-    // Must have a course code pattern (like CSE 4501, BIOL 3100, etc.)
-    const courseCodePattern = /^[A-Z]{2,4}\s+\d{4}/;
-    if (!courseCodePattern.test(course.title)) {
-        return false;
+    // Merged uploads can span several terms; head each term's courses
+    const showTerms = new Set(courses.map(course => course.term || '')).size > 1;
+    const conflictingIds = getConflictingCourseIds(getCoursesToAdd());
+    
+    courses.forEach((course, index) => {
+        if (showTerms && (index === 0 || courses[index - 1].term !== course.term)) {
+            html += `
+            <tr class="term-row">
+                <td colspan="6">${escapeHTML(course.term || 'Other courses')}</td>
+            </tr>
+            `;
+        }
+        
+        if (courseEditor && courseEditor.index === index) {
+            html += getCourseEditor(courseEditor.course);
+            return;
+        }
+        
+        // Courses with several meeting patterns (lecture + lab) list each on its own line
+        const meetings = ScheduleModel.getCourseMeetings(course);
+        const excluded = isCourseExcluded(course);
+        const buttons = meetings.map((meeting, meetingIndex) => {
+            // Unscheduled meetings only get a link when they become an all-day note
+            const disabled = excluded || (meeting.unscheduled && unscheduledPolicy !== 'allDay');
+            let label = meetings.length > 1 ? `Add ${meeting.days}` : 'Add to Google Calendar';
+            if (meeting.unscheduled) {
+                label = disabled ? 'No meeting time' : 'Add all-day note';
+            }
+            return `
+                    <button class="google-calendar-btn" 
+                            data-course-index="${index}"
+                            data-meeting-index="${meetingIndex}"
+                            ${disabled ? 'disabled' : ''}
+                            style="background: linear-gradient(135deg, #4285f4 0%, #34a853 100%); color: white; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 12px; width: 100%; max-width: 150px;">
+                        ${label}
+                    </button>`;
+        }).join('');
+        
+        html += `
+            <tr${excluded ? ' class="excluded-row"' : conflictingIds.has(String(course.id)) ? ' class="conflict-row"' : ''}>
+                <td>
+                    <label class="include-course">
+                        <input type="checkbox" class="include-course-option" data-course-index="${index}"
+                               ${course.included === false ? '' : 'checked'} aria-label="Add ${escapeHTML(course.title)} to the calendar">
+                        <strong>${escapeHTML(course.title)}</strong>
+                    </label>${getSectionDetails(course)}${getExamDetails(course)}${getStatusDetails(course, index)}
+                    <div class="course-row-actions">
+                        <button type="button" class="edit-course-btn" data-course-index="${index}">Edit</button>
+                        <button type="button" class="delete-course-btn" data-course-index="${index}">Delete</button>
+                    </div>
+                </td>
+                <td>${meetings.map(formatMeetingDays).join('<br>')}</td>
+                <td>${meetings.map((meeting, meetingIndex) => meeting.unscheduled && unscheduledPolicy === 'hold'
+                    ? getMeetingTimeEditor(index, meetingIndex)
+                    : formatMeetingTime(meeting)).join('<br>')}</td>
+                <td>${meetings.map(meeting => formatMeetingLocation(meeting.location)).join('<br>')}</td>
+                <td>${escapeHTML(course.instructor)}</td>
+                <td>${buttons}
+                </td>
+            </tr>
+        `;
+    });
+    
+    // A course being added goes below the others until it's saved
+    if (courseEditor && courseEditor.index === courses.length) {
+        html += getCourseEditor(courseEditor.course);
     }
     
-    // If it has a valid course code at the start, it's a valid course
-    // Don't check for navigation/header terms since they can appear in legitimate course names
+    html += `</tbody></table>
+        <button type="button" class="add-course-btn">Add course</button>`;
+    return html;
+}
+
+// Wire the table's checkboxes, row buttons, editor and Google links
+function addPreviewTableListeners(courses) {
+    document.querySelectorAll('.include-course-option').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const course = courses[Number(this.getAttribute('data-course-index'))];
+            if (this.checked) {
+                delete course.included;
+            } else {
+                course.included = false;
+            }
+            saveCourses();
+            displayPreview(courses);
+        });
+    });
     
-    // Check registration status - filter out unregistered/dropped classes
-    const registrationStatus = course.registrationStatus || '';
+    document.querySelectorAll('.edit-course-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const index = Number(this.getAttribute('data-course-index'));
+            openCourseEditor(index, courses[index]);
+        });
+    });
     
-    if (registrationStatus.toLowerCase().includes('unregistered') || 
-        registrationStatus.toLowerCase().includes('dropped') ||
-        registrationStatus.toLowerCase().includes('withdrawn')) {
-        return false;
+    document.querySelectorAll('.delete-course-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            deleteCourse(Number(this.getAttribute('data-course-index')));
+        });
+    });
+    
+    document.querySelector('.add-course-btn').addEventListener('click', function() {
+        openCourseEditor(courses.length, createBlankCourse());
+    });
+    
+    const editor = document.querySelector('.course-editor');
+    if (editor) {
+        editor.querySelector('.course-editor-save').addEventListener('click', () => saveCourseEditor(editor));
+        editor.querySelector('.course-editor-cancel').addEventListener('click', () => {
+            courseEditor = null;
+            displayPreview(courses);
+        });
     }
     
-    return true;
+    document.querySelectorAll('.promote-course-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            promoteCourse(Number(this.getAttribute('data-course-index')));
+        });
+    });
+    
+    // Add event listeners to the Google Calendar buttons
+    document.querySelectorAll('.google-calendar-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const course = courses[Number(this.getAttribute('data-course-index'))];
+            const meeting = ScheduleModel.expandCourseMeetings(course)[Number(this.getAttribute('data-meeting-index'))];
+            openSingleCourseInGoogleCalendar(meeting);
+        });
+    });
+    
+    document.querySelectorAll('.unscheduled-save').forEach(button => {
+        button.addEventListener('click', function() {
+            const editor = this.closest('.unscheduled-editor');
+            saveMeetingTimes(
+                Number(editor.getAttribute('data-course-index')),
+                Number(editor.getAttribute('data-meeting-index')),
+                editor.querySelector('.unscheduled-days').value,
+                editor.querySelector('.unscheduled-start').value,
+                editor.querySelector('.unscheduled-end').value
+            );
+        });
+    });
+}
+
+// "Lab · Section 02" under the title
+function getSectionDetails(course) {
+    const details = [course.component, course.section && `Section ${course.section}`].filter(Boolean);
+    return details.length > 0 ? `<br><span class="section-details">${escapeHTML(details.join(' · '))}</span>` : '';
+}
+
+// "Final exam: 12/15/2025, 6:00 PM - 8:00 PM, Rebstock 215" under the title
+function getExamDetails(course) {
+    const exam = course.exam;
+    if (!exam) return '';
+    const date = ScheduleModel.parseDate(exam.date);
+    const parts = [`${date.month}/${date.day}/${date.year}`, `${exam.time} - ${exam.endTime}`, exam.location].filter(Boolean);
+    return `<br><span class="exam-details">Final exam: ${escapeHTML(parts.join(', '))}</span>`;
+}
+
+// "Waitlisted" badge and a button to mark the course registered once the seat is confirmed
+function getStatusDetails(course, courseIndex) {
+    const state = ScheduleModel.getPendingState(course);
+    if (!state) return '';
+    const policy = ScheduleModel.getStatusPolicy(course, statusPolicies);
+    const note = { include: 'added as usual', tentative: 'added as tentative', exclude: 'left out' }[policy];
+    return `<br><span class="status-badge">${escapeHTML(state.label)}</span> <span class="section-details">${note}</span>
+        <button type="button" class="promote-course-btn" data-course-index="${courseIndex}">Mark registered</button>`;
+}
+
+/**
+ * Treat a waitlisted or pending course as registered: its events in the last Google batch are
+ * updated in place, and later exports add it as a regular course
+ */
+async function promoteCourse(courseIndex) {
+    const course = courses[courseIndex];
+    
+    if (currentBatchId && isGoogleAuthenticated && ScheduleModel.getStatusPolicy(course, statusPolicies) === 'tentative') {
+        try {
+            const response = await fetch('/api/calendar/events/promote', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    batchId: currentBatchId,
+                    courseId: course.id,
+                    calendarId: document.getElementById('calendarSelect').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            showGoogleSuccess(`Updated ${result.updatedCount} event(s) for ${course.title} in Google Calendar.`);
+        } catch (error) {
+            showGoogleError('Could not update the events in Google Calendar: ' + error.message);
+            return;
+        }
+    }
+    
+    course.registrationStatus = 'Registered';
+    saveCourses();
+    displayPreview(courses);
+}
+
+function formatMeetingDays(meeting) {
+    if (meeting.unscheduled) {
+        return `<span class="unscheduled-label">Unscheduled</span>${meeting.pattern ? `<br>${escapeHTML(meeting.pattern)}` : ''}`;
+    }
+    return meeting.days;
+}
+
+// Inputs for entering days and times of an unscheduled meeting by hand
+function getMeetingTimeEditor(courseIndex, meetingIndex) {
+    return `
+        <span class="unscheduled-editor" data-course-index="${courseIndex}" data-meeting-index="${meetingIndex}">
+            <input type="text" class="unscheduled-days" placeholder="Mon/Wed" aria-label="Meeting days">
+            <input type="time" class="unscheduled-start" aria-label="Start time">
+            <input type="time" class="unscheduled-end" aria-label="End time">
+            <button type="button" class="unscheduled-save">Save</button>
+        </span>`;
 }
 
-function parseMeetingPatterns(meetingPatterns) {
-    // Parse strings like "Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016"
-    const parts = meetingPatterns.split('|').map(p => p.trim());
+// "14:30" (from a time input) -> "2:30 PM", the format Workday uses
+function formatInputTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Turn an unscheduled meeting into a scheduled one with times the user entered
+ */
+function saveMeetingTimes(courseIndex, meetingIndex, daysText, startValue, endValue) {
+    // Accept "mon/wed" as well as "Mon/Wed"
+    const days = ScheduleModel.parseDays(daysText.replace(/\b[a-z]/g, letter => letter.toUpperCase()));
+    if (!days) {
+        showError('Enter the meeting days, e.g. Mon/Wed or Tue/Thu.');
+        return;
+    }
+    if (!startValue || !endValue || endValue <= startValue) {
+        showError('Enter a start time and an end time after it.');
+        return;
+    }
     
-    let days = 'Monday';
-    let startTime = '09:00';
-    let endTime = '10:00';
-    let location = '';
+    const course = courses[courseIndex];
+    if (!Array.isArray(course.meetings) || course.meetings.length === 0) {
+        course.meetings = ScheduleModel.getCourseMeetings(course);
+    }
+    const meeting = course.meetings[meetingIndex];
+    meeting.days = days;
+    meeting.time = formatInputTime(startValue);
+    meeting.endTime = formatInputTime(endValue);
+    delete meeting.unscheduled;
+    delete meeting.pattern;
+    
+    // Keep the top-level fields mirroring the first meeting
+    if (meetingIndex === 0) {
+        course.days = meeting.days;
+        course.time = meeting.time;
+        course.endTime = meeting.endTime;
+    }
+    delete course.unscheduled;
     
-    if (parts.length >= 1) {
-        // Parse days
-        const dayStr = parts[0];
+    hideMessages();
+    saveCourses();
+    displayPreview(courses);
+}
+
+/**
+ * Edit a course in its preview row; changes apply to a copy until saved
+ */
+function openCourseEditor(index, course) {
+    courseEditor = { index, course: JSON.parse(JSON.stringify(course)) };
+    hideMessages();
+    displayPreview(courses);
+}
+
+// A course typed in by hand, in the term of the courses around it
+function createBlankCourse() {
+    const last = courses[courses.length - 1];
+    const term = last || institutionProfile.defaultTerm || {};
+    const meeting = { days: '', time: '', endTime: '', location: '' };
+    return {
+        id: courses.reduce((max, course) => Math.max(max, Number(course.id) || 0), 0) + 1,
+        title: '',
+        days: '',
+        time: '',
+        endTime: '',
+        location: '',
+        meetings: [meeting],
+        instructor: '',
+        startDate: term.startDate || null,
+        endDate: term.endDate || null,
+        term: last ? last.term : undefined
+    };
+}
+
+// "2:30 PM" -> "14:30", for a time input
+function toInputTime(value) {
+    const time = ScheduleModel.parseTime(value);
+    return time ? `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}` : '';
+}
+
+// Editor row: title, instructor and term dates, then days, times and location of each meeting
+function getCourseEditor(course) {
+    const meetings = ScheduleModel.getCourseMeetings(course);
+    const meetingRows = meetings.map((meeting, meetingIndex) => `
+                <div class="course-editor-meeting">
+                    ${meetings.length > 1 ? `<span class="section-details">Meeting ${meetingIndex + 1}</span>` : ''}
+                    <input type="text" class="edit-days" placeholder="Mon/Wed" aria-label="Meeting days"
+                           value="${meeting.unscheduled ? '' : escapeHTML(meeting.days)}">
+                    <input type="time" class="edit-start" aria-label="Start time" value="${meeting.unscheduled ? '' : toInputTime(meeting.time)}">
+                    <input type="time" class="edit-end" aria-label="End time" value="${meeting.unscheduled ? '' : toInputTime(meeting.endTime)}">
+                    <input type="text" class="edit-location" placeholder="Location" aria-label="Location" value="${escapeHTML(meeting.location)}">
+                </div>`).join('');
+    return `
+            <tr class="course-editor-row">
+                <td colspan="6">
+                    <div class="course-editor">
+                        <div class="course-editor-fields">
+                            <label>Course <input type="text" class="edit-title" value="${escapeHTML(course.title)}"></label>
+                            <label>Instructor <input type="text" class="edit-instructor" value="${escapeHTML(course.instructor)}"></label>
+                            <label>Starts <input type="date" class="edit-start-date" value="${escapeHTML(course.startDate)}"></label>
+                            <label>Ends <input type="date" class="edit-end-date" value="${escapeHTML(course.endDate)}"></label>
+                        </div>
+                        ${meetingRows}
+                        <p class="section-details">Leave days and times blank for a course without a meeting time.</p>
+                        <ul class="course-editor-errors"></ul>
+                        <button type="button" class="course-editor-save">Save</button>
+                        <button type="button" class="course-editor-cancel">Cancel</button>
+                    </div>
+                </td>
+            </tr>
+    `;
+}
+
+/**
+ * Apply the editor's fields to the course, or list what's wrong with them and keep the editor open
+ */
+function saveCourseEditor(editor) {
+    const course = courseEditor.course;
+    course.title = editor.querySelector('.edit-title').value.trim();
+    course.instructor = editor.querySelector('.edit-instructor').value.trim();
+    course.startDate = editor.querySelector('.edit-start-date').value || null;
+    course.endDate = editor.querySelector('.edit-end-date').value || null;
+    
+    const meetings = ScheduleModel.getCourseMeetings(course);
+    editor.querySelectorAll('.course-editor-meeting').forEach((row, meetingIndex) => {
+        const meeting = meetings[meetingIndex];
+        const daysText = row.querySelector('.edit-days').value.trim();
+        const startValue = row.querySelector('.edit-start').value;
+        const endValue = row.querySelector('.edit-end').value;
+        meeting.location = row.querySelector('.edit-location').value.trim();
         
-        // Handle multiple days like "Mon/Wed"
-        if (dayStr.includes('/')) {
-            const dayParts = dayStr.split('/');
-            const dayNames = [];
-            dayParts.forEach(part => {
-                if (part.includes('Mon')) dayNames.push('Monday');
-                if (part.includes('Tue')) dayNames.push('Tuesday');
-                if (part.includes('Wed')) dayNames.push('Wednesday');
-                if (part.includes('Thu')) dayNames.push('Thursday');
-                if (part.includes('Fri')) dayNames.push('Friday');
-                if (part.includes('Sat')) dayNames.push('Saturday');
-                if (part.includes('Sun')) dayNames.push('Sunday');
-            });
-            days = dayNames.join('/');
-        } else {
-            // Single day
-            if (dayStr.includes('Mon')) days = 'Monday';
-            if (dayStr.includes('Tue')) days = 'Tuesday';
-            if (dayStr.includes('Wed')) days = 'Wednesday';
-            if (dayStr.includes('Thu')) days = 'Thursday';
-            if (dayStr.includes('Fri')) days = 'Friday';
-            if (dayStr.includes('Sat')) days = 'Saturday';
-            if (dayStr.includes('Sun')) days = 'Sunday';
+        if (!daysText && !startValue && !endValue) {
+            meeting.days = '';
+            meeting.time = '';
+            meeting.endTime = '';
+            meeting.unscheduled = true;
+            return;
         }
-    }
+        // Accept "mon/wed" as well as "Mon/Wed"
+        meeting.days = ScheduleModel.parseDays(daysText.replace(/\b[a-z]/g, letter => letter.toUpperCase())) || '';
+        meeting.time = startValue ? formatInputTime(startValue) : '';
+        meeting.endTime = endValue ? formatInputTime(endValue) : '';
+        delete meeting.unscheduled;
+        delete meeting.pattern;
+    });
     
-    if (parts.length >= 2) {
-        // Parse time
-        const timeStr = parts[1];
-        if (!timeStr) {
-            return { days, startTime, endTime, location };
-        }
-        const timeMatch = timeStr.match(/(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M)/);
-        if (timeMatch) {
-            startTime = timeMatch[1];
-            endTime = timeMatch[2];
-        }
+    // Keep the top-level fields mirroring the first meeting
+    course.meetings = meetings;
+    course.days = meetings[0].days;
+    course.time = meetings[0].time;
+    course.endTime = meetings[0].endTime;
+    course.location = meetings[0].location;
+    if (meetings.every(meeting => meeting.unscheduled)) {
+        course.unscheduled = true;
+    } else {
+        delete course.unscheduled;
     }
     
-    if (parts.length >= 3) {
-        // Parse location
-        location = parts[2];
+    const errors = ScheduleModel.validateCourse(course);
+    if (errors.length > 0) {
+        editor.querySelector('.course-editor-errors').innerHTML = errors.map(error => `<li>${escapeHTML(error)}</li>`).join('');
+        return;
     }
     
-    return { days, startTime, endTime, location };
+    courses[courseEditor.index] = course;
+    courseEditor = null;
+    hideMessages();
+    saveCourses();
+    document.getElementById('downloadBtn').disabled = false;
+    displayPreview(courses);
 }
 
-function findColumn(headers, keywords) {
-    for (let i = 0; i < headers.length; i++) {
-        const header = (headers[i] || '').toString().toLowerCase().trim();
-        if (keywords.some(keyword => header.includes(keyword.toLowerCase()))) {
-            return i;
-        }
+function deleteCourse(index) {
+    if (!confirm(`Remove ${courses[index].title} from the schedule?`)) {
+        return;
     }
-    return -1;
+    courses.splice(index, 1);
+    courseEditor = null;
+    saveCourses();
+    displayPreview(courses);
 }
 
-function getCellValue(row, columnIndex) {
-    if (columnIndex === -1 || !row[columnIndex]) return '';
-    return row[columnIndex].toString().trim();
+function formatMeetingTime(meeting) {
+    if (meeting.unscheduled) {
+        return unscheduledPolicy === 'allDay' ? 'All-day note for the term' : 'No meeting time';
+    }
+    let text = `${meeting.time} - ${meeting.endTime}`;
+    // Half-term patterns show the weeks they actually run
+    if (meeting.startDate && meeting.endDate) {
+        text += ` (${meeting.startDate} to ${meeting.endDate})`;
+    }
+    return text;
 }
 
-function convertExcelDate(excelSerial) {
-    // Excel serial numbers start from 1900-01-01 (serial 1)
-    // But Excel incorrectly treats 1900 as a leap year, so we need to adjust
-    const serial = parseFloat(excelSerial);
-    
-    if (isNaN(serial)) return null;
-    
-    // Excel serial numbers are days since 1900-01-01
-    // But Excel has a bug where it treats 1900 as a leap year
-    // So we need to subtract 2 days for dates after 1900-02-28
-    let adjustedSerial = serial;
-    if (serial > 59) { // After 1900-02-28
-        adjustedSerial = serial - 1; // Subtract 1 instead of 2 to account for the leap year bug
-    } else {
-        adjustedSerial = serial;
-    }
-    
-    // Use UTC to avoid timezone issues
-    const date = new Date(Date.UTC(1900, 0, adjustedSerial));
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(date.getUTCDate()).padStart(2, '0');
-    
-    return `${year}-${month}-${day}`; // Return YYYY-MM-DD format
+// Building name and room from the directory, linked to a map; unknown buildings show as exported
+function formatMeetingLocation(text) {
+    const location = BuildingDirectory.resolveLocation(text, buildingDirectory);
+    if (!location) return '';
+    if (!location.match) return escapeHTML(location.raw);
+    return `<a href="${escapeHTML(BuildingDirectory.getMapUrl(text, buildingDirectory))}" target="_blank" rel="noopener" title="${escapeHTML(location.raw)}">${escapeHTML(getLocationLabel(text))}</a>`;
 }
 
-function displayPreview(courses) {
-    const preview = document.getElementById('preview');
-    
-    let html = `
-        <h3 style="margin: 20px 0 15px 0; color: #4a5568;">Found ${courses.length} courses:</h3>
-        <table class="preview-table">
-            <thead>
-                <tr>
-                    <th>Course</th>
-                    <th>Days</th>
-                    <th>Time</th>
-                    <th>Location</th>
-                    <th>Instructor</th>
-                    <th>Add to Calendar</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
-    
-    courses.forEach((course, index) => {
-        html += `
-            <tr>
-                <td><strong>${course.title}</strong></td>
-                <td>${course.days}</td>
-                <td>${course.time} - ${course.endTime}</td>
-                <td>${course.location}</td>
-                <td>${course.instructor}</td>
-                <td>
-                    <button class="google-calendar-btn" 
-                            data-title="${course.title.replace(/"/g, '&quot;')}"
-                            data-days="${course.days.replace(/"/g, '&quot;')}"
-                            data-time="${course.time.replace(/"/g, '&quot;')}"
-                            data-end-time="${course.endTime.replace(/"/g, '&quot;')}"
-                            data-location="${course.location.replace(/"/g, '&quot;')}"
-                            data-instructor="${course.instructor.replace(/"/g, '&quot;')}"
-                            style="background: linear-gradient(135deg, #4285f4 0%, #34a853 100%); color: white; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 12px; width: 100%; max-width: 150px;">
-                        Add to Google Calendar
-                    </button>
-                </td>
-            </tr>
-        `;
-    });
-    
-    html += '</tbody></table>';
-    preview.innerHTML = html;
+// "Ridgley Hall, Room 16" when the directory knows the building, otherwise the text as exported
+function getLocationLabel(text) {
+    const location = BuildingDirectory.resolveLocation(text, buildingDirectory);
+    if (!location) return '';
+    if (!location.match) return location.raw;
+    return location.room ? `${location.match.name}, Room ${location.room}` : location.match.name;
+}
+
+// Block colors in the weekly grid, picked by the course's place in the list so they stay put
+const COURSE_COLORS = ['#4299e1', '#48bb78', '#ed8936', '#9f7aea', '#f56565', '#38b2ac', '#d69e2e', '#ed64a6'];
+
+/**
+ * Monday-Sunday timetable of the courses that will be added, one pixel per minute
+ */
+function getWeeklyGrid(coursesToAdd) {
+    const grid = WeeklyGrid.buildWeeklyGrid(coursesToAdd);
+    const conflictingIds = getConflictingCourseIds(coursesToAdd);
+    const height = grid.endMinutes - grid.startMinutes;
+    
+    const hours = [];
+    for (let minutes = grid.startMinutes; minutes < grid.endMinutes; minutes += 60) {
+        hours.push(`<span style="top: ${minutes - grid.startMinutes}px;">${ScheduleModel.formatClockTime({ hours: minutes / 60, minutes: 0 })}</span>`);
+    }
     
-    // Add event listeners to the Google Calendar buttons
-    document.querySelectorAll('.google-calendar-btn').forEach(button => {
-        button.addEventListener('click', function() {
-            const course = {
-                title: this.getAttribute('data-title'),
-                days: this.getAttribute('data-days'),
-                time: this.getAttribute('data-time'),
-                endTime: this.getAttribute('data-end-time'),
-                location: this.getAttribute('data-location'),
-                instructor: this.getAttribute('data-instructor')
-            };
-            openSingleCourseInGoogleCalendar(course);
-        });
-    });
+    const days = grid.days.map(day => {
+        const blocks = day.blocks.map(block => {
+            const color = COURSE_COLORS[courses.indexOf(coursesToAdd[block.courseIndex]) % COURSE_COLORS.length];
+            const dates = block.startDate && block.endDate ? ` (${block.startDate} to ${block.endDate})` : '';
+            const location = getLocationLabel(block.location);
+            const details = [block.title, `${block.time} - ${block.endTime}${dates}`, location].filter(Boolean).join('\n');
+            return `
+                    <div class="weekly-grid-block${conflictingIds.has(String(coursesToAdd[block.courseIndex].id)) ? ' conflict' : ''}" title="${escapeHTML(details)}"
+                         style="top: ${block.startMinutes - grid.startMinutes}px; height: ${block.endMinutes - block.startMinutes}px; left: ${block.column / block.columnCount * 100}%; width: ${100 / block.columnCount}%; background: ${color};">
+                        <strong>${escapeHTML(block.title)}</strong>
+                        <span>${block.time} - ${block.endTime}</span>
+                        ${location ? `<span>${escapeHTML(location)}</span>` : ''}
+                    </div>`;
+        }).join('');
+        return `
+                <div class="weekly-grid-day">
+                    <div class="weekly-grid-day-name">${day.day.slice(0, 3)}</div>
+                    <div class="weekly-grid-column" style="height: ${height}px;">${blocks}</div>
+                </div>`;
+    }).join('');
+    
+    const unscheduled = grid.unscheduled.length === 0 ? '' : `
+        <p class="section-details">Not on the grid (no meeting time): ${grid.unscheduled
+            .map(entry => escapeHTML(entry.pattern ? `${entry.title} (${entry.pattern})` : entry.title)).join(', ')}</p>`;
+    
+    return `
+        <div class="weekly-grid">
+            <div class="weekly-grid-times">
+                <div class="weekly-grid-day-name"></div>
+                <div class="weekly-grid-hours" style="height: ${height}px;">${hours.join('')}</div>
+            </div>
+            ${days}
+        </div>
+        ${unscheduled}`;
 }
 
 function downloadICS(courses) {
@@ -512,37 +1323,95 @@ function downloadICS(courses) {
         icsContent += 'CALSCALE:GREGORIAN\n';
         icsContent += 'METHOD:PUBLISH\n';
         
-        courses.forEach(course => {
-            const eventId = 'workday-event-' + course.id + '@workday-converter.com';
-            const now = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-            
-            // Calculate the first meeting date based on startDate and days
-            const firstMeetingDate = getFirstMeetingDate(course.startDate, course.days);
-            const dateStr = firstMeetingDate.replace(/-/g, '');
-            
-            icsContent += 'BEGIN:VEVENT\n';
-            icsContent += 'UID:' + eventId + '\n';
-            icsContent += 'DTSTAMP:' + now + '\n';
-            icsContent += 'DTSTART:' + dateStr + 'T' + formatTimeForICS(course.time) + '\n';
-            icsContent += 'DTEND:' + dateStr + 'T' + formatTimeForICS(course.endTime) + '\n';
-            icsContent += 'SUMMARY:' + escapeICS(course.title) + '\n';
-            
-            let rrule = 'RRULE:FREQ=WEEKLY;BYDAY=' + getRRuleDays(course.days);
-            if (course.endDate) {
-                const untilDate = course.endDate.replace(/-/g, '');
-                rrule += ';UNTIL=' + untilDate;
-            }
-            icsContent += rrule + '\n';
-            
-            if (course.location) {
-                icsContent += 'LOCATION:' + escapeICS(course.location) + '\n';
-            }
+        // Define the time zone every DTSTART/DTEND/EXDATE refers to
+        const years = getScheduleYearRange(courses);
+        icsContent += TimeZone.buildVTimezone(currentTimezone, years.start, years.end).join('\n') + '\n';
+        
+        let leftOut = 0;
+        
+        courses.forEach(parsedCourse => {
+            // One VEVENT per meeting pattern
+            ScheduleModel.expandCourseMeetings(parsedCourse).forEach(course => {
+                // Keep the original UID for the first meeting so re-imports update existing events
+                const uidSuffix = course.meetingIndex > 0 ? '-' + course.meetingIndex : '';
+                const eventId = 'workday-event-' + course.id + uidSuffix + '@workday-converter.com';
+                const now = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+                
+                // Online/TBA meetings: an all-day note for the term, or nothing
+                if (course.unscheduled) {
+                    const span = unscheduledPolicy === 'allDay' ? ScheduleModel.getAllDaySpan(course) : null;
+                    if (!span) {
+                        leftOut++;
+                        return;
+                    }
+                    icsContent += 'BEGIN:VEVENT\n';
+                    icsContent += 'UID:' + eventId + '\n';
+                    icsContent += 'DTSTAMP:' + now + '\n';
+                    icsContent += 'DTSTART;VALUE=DATE:' + span.startDate.replace(/-/g, '') + '\n';
+                    icsContent += 'DTEND;VALUE=DATE:' + span.endDate.replace(/-/g, '') + '\n';
+                    icsContent += 'SUMMARY:' + ScheduleModel.escapeICS(EventTemplate.formatEventTitle(course, eventTemplates, statusPolicies, buildingDirectory)) + '\n';
+                    icsContent += ScheduleModel.getStatusPolicy(course, statusPolicies) === 'tentative' ? 'STATUS:TENTATIVE\n' : '';
+                    icsContent += 'TRANSP:TRANSPARENT\n';
+                    icsContent += 'DESCRIPTION:' + ScheduleModel.escapeICS(EventTemplate.formatEventDescription(course, eventTemplates, buildingDirectory)) + '\n';
+                    icsContent += 'END:VEVENT\n';
+                    return;
+                }
+                
+                // Calculate the first meeting date based on startDate and days
+                const firstMeetingDate = getCourseFirstMeetingDate(course);
+                const dateStr = firstMeetingDate.replace(/-/g, '');
+                
+                icsContent += 'BEGIN:VEVENT\n';
+                icsContent += 'UID:' + eventId + '\n';
+                icsContent += 'DTSTAMP:' + now + '\n';
+                icsContent += 'DTSTART;TZID=' + currentTimezone + ':' + dateStr + 'T' + ScheduleModel.formatTimeForICS(course.time) + '\n';
+                icsContent += 'DTEND;TZID=' + currentTimezone + ':' + dateStr + 'T' + ScheduleModel.formatTimeForICS(course.endTime) + '\n';
+                icsContent += 'SUMMARY:' + ScheduleModel.escapeICS(EventTemplate.formatEventTitle(course, eventTemplates, statusPolicies, buildingDirectory)) + '\n';
+                icsContent += getICSStatusLines(course);
+                
+                const rrule = ScheduleModel.buildRecurrenceRule(course.days, course.endDate);
+                if (rrule) {
+                    icsContent += rrule + '\n';
+                    
+                    // Skip class meetings that fall on holidays or breaks
+                    const exdate = TermCalendar.buildExdateLine(TermCalendar.getExcludedDates(course, termCalendar), course.time, currentTimezone);
+                    if (exdate) {
+                        icsContent += exdate + '\n';
+                    }
+                }
+                
+                icsContent += BuildingDirectory.buildICSLocationLines(course.location, buildingDirectory).map(line => line + '\n').join('');
+                
+                const description = EventTemplate.formatEventDescription(course, eventTemplates, buildingDirectory);
+                if (description) {
+                    icsContent += 'DESCRIPTION:' + ScheduleModel.escapeICS(description) + '\n';
+                }
+                
+                icsContent += 'END:VEVENT\n';
+            });
             
-            if (course.instructor) {
-                icsContent += 'DESCRIPTION:Instructor: ' + escapeICS(course.instructor) + '\n';
+            // The final exam is a single event with its own reminders
+            const exam = parsedCourse.exam;
+            if (exam) {
+                const examDate = exam.date.replace(/-/g, '');
+                const examTitle = ExamSchedule.getExamTitle(parsedCourse, statusPolicies);
+                icsContent += 'BEGIN:VEVENT\n';
+                icsContent += 'UID:workday-exam-' + parsedCourse.id + '@workday-converter.com\n';
+                icsContent += 'DTSTAMP:' + new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z\n';
+                icsContent += 'DTSTART;TZID=' + currentTimezone + ':' + examDate + 'T' + ScheduleModel.formatTimeForICS(exam.time) + '\n';
+                icsContent += 'DTEND;TZID=' + currentTimezone + ':' + examDate + 'T' + ScheduleModel.formatTimeForICS(exam.endTime) + '\n';
+                icsContent += 'SUMMARY:' + ScheduleModel.escapeICS(examTitle) + '\n';
+                icsContent += getICSStatusLines(parsedCourse);
+                if (exam.location) {
+                    icsContent += BuildingDirectory.buildICSLocationLines(exam.location, buildingDirectory).map(line => line + '\n').join('');
+                }
+                const examDescription = EventTemplate.formatExamDescription(parsedCourse, eventTemplates, buildingDirectory);
+                if (examDescription) {
+                    icsContent += 'DESCRIPTION:' + ScheduleModel.escapeICS(examDescription) + '\n';
+                }
+                icsContent += ExamSchedule.buildAlarmLines(examReminders, examTitle).map(line => line + '\n').join('');
+                icsContent += 'END:VEVENT\n';
             }
-            
-            icsContent += 'END:VEVENT\n';
         });
         
         icsContent += 'END:VCALENDAR';
@@ -558,169 +1427,300 @@ function downloadICS(courses) {
         document.body.removeChild(a);
         window.URL.revokeObjectURL(url);
         
-        showSuccess('Calendar file downloaded successfully!');
+        showSuccess(leftOut > 0
+            ? `Calendar file downloaded successfully! ${leftOut} meeting(s) without days or times were left out.`
+            : 'Calendar file downloaded successfully!');
         
     } catch (error) {
         showError('Error generating calendar file: ' + error.message);
     }
 }
 
-function formatTimeForICS(timeStr) {
-    // Convert time like "09:00" or "9:00 AM" to "090000"
-    let time = timeStr.toString().trim();
-    
-    // Handle AM/PM
-    const isPM = time.toLowerCase().includes('pm');
-    const isAM = time.toLowerCase().includes('am');
-    
-    // Remove AM/PM and extract numbers
-    time = time.replace(/[^\d:]/g, '');
-    const [hours, minutes] = time.split(':');
-    
-    let hour24 = parseInt(hours) || 9;
-    if (isPM && hour24 < 12) hour24 += 12;
-    if (isAM && hour24 === 12) hour24 = 0;
-    
-    return String(hour24).padStart(2, '0') + 
-           String(minutes || 0).padStart(2, '0') + '00';
+// Tentative, free events for waitlisted or pending courses when that is the chosen policy
+function getICSStatusLines(course) {
+    if (ScheduleModel.getStatusPolicy(course, statusPolicies) !== 'tentative') {
+        return '';
+    }
+    return 'STATUS:TENTATIVE\nTRANSP:TRANSPARENT\n';
 }
 
-function getFirstMeetingDate(startDateStr, daysStr) {
-    try {
-        // Map full day names to JS day indices (0=Sun ... 6=Sat)
-        const nameToIndex = {
-            'Sunday': 0,
-            'Monday': 1,
-            'Tuesday': 2,
-            'Wednesday': 3,
-            'Thursday': 4,
-            'Friday': 5,
-            'Saturday': 6
-        };
-
-        // Parse days first to get target day indices
-        let targetIndices = [];
-        if (daysStr) {
-            // Support both "/" and "," separators
-            const dayNames = daysStr.split(/[\/\,]/).map(s => s.trim()).filter(Boolean);
-            targetIndices = dayNames
-                .map(n => nameToIndex[n])
-                .filter(i => typeof i === 'number');
-        }
+// Shown in the template preview until a schedule is uploaded
+const SAMPLE_TEMPLATE_COURSE = {
+    title: 'CSE 4501 - Video Game Programming II',
+    component: 'Lecture',
+    section: '01',
+    instructor: 'Dr. Smith',
+    location: 'RIDGLEY, Room 00016',
+    credits: 3,
+    term: 'Fall 2025'
+};
+
+function readTemplateInputs() {
+    return {
+        title: document.getElementById('titleTemplateInput').value,
+        description: document.getElementById('descriptionTemplateInput').value
+    };
+}
 
-        // If no valid days found, use today as fallback
-        if (targetIndices.length === 0) {
-            const today = new Date();
-            return `${String(today.getFullYear()).padStart(4, '0')}-${String(today.getMonth()+1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+/**
+ * Use the typed title and description templates if they're valid, and preview them either way
+ */
+function updateEventTemplates() {
+    const templates = readTemplateInputs();
+    if (!EventTemplate.getTemplateError(templates)) {
+        eventTemplates = EventTemplate.normalizeTemplates(templates);
+        try {
+            localStorage.setItem('eventTemplates', JSON.stringify(templates));
+        } catch (e) {
+            console.warn('Could not save event templates to localStorage:', e);
         }
+    }
+    displayTemplatePreview();
+}
 
-        // Determine the base date
-        let start;
-        if (startDateStr) {
-            // Parse start date into a Date object
-            let year, month, day;
-            if (typeof startDateStr === 'number') {
-                const d = new Date(startDateStr);
-                year = d.getFullYear();
-                month = d.getMonth() + 1;
-                day = d.getDate();
-            } else if (startDateStr.includes('-')) {
-                const parts = startDateStr.split('-').map(Number);
-                [year, month, day] = parts;
-            } else if (startDateStr.includes('/')) {
-                const parts = startDateStr.split('/').map(Number);
-                if (parts.length === 3) {
-                    [month, day, year] = parts;
-                    if (year < 100) {
-                        year += (year < 30) ? 2000 : 1900;
-                    }
-                }
-            } else {
-                const d = new Date(startDateStr);
-                if (!isNaN(d.getTime())) {
-                    year = d.getFullYear();
-                    month = d.getMonth() + 1;
-                    day = d.getDate();
-                }
-            }
+// The first class that will be added, or a sample one, as its event would read
+function displayTemplatePreview() {
+    const error = EventTemplate.getTemplateError(readTemplateInputs());
+    const preview = document.getElementById('templatePreview');
+    preview.classList.toggle('error', Boolean(error));
+    if (error) {
+        preview.textContent = error;
+        return;
+    }
+    const course = ScheduleModel.expandCourseMeetings(getCoursesToAdd()[0] || SAMPLE_TEMPLATE_COURSE)[0];
+    const title = EventTemplate.formatEventTitle(course, eventTemplates, statusPolicies, buildingDirectory);
+    const description = EventTemplate.formatEventDescription(course, eventTemplates, buildingDirectory);
+    preview.innerHTML = `<strong>${escapeHTML(title)}</strong>${description ? `\n${escapeHTML(description)}` : ''}`;
+}
 
-            if (year && month && day) {
-                start = new Date(year, (month - 1), day);
-            }
+function loadTimeZoneOptions() {
+    try {
+        const savedTimeZone = localStorage.getItem('timeZone');
+        if (TimeZone.isValidTimeZone(savedTimeZone)) {
+            currentTimezone = savedTimeZone;
         }
+    } catch (e) {
+        console.warn('Could not read time zone from localStorage:', e);
+    }
+    
+    const select = document.getElementById('timeZoneSelect');
+    TimeZone.listTimeZones(currentTimezone).forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        select.appendChild(option);
+    });
+    select.value = currentTimezone;
+}
 
-        // If no valid start date, use today
-        if (!start || isNaN(start.getTime())) {
-            start = new Date();
-        }
+// First and last calendar year the schedule touches, for the VTIMEZONE block
+function getScheduleYearRange(courses) {
+    const years = [];
+    courses.forEach(parsedCourse => {
+        ScheduleModel.expandCourseMeetings(parsedCourse).forEach(course => {
+            [course.startDate, course.endDate].forEach(value => {
+                const date = ScheduleModel.parseDate(value);
+                if (date) years.push(date.year);
+            });
+        });
+    });
+    
+    if (years.length === 0) {
+        const thisYear = new Date().getFullYear();
+        return { start: thisYear, end: thisYear };
+    }
+    return { start: Math.min(...years), end: Math.max(...years) };
+}
 
-        // If start day already matches a meeting day, keep it
-        if (targetIndices.includes(start.getDay())) {
-            return `${String(start.getFullYear()).padStart(4, '0')}-${String(start.getMonth()+1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
-        }
+/**
+ * Use an uploaded exam schedule for the loaded courses and any parsed later
+ */
+function setExamSchedule(schedule) {
+    examSchedule = schedule;
+    
+    const status = document.getElementById('examScheduleStatus');
+    if (courses.length === 0) {
+        status.textContent = `${schedule.name}: ${schedule.exams.length} exams; they'll be matched to your courses when you upload your schedule`;
+        return;
+    }
+    
+    const result = ExamSchedule.applyExamSchedule(courses, schedule.exams);
+    courses = result.courses;
+    status.textContent = `${schedule.name}: ${result.matched} of ${schedule.exams.length} exams matched your courses`;
+    displayPreview(courses);
+    saveCourses();
+}
 
-        // Otherwise, advance up to 7 days to find the next matching meeting day
-        for (let offset = 1; offset <= 7; offset++) {
-            const d = new Date(start);
-            d.setDate(start.getDate() + offset);
-            if (targetIndices.includes(d.getDay())) {
-                return `${String(d.getFullYear()).padStart(4, '0')}-${String(d.getMonth()+1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-            }
+function setTermCalendar(calendar) {
+    termCalendar = calendar;
+    
+    const status = document.getElementById('termCalendarStatus');
+    status.textContent = calendar
+        ? `${calendar.name || 'Academic calendar'}: skipping ${calendar.holidays.length} holidays and ${calendar.breaks.length} breaks`
+        : '';
+    
+    // Keep the choice across the OAuth redirect, like the courses
+    try {
+        if (calendar) {
+            sessionStorage.setItem('termCalendar', JSON.stringify(calendar));
+        } else {
+            sessionStorage.removeItem('termCalendar');
         }
+    } catch (e) {
+        console.warn('Could not save academic calendar to sessionStorage:', e);
+    }
+    
+    if (courses.length > 0) {
+        displayPreview(courses);
+    }
+}
+
+/**
+ * Register the source adapters listed in /shared/adapters/index.json and offer them
+ * in the source system dropdown; Workday is built in
+ */
+async function loadSourceAdapters() {
+    let entries = [];
+    try {
+        const response = await fetch('/shared/adapters/index.json');
+        entries = await response.json();
+    } catch (error) {
+        // Silently fail - Workday exports still work
+    }
+    
+    for (const entry of entries) {
+        await new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = `/shared/adapters/${entry.script}`;
+            script.onload = resolve;
+            script.onerror = () => {
+                console.warn(`Could not load source adapter ${entry.id}`);
+                resolve();
+            };
+            document.head.appendChild(script);
+        });
+    }
+    
+    const sourceSelect = document.getElementById('sourceSelect');
+    ScheduleModel.getAdapters().forEach(adapter => {
+        const option = document.createElement('option');
+        option.value = adapter.id;
+        option.textContent = adapter.name;
+        sourceSelect.appendChild(option);
+    });
+}
 
-        // Fallback: return start date (shouldn't reach here, but just in case)
-        return `${String(start.getFullYear()).padStart(4, '0')}-${String(start.getMonth()+1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+async function loadInstitutions() {
+    try {
+        const response = await fetch('/institutions/index.json');
+        institutions = await response.json();
+    } catch (error) {
+        // Silently fail - the default profile and .ics upload still work
+        return;
+    }
+    
+    const termSelect = document.getElementById('termCalendarSelect');
+    const uploadOption = termSelect.querySelector('option[value="upload"]');
+    institutions.filter(institution => institution.termCalendar).forEach(institution => {
+        const option = document.createElement('option');
+        option.value = institution.termCalendar;
+        option.textContent = institution.name;
+        termSelect.insertBefore(option, uploadOption);
+    });
+    
+    const institutionSelect = document.getElementById('institutionSelect');
+    institutions.filter(institution => institution.profile).forEach(institution => {
+        const option = document.createElement('option');
+        option.value = institution.id;
+        option.textContent = institution.name;
+        institutionSelect.appendChild(option);
+    });
+    
+    // ?institution=<id> wins, then the last choice, then the registry default
+    let savedInstitution = null;
+    try {
+        savedInstitution = localStorage.getItem('institution');
     } catch (e) {
-        console.warn('getFirstMeetingDate failed, using fallback:', e?.message);
-        // Fallback: find next occurrence of first meeting day from today
-        const today = new Date();
-        const nameToIndex = {
-            'Sunday': 0, 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3,
-            'Thursday': 4, 'Friday': 5, 'Saturday': 6
-        };
-        if (daysStr) {
-            const dayNames = daysStr.split(/[\/\,]/).map(s => s.trim()).filter(Boolean);
-            const targetIndices = dayNames.map(n => nameToIndex[n]).filter(i => typeof i === 'number');
-            if (targetIndices.length > 0) {
-                for (let offset = 0; offset <= 7; offset++) {
-                    const d = new Date(today);
-                    d.setDate(today.getDate() + offset);
-                    if (targetIndices.includes(d.getDay())) {
-                        return `${String(d.getFullYear()).padStart(4, '0')}-${String(d.getMonth()+1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-                    }
-                }
-            }
+        console.warn('Could not read institution from localStorage:', e);
+    }
+    const requested = new URLSearchParams(window.location.search).get('institution') || savedInstitution;
+    const initial = institutions.find(institution => institution.id === requested && institution.profile) ||
+        institutions.find(institution => institution.default && institution.profile);
+    if (initial) {
+        await selectInstitution(initial.id);
+    }
+}
+
+// A file a profile points to (building directory, walking times), normalized, or null
+async function loadInstitutionFile(path, normalize) {
+    if (!path) {
+        return null;
+    }
+    try {
+        const response = await fetch(`/institutions/${path}`);
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
         }
-        // Last resort: tomorrow
-        const fallback = new Date();
-        fallback.setDate(fallback.getDate() + 1);
-        return fallback.toISOString().split('T')[0];
+        return normalize(await response.json());
+    } catch (error) {
+        console.warn(`Could not load ${path}:`, error);
+        return null;
     }
 }
 
-function getRRuleDays(daysStr) {
-    const dayMap = {
-        'monday': 'MO', 'tuesday': 'TU', 'wednesday': 'WE', 'thursday': 'TH',
-        'friday': 'FR', 'saturday': 'SA', 'sunday': 'SU',
-        'mon': 'MO', 'tue': 'TU', 'wed': 'WE', 'thu': 'TH',
-        'fri': 'FR', 'sat': 'SA', 'sun': 'SU'
-    };
+// The page's own footer, for schools whose profile has none
+const DEFAULT_FOOTER_TEXT = document.getElementById('footerText').textContent;
+
+async function selectInstitution(id) {
+    const entry = institutions.find(institution => institution.id === id);
+    
+    try {
+        if (entry && entry.profile) {
+            const response = await fetch(`/institutions/${entry.profile}`);
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            institutionProfile = InstitutionProfile.normalizeProfile(Object.assign({ id: entry.id }, await response.json()));
+        } else {
+            institutionProfile = InstitutionProfile.DEFAULT_PROFILE;
+        }
+    } catch (error) {
+        showError('Could not load institution profile: ' + error.message);
+        institutionProfile = InstitutionProfile.DEFAULT_PROFILE;
+    }
+    
+    // Without a directory, locations are used as exported; without walking times, nothing is checked
+    buildingDirectory = await loadInstitutionFile(institutionProfile.buildingDirectory, BuildingDirectory.normalizeDirectory);
+    travelTimes = await loadInstitutionFile(institutionProfile.travelTimes, TravelTime.normalizeTravelTable);
     
-    // Support both "/" and "," separators, and handle whitespace
-    const days = daysStr.toLowerCase().split(/[\/\,]/).map(d => d.trim()).filter(d => d);
-    const rruleDays = days.map(day => dayMap[day] || null).filter(Boolean);
+    document.getElementById('institutionSelect').value = entry && entry.profile ? entry.id : '';
+    document.getElementById('footerText').textContent = institutionProfile.footerText || DEFAULT_FOOTER_TEXT;
+    
+    try {
+        localStorage.setItem('institution', institutionProfile.id);
+        // Use the campus time zone unless the user picked one explicitly
+        if (!localStorage.getItem('timeZone') && TimeZone.isValidTimeZone(institutionProfile.timeZone)) {
+            currentTimezone = institutionProfile.timeZone;
+            document.getElementById('timeZoneSelect').value = currentTimezone;
+        }
+    } catch (e) {
+        console.warn('Could not save institution to localStorage:', e);
+    }
     
-    // If no valid days found, default to Monday
-    return rruleDays.length > 0 ? rruleDays.join(',') : 'MO';
+    // Course codes and title cleanup differ per school
+    if (sources.length > 0) {
+        hideMessages();
+        parseSources();
+    } else if (courses.length > 0) {
+        // Buildings and walking times differ too
+        displayPreview(courses);
+    }
 }
 
-function escapeICS(text) {
-    return text.toString()
-        .replace(/\\/g, '\\\\')
-        .replace(/;/g, '\\;')
-        .replace(/,/g, '\\,')
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '');
+function getCourseFirstMeetingDate(course) {
+    // Courses without a term start date count from today
+    const startDate = course.startDate || ScheduleModel.formatLocalDate(new Date());
+    return ScheduleModel.getFirstMeetingDate(startDate, course.days);
 }
 
 function showError(message) {
@@ -791,22 +1791,14 @@ function createMultiCourseGoogleCalendarUrl(courses) {
     const baseUrl = 'https://calendar.google.com/calendar/render';
     const params = new URLSearchParams();
     
-    // Event title
+    // Event title and description from the same templates as the single-course links
     params.append('action', 'TEMPLATE');
-    params.append('text', firstCourse.title);
-    
-    // Event description with all courses listed
-    let description = `Course: ${firstCourse.title}`;
-    if (firstCourse.instructor) {
-        description += `\nInstructor: ${firstCourse.instructor}`;
-    }
-    if (firstCourse.location) {
-        description += `\nLocation: ${firstCourse.location}`;
-    }
+    params.append('text', EventTemplate.formatEventTitle(firstCourse, eventTemplates, statusPolicies, buildingDirectory));
+    let description = EventTemplate.formatEventDescription(firstCourse, eventTemplates, buildingDirectory);
     
-    // Add list of all courses
+    // Add list of all courses; it's instructions rather than event details, so it isn't templated
     if (courses.length > 1) {
-        description += `\n\nAll ${courses.length} courses from your Workday schedule:`;
+        description += `${description ? '\n\n' : ''}All ${courses.length} courses from your Workday schedule:`;
         courses.forEach((course, index) => {
             description += `\n${index + 1}. ${course.title}`;
             if (course.days && course.time) {
@@ -823,26 +1815,26 @@ function createMultiCourseGoogleCalendarUrl(courses) {
     
     // Location
     if (firstCourse.location) {
-        params.append('location', firstCourse.location);
+        params.append('location', BuildingDirectory.getEventLocation(firstCourse.location, buildingDirectory));
     }
     
-    // For now, we'll create a sample date (you might want to make this more sophisticated)
-    const sampleDate = new Date();
-    sampleDate.setDate(sampleDate.getDate() + 1); // Tomorrow
-    const dateStr = sampleDate.toISOString().split('T')[0].replace(/-/g, '');
+    // Start on the same first meeting date the ICS export and Google insert use
+    const dateStr = getCourseFirstMeetingDate(firstCourse).replace(/-/g, '');
     
     // Parse time (assuming format like "5:30 PM")
-    const startTime = parseTimeForGoogleCalendar(firstCourse.time);
-    const endTime = parseTimeForGoogleCalendar(firstCourse.endTime);
+    const startTime = ScheduleModel.formatTimeForICS(firstCourse.time);
+    const endTime = ScheduleModel.formatTimeForICS(firstCourse.endTime);
     
     // Create datetime strings
     const startDateTime = `${dateStr}T${startTime}`;
     const endDateTime = `${dateStr}T${endTime}`;
     
     params.append('dates', `${startDateTime}/${endDateTime}`);
+    // Interpret the times in the selected time zone rather than the viewer's
+    params.append('ctz', currentTimezone);
     
-    // Recurrence (simplified - weekly on the specified day)
-    const recurrence = getRecurrenceRule(firstCourse.days);
+    // Weekly recurrence until the end of term
+    const recurrence = ScheduleModel.buildRecurrenceRule(firstCourse.days, firstCourse.endDate);
     if (recurrence) {
         params.append('recur', recurrence);
     }
@@ -857,84 +1849,59 @@ function createGoogleCalendarUrl(course) {
     
     // Event title
     params.append('action', 'TEMPLATE');
-    params.append('text', course.title);
-    
-    // Event description
-    let description = `Course: ${course.title}`;
-    if (course.instructor) {
-        description += `\nInstructor: ${course.instructor}`;
-    }
-    if (course.location) {
-        description += `\nLocation: ${course.location}`;
+    params.append('text', EventTemplate.formatEventTitle(course, eventTemplates, statusPolicies, buildingDirectory));
+    
+    // Unscheduled meetings become an all-day note spanning the term
+    if (course.unscheduled) {
+        params.append('details', EventTemplate.formatEventDescription(course, eventTemplates, buildingDirectory));
+        const span = ScheduleModel.getAllDaySpan(course);
+        if (span) {
+            params.append('dates', `${span.startDate.replace(/-/g, '')}/${span.endDate.replace(/-/g, '')}`);
+        }
+        params.append('trp', 'false');
+        return `${baseUrl}?${params.toString()}`;
     }
-    params.append('details', description);
+    
+    params.append('details', EventTemplate.formatEventDescription(course, eventTemplates, buildingDirectory));
     
     // Location
     if (course.location) {
-        params.append('location', course.location);
+        params.append('location', BuildingDirectory.getEventLocation(course.location, buildingDirectory));
     }
     
-    // For now, we'll create a sample date (you might want to make this more sophisticated)
-    const sampleDate = new Date();
-    sampleDate.setDate(sampleDate.getDate() + 1); // Tomorrow
-    const dateStr = sampleDate.toISOString().split('T')[0].replace(/-/g, '');
+    // Start on the same first meeting date the ICS export and Google insert use
+    const dateStr = getCourseFirstMeetingDate(course).replace(/-/g, '');
     
     // Parse time (assuming format like "5:30 PM")
-    const startTime = parseTimeForGoogleCalendar(course.time);
-    const endTime = parseTimeForGoogleCalendar(course.endTime);
+    const startTime = ScheduleModel.formatTimeForICS(course.time);
+    const endTime = ScheduleModel.formatTimeForICS(course.endTime);
     
     // Create datetime strings
     const startDateTime = `${dateStr}T${startTime}`;
     const endDateTime = `${dateStr}T${endTime}`;
     
     params.append('dates', `${startDateTime}/${endDateTime}`);
+    // Interpret the times in the selected time zone rather than the viewer's
+    params.append('ctz', currentTimezone);
     
-    // Recurrence (simplified - weekly on the specified day)
-    const recurrence = getRecurrenceRule(course.days);
+    // Weekly recurrence until the end of term
+    const recurrence = ScheduleModel.buildRecurrenceRule(course.days, course.endDate);
     if (recurrence) {
         params.append('recur', recurrence);
     }
     
-    return `${baseUrl}?${params.toString()}`;
-}
-
-function parseTimeForGoogleCalendar(timeStr) {
-    // Convert time like "5:30 PM" to "173000" (24-hour format)
-    let time = timeStr.toString().trim();
-    
-    // Handle AM/PM
-    const isPM = time.toLowerCase().includes('pm');
-    const isAM = time.toLowerCase().includes('am');
-    
-    // Remove AM/PM and extract numbers
-    time = time.replace(/[^\d:]/g, '');
-    const [hours, minutes] = time.split(':');
-    
-    let hour24 = parseInt(hours) || 9;
-    if (isPM && hour24 < 12) hour24 += 12;
-    if (isAM && hour24 === 12) hour24 = 0;
-    
-    return String(hour24).padStart(2, '0') + 
-           String(minutes || 0).padStart(2, '0') + '00';
-}
-
-function getRecurrenceRule(daysStr) {
-    // Convert days to Google Calendar recurrence format
-    const dayMap = {
-        'monday': 'MO', 'tuesday': 'TU', 'wednesday': 'WE', 'thursday': 'TH',
-        'friday': 'FR', 'saturday': 'SA', 'sunday': 'SU',
-        'mon': 'MO', 'tue': 'TU', 'wed': 'WE', 'thu': 'TH',
-        'fri': 'FR', 'sat': 'SA', 'sun': 'SU'
-    };
-    
-    const days = daysStr.toLowerCase().split(/[,\s\/]+/).filter(d => d);
-    const googleDays = days.map(day => dayMap[day] || 'MO').join(',');
+    // Tentative courses show as free
+    if (ScheduleModel.getStatusPolicy(course, statusPolicies) === 'tentative') {
+        params.append('trp', 'false');
+    }
     
-    return `RRULE:FREQ=WEEKLY;BYDAY=${googleDays}`;
+    return `${baseUrl}?${params.toString()}`;
 }
 
 function resetConverter() {
     courses = [];
+    courseEditor = null;
+    excludedComponents = new Set();
     // Clear courses from sessionStorage as well
     try {
         sessionStorage.removeItem('courses');
@@ -944,6 +1911,10 @@ function resetConverter() {
     document.getElementById('fileInput').value = '';
     document.getElementById('downloadBtn').disabled = true;
     document.getElementById('preview').innerHTML = '';
+    sources = [];
+    displayLoadedFiles();
+    hideColumnMapper();
+    displayDiagnostics(null);
     hideMessages();
 }
 
@@ -1084,6 +2055,11 @@ document.getElementById('addToGoogleBtn').addEventListener('click', async () =>
         showGoogleError('Please connect to Google Calendar and load courses first');
         return;
     }
+    const coursesToAdd = getCoursesToAdd();
+    if (coursesToAdd.length === 0) {
+        showGoogleError('Tick at least one component to add');
+        return;
+    }
     
     const btn = document.getElementById('addToGoogleBtn');
     const originalText = btn.innerHTML;
@@ -1115,18 +2091,19 @@ document.getElementById('addToGoogleBtn').addEventListener('click', async () =>
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                courses: courses.map(course => ({
-                    title: course.title,
-                    days: course.days,
-                    time: course.time,
-                    endTime: course.endTime,
-                    location: course.location,
-                    instructor: course.instructor,
-                    startDate: course.startDate,
-                    endDate: course.endDate
-                })),
+                courses: coursesToAdd.map(course => ScheduleModel.pickEventFields(course)),
                 calendarId: calendarId,
-                batchId: batchId
+                batchId: batchId,
+                termCalendar: termCalendar,
+                timeZone: currentTimezone,
+                unscheduled: unscheduledPolicy,
+                examReminders: examReminders,
+                statusPolicies: statusPolicies,
+                // Lets the server resolve building codes with the same directory
+                institution: institutionProfile === InstitutionProfile.DEFAULT_PROFILE ? null : institutionProfile.id,
+                travelBuffers: travelBuffers,
+                blockOnConflicts: blockConflicts,
+                templates: eventTemplates
             }),
             signal: controller.signal
         });
@@ -1135,7 +2112,8 @@ document.getElementById('addToGoogleBtn').addEventListener('click', async () =>
         
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(errorData.error || `Server error: ${response.status}`);
+            const conflicts = (errorData.conflicts || []).map(ScheduleModel.describeTimeConflict);
+            throw new Error((errorData.error || `Server error: ${response.status}`) + (conflicts.length > 0 ? `:\n${conflicts.join('\n')}` : ''));
         }
         
         const result = await response.json();
@@ -1160,7 +2138,22 @@ document.getElementById('addToGoogleBtn').addEventListener('click', async () =>
                 message += `\n\nWarning: ${result.errors.length} course(s) had errors:\n${result.errors.join('\n')}`;
             }
             
+            // Meetings left out on purpose (no days or times)
+            if (result.warnings && result.warnings.length > 0) {
+                message += `\n\nNot added:\n${result.warnings.join('\n')}`;
+            }
+            
+            if (result.termCalendarWarnings && result.termCalendarWarnings.length > 0) {
+                message += `\n\nHolidays not skipped:\n${result.termCalendarWarnings.join('\n')}`;
+            }
+            
+            if (result.conflicts && result.conflicts.length > 0) {
+                message += `\n\nOverlapping classes (added anyway):\n${result.conflicts.map(ScheduleModel.describeTimeConflict).join('\n')}`;
+            }
+            
             showGoogleSuccess(message);
+            // Waitlisted courses in this batch can now be marked registered
+            displayPreview(courses);
             
             // Show the delete button
             const deleteBtn = document.getElementById('removeEventsBtn');
@@ -1251,6 +2244,86 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('googleAuthSection').classList.remove('hidden');
     document.getElementById('googleCalendarSection').classList.add('hidden');
     
+    loadTimeZoneOptions();
+    try {
+        const savedPolicy = localStorage.getItem('unscheduledPolicy');
+        if (ScheduleModel.UNSCHEDULED_POLICIES.includes(savedPolicy)) {
+            unscheduledPolicy = savedPolicy;
+        }
+    } catch (e) {
+        console.warn('Could not read unscheduled policy from localStorage:', e);
+    }
+    document.getElementById('unscheduledSelect').value = unscheduledPolicy;
+    const localeSelect = document.getElementById('localeSelect');
+    Object.keys(ScheduleModel.LOCALES).forEach(locale => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = ScheduleModel.LOCALES[locale].name;
+        localeSelect.appendChild(option);
+    });
+    try {
+        const savedLocale = localStorage.getItem('locale');
+        if (ScheduleModel.isLocale(savedLocale)) {
+            exportLocale = savedLocale;
+        }
+    } catch (e) {
+        console.warn('Could not read export language from localStorage:', e);
+    }
+    localeSelect.value = exportLocale;
+    try {
+        const savedReminders = localStorage.getItem('examReminders');
+        if (savedReminders && ExamSchedule.EXAM_REMINDERS[savedReminders]) {
+            examReminders = savedReminders;
+        }
+    } catch (e) {
+        console.warn('Could not read exam reminders from localStorage:', e);
+    }
+    document.getElementById('examReminderSelect').value = examReminders;
+    try {
+        travelBuffers = localStorage.getItem('travelBuffers') === 'true';
+    } catch (e) {
+        console.warn('Could not read travel buffers from localStorage:', e);
+    }
+    document.getElementById('travelBuffersCheckbox').checked = travelBuffers;
+    try {
+        blockConflicts = localStorage.getItem('blockConflicts') === 'true';
+    } catch (e) {
+        console.warn('Could not read conflict blocking from localStorage:', e);
+    }
+    document.getElementById('blockConflictsCheckbox').checked = blockConflicts;
+    try {
+        previewView = localStorage.getItem('previewView') === 'grid' ? 'grid' : 'table';
+    } catch (e) {
+        console.warn('Could not read preview layout from localStorage:', e);
+    }
+    try {
+        const savedPolicies = JSON.parse(localStorage.getItem('statusPolicies'));
+        ScheduleModel.PENDING_STATES.forEach(state => {
+            if (savedPolicies && ScheduleModel.STATUS_POLICIES.includes(savedPolicies[state.key])) {
+                statusPolicies[state.key] = savedPolicies[state.key];
+            }
+        });
+    } catch (e) {
+        console.warn('Could not read registration status policies from localStorage:', e);
+    }
+    document.querySelectorAll('.status-policy-select').forEach(select => {
+        select.value = statusPolicies[select.getAttribute('data-state')];
+    });
+    try {
+        const savedTemplates = JSON.parse(localStorage.getItem('eventTemplates'));
+        if (savedTemplates && !EventTemplate.getTemplateError(savedTemplates)) {
+            eventTemplates = EventTemplate.normalizeTemplates(savedTemplates);
+        }
+    } catch (e) {
+        console.warn('Could not read event templates from localStorage:', e);
+    }
+    document.getElementById('titleTemplateInput').value = eventTemplates.title;
+    document.getElementById('descriptionTemplateInput').value = eventTemplates.description;
+    document.getElementById('templatePlaceholders').innerHTML = 'Placeholders: ' +
+        EventTemplate.PLACEHOLDERS.map(placeholder => `<code title="${escapeHTML(placeholder.description)}">{${placeholder.key}}</code>`).join(' ') +
+        '. Lines whose placeholders are all empty are left out.';
+    displayTemplatePreview();
+    
     // Restore courses from sessionStorage if they exist (e.g., after OAuth redirect)
     try {
         const savedCourses = sessionStorage.getItem('courses');
@@ -1267,6 +2340,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.warn('Could not restore courses from sessionStorage:', e);
     }
     
+    adaptersLoaded = loadSourceAdapters();
+    await adaptersLoaded;
+    await loadInstitutions();
+    try {
+        const savedTermCalendar = sessionStorage.getItem('termCalendar');
+        if (savedTermCalendar) {
+            setTermCalendar(JSON.parse(savedTermCalendar));
+        }
+    } catch (e) {
+        console.warn('Could not restore academic calendar from sessionStorage:', e);
+    }
+    
     // Check if redirected from OAuth callback
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('auth') === 'success') {
@@ -3,6 +3,14 @@ const fs = require('fs-extra');
 const path = require('path');
 require('dotenv').config();
 
+const ScheduleModel = require('./shared/schedule-model');
+const TermCalendar = require('./shared/term-calendar');
+const ExamSchedule = require('./shared/exam-schedule');
+const BuildingDirectory = require('./shared/building-directory');
+const TravelTime = require('./shared/travel-time');
+const EventTemplate = require('./shared/event-template');
+const TimeZone = require('./shared/time-zone');
+
 /**
  * Google Calendar API Integration
  * Handles authentication and event creation
@@ -154,8 +162,20 @@ class GoogleCalendarManager {
 
     /**
      * Create events from courses
+     * options.termCalendar: holidays and breaks to skip (see scripts/shared/term-calendar.js)
+     * options.timeZone: IANA time zone the class times are in (default America/Chicago)
+     * options.unscheduled: 'allDay' adds unscheduled (online/TBA) meetings as all-day term-long
+     *   notes; anything else ('skip', 'hold') leaves them out with a warning
+     * options.examReminders: reminder preset for final exam events (see ExamSchedule.EXAM_REMINDERS)
+     * options.statusPolicies: what to do with waitlisted and pending courses (see ScheduleModel.getStatusPolicy)
+     * options.buildingDirectory: resolves building codes to street addresses for the event location
+     *   (see scripts/shared/building-directory.js); the raw location stays in the description
+     * options.travelBuffers: add "travel" events before classes in another building, timed with
+     *   options.travelTimes (see scripts/shared/travel-time.js)
+     * options.templates: title and description templates for class events
+     *   (see scripts/shared/event-template.js); the defaults when missing
      */
-    async createEvents(courses, calendarId = 'primary', batchId = null) {
+    async createEvents(courses, calendarId = 'primary', batchId = null, options = {}) {
         try {
             this.initOAuth2();
             const hasTokens = await this.loadTokens();
@@ -174,21 +194,71 @@ class GoogleCalendarManager {
             
             const events = [];
             const errors = [];
+            const warnings = [];
             const eventIds = [];
 
             for (const course of courses) {
-                try {
-                    const event = await this.createEventFromCourse(course, calendarId, batchId);
-                    events.push(event);
-                    eventIds.push(event.id);
-                } catch (error) {
-                    console.error(`Failed to create event for ${course.title}:`, error.message);
-                    errors.push(`Course "${course.title}": ${error.message}`);
+                // Waitlisted or pending courses the user chose to leave out
+                if (ScheduleModel.getStatusPolicy(course, options.statusPolicies) === 'exclude') {
+                    warnings.push(`Course "${ScheduleModel.getCourseLabel(course, options.statusPolicies)}": ${course.registrationStatus}; not added`);
+                    continue;
+                }
+                
+                // One recurring event per meeting pattern (lecture, lab, discussion)
+                const meetings = ScheduleModel.expandCourseMeetings(course);
+                for (const meeting of meetings) {
+                    const label = meetings.length > 1
+                        ? `${ScheduleModel.getCourseLabel(course, options.statusPolicies)} (${meeting.days || meeting.pattern || 'unscheduled'})`
+                        : ScheduleModel.getCourseLabel(course, options.statusPolicies);
+                    // Online/TBA meetings have no days or times to repeat on
+                    if (meeting.unscheduled && options.unscheduled !== 'allDay') {
+                        warnings.push(`Course "${label}": no meeting days or times; not added`);
+                        continue;
+                    }
+                    try {
+                        const event = meeting.unscheduled
+                            ? await this.createAllDayEventFromCourse(meeting, calendarId, batchId, options)
+                            : await this.createEventFromCourse(meeting, calendarId, batchId, options);
+                        events.push(event);
+                        eventIds.push(event.id);
+                    } catch (error) {
+                        console.error(`Failed to create event for ${label}:`, error.message);
+                        errors.push(`Course "${label}": ${error.message}`);
+                    }
+                }
+                
+                // The final exam is a single event of its own, not part of the weekly pattern
+                if (course.exam) {
+                    try {
+                        const event = await this.createExamEventFromCourse(course, calendarId, batchId, options);
+                        events.push(event);
+                        eventIds.push(event.id);
+                    } catch (error) {
+                        console.error(`Failed to create final exam event for ${course.title}:`, error.message);
+                        errors.push(`Final exam for "${ScheduleModel.getCourseLabel(course, options.statusPolicies)}": ${error.message}`);
+                    }
+                }
+            }
+
+            // Walks between back-to-back classes, among the courses actually added
+            if (options.travelBuffers) {
+                const added = courses.filter(course => ScheduleModel.getStatusPolicy(course, options.statusPolicies) !== 'exclude');
+                for (const leg of TravelTime.getTravelLegs(added, options.buildingDirectory, options.travelTimes)) {
+                    try {
+                        const event = await this.createTravelEvent(leg, calendarId, batchId, options);
+                        if (event) {
+                            events.push(event);
+                            eventIds.push(event.id);
+                        }
+                    } catch (error) {
+                        console.error(`Failed to create travel event to ${leg.to.title}:`, error.message);
+                        errors.push(`Travel to "${leg.to.title}" on ${leg.day}: ${error.message}`);
+                    }
                 }
             }
 
             console.log(`Successfully created ${events.length} events. ${errors.length} errors.`);
-            return { events, errors, eventIds, batchId };
+            return { events, errors, warnings, eventIds, batchId };
         } catch (error) {
             console.error('Error in createEvents:', error);
             throw new Error('Failed to create events: ' + error.message);
@@ -198,7 +268,7 @@ class GoogleCalendarManager {
     /**
      * Create a single event from course data
      */
-    async createEventFromCourse(course, calendarId = 'primary', batchId = null) {
+    async createEventFromCourse(course, calendarId = 'primary', batchId = null, options = {}) {
         try {
             console.log('Creating event for course:', course.title);
             console.log('Course data:', JSON.stringify(course, null, 2));
@@ -215,33 +285,36 @@ class GoogleCalendarManager {
             console.log('Parsed start:', startDateTime);
             console.log('Parsed end:', endDateTime);
             
+            const timeZone = TimeZone.normalizeTimeZone(options.timeZone);
             const recurrence = this.getRecurrenceRule(course.days, course.startDate, course.endDate);
             
             if (!recurrence) {
                 throw new Error(`Invalid recurrence rule for course "${course.title}". Days: ${course.days}`);
             }
             
+            // Skip class meetings that fall on holidays or breaks
+            const excludedDates = TermCalendar.getExcludedDates(course, options.termCalendar);
+            const exdate = TermCalendar.buildExdateLine(excludedDates, course.time, timeZone);
+            if (exdate) {
+                recurrence.push(exdate);
+            }
+            
             console.log('Recurrence rule:', recurrence);
             
             const event = {
-                summary: course.title,
-                description: `Instructor: ${course.instructor || 'TBA'}\nLocation: ${course.location || 'TBA'}`,
-                location: course.location || 'TBA',
+                summary: EventTemplate.formatEventTitle(course, options.templates, options.statusPolicies, options.buildingDirectory),
+                description: EventTemplate.formatEventDescription(course, options.templates, options.buildingDirectory),
+                location: BuildingDirectory.getEventLocation(course.location, options.buildingDirectory) || 'TBA',
                 start: {
                     dateTime: startDateTime,
-                    timeZone: 'America/Chicago'
+                    timeZone: timeZone
                 },
                 end: {
                     dateTime: endDateTime,
-                    timeZone: 'America/Chicago'
+                    timeZone: timeZone
                 },
                 recurrence: recurrence,
-                extendedProperties: {
-                    private: {
-                        appSource: 'workday-to-googlecal',
-                        batchId: batchId || 'unknown'
-                    }
-                },
+                extendedProperties: this.getExtendedProperties(course, batchId),
                 reminders: {
                     useDefault: false,
                     overrides: [
@@ -250,6 +323,7 @@ class GoogleCalendarManager {
                     ]
                 }
             };
+            this.applyStatusPolicy(event, course, options);
 
             console.log('Final event object:', JSON.stringify(event, null, 2));
 
@@ -283,6 +357,155 @@ class GoogleCalendarManager {
         }
     }
 
+    /**
+     * Create an all-day event spanning the term for a meeting without days or times
+     * Marked free so it doesn't block the calendar; it's a note, not a class.
+     */
+    async createAllDayEventFromCourse(course, calendarId = 'primary', batchId = null, options = {}) {
+        const span = ScheduleModel.getAllDaySpan(course);
+        if (!span) {
+            throw new Error(`Missing term dates for unscheduled course "${course.title}". Start: ${course.startDate}, End: ${course.endDate}`);
+        }
+        
+        const event = {
+            summary: EventTemplate.formatEventTitle(course, options.templates, options.statusPolicies, options.buildingDirectory),
+            description: EventTemplate.formatEventDescription(course, options.templates, options.buildingDirectory),
+            start: { date: span.startDate },
+            end: { date: span.endDate },
+            transparency: 'transparent',
+            extendedProperties: this.getExtendedProperties(course, batchId),
+            reminders: {
+                useDefault: false,
+                overrides: []
+            }
+        };
+        this.applyStatusPolicy(event, course, options);
+        
+        const response = await this.calendar.events.insert({
+            calendarId: calendarId,
+            resource: event
+        });
+        
+        console.log('✅ All-day note created for unscheduled course:', course.title);
+        return response.data;
+    }
+
+    /**
+     * Create a one-off event for a course's final exam, with its own reminders
+     */
+    async createExamEventFromCourse(course, calendarId = 'primary', batchId = null, options = {}) {
+        const exam = course.exam;
+        const startDateTime = this.parseDateTime(exam.date, exam.time);
+        const endDateTime = this.parseDateTime(exam.date, exam.endTime);
+        if (!startDateTime || !endDateTime) {
+            throw new Error(`Invalid final exam date/time for course "${course.title}". Date: ${exam.date}, Time: ${exam.time} - ${exam.endTime}`);
+        }
+        
+        const timeZone = TimeZone.normalizeTimeZone(options.timeZone);
+        const event = {
+            summary: ExamSchedule.getExamTitle(course, options.statusPolicies),
+            description: EventTemplate.formatExamDescription(course, options.templates, options.buildingDirectory),
+            start: { dateTime: startDateTime, timeZone: timeZone },
+            end: { dateTime: endDateTime, timeZone: timeZone },
+            extendedProperties: this.getExtendedProperties(Object.assign({}, course, { meetingIndex: 'exam' }), batchId),
+            reminders: {
+                useDefault: false,
+                overrides: ExamSchedule.getReminderMinutes(options.examReminders)
+                    .map(minutes => ({ method: 'popup', minutes: minutes }))
+            }
+        };
+        if (exam.location) {
+            event.location = BuildingDirectory.getEventLocation(exam.location, options.buildingDirectory);
+        }
+        this.applyStatusPolicy(event, course, options);
+        
+        const response = await this.calendar.events.insert({
+            calendarId: calendarId,
+            resource: event
+        });
+        
+        console.log('✅ Final exam event created for course:', course.title);
+        return response.data;
+    }
+
+    /**
+     * Create a weekly "travel" event right before a class in another building
+     * It repeats on the leg's day for as long as both classes meet, and belongs to the later class
+     * so it's removed with the batch.
+     * @returns {?Object} The created event, or null when the classes leave no gap to fill
+     */
+    async createTravelEvent(leg, calendarId = 'primary', batchId = null, options = {}) {
+        const buffer = TravelTime.getTravelBuffer(leg);
+        // A walk to or from a course left out isn't needed; one involving a tentative course is tentative too
+        const policies = [leg.from, leg.to].map(stop => ScheduleModel.getStatusPolicy(stop, options.statusPolicies));
+        if (!buffer || policies.includes('exclude')) {
+            return null;
+        }
+        if (!leg.startDate || !leg.endDate) {
+            throw new Error('Missing term dates');
+        }
+        
+        const meeting = { days: leg.day, startDate: leg.startDate, endDate: leg.endDate, time: buffer.time };
+        const firstDate = this.getFirstMeetingDate(leg.startDate, leg.day);
+        const timeZone = TimeZone.normalizeTimeZone(options.timeZone);
+        const recurrence = this.getRecurrenceRule(leg.day, leg.startDate, leg.endDate);
+        const exdate = TermCalendar.buildExdateLine(TermCalendar.getExcludedDates(meeting, options.termCalendar), buffer.time, timeZone);
+        if (exdate) {
+            recurrence.push(exdate);
+        }
+        
+        const event = {
+            summary: `Travel to ${leg.to.building}`,
+            description: `${leg.travelMinutes} min walk from ${leg.from.building} (${leg.from.title}) to ${leg.to.building} (${leg.to.title})`,
+            location: BuildingDirectory.getEventLocation(leg.to.location, options.buildingDirectory),
+            start: { dateTime: this.parseDateTime(firstDate, buffer.time), timeZone: timeZone },
+            end: { dateTime: this.parseDateTime(firstDate, buffer.endTime), timeZone: timeZone },
+            recurrence: recurrence,
+            extendedProperties: this.getExtendedProperties({ id: leg.to.courseId, meetingIndex: `travel-${leg.to.meetingIndex}-${leg.day}` }, batchId),
+            reminders: {
+                useDefault: false,
+                overrides: []
+            }
+        };
+        this.applyStatusPolicy(event, policies[1] === 'tentative' ? leg.to : leg.from, options);
+        
+        const response = await this.calendar.events.insert({
+            calendarId: calendarId,
+            resource: event
+        });
+        
+        console.log('✅ Travel event created before:', leg.to.title);
+        return response.data;
+    }
+
+    /**
+     * Mark a waitlisted or pending course's event tentative and free, when that is the chosen policy
+     * The tentative flag lets promoteCourseEvents find it once the seat is confirmed.
+     */
+    applyStatusPolicy(event, course, options = {}) {
+        if (ScheduleModel.getStatusPolicy(course, options.statusPolicies) === 'tentative') {
+            event.status = 'tentative';
+            event.transparency = 'transparent';
+            event.extendedProperties.private.tentative = 'true';
+        }
+        return event;
+    }
+
+    /**
+     * Private extended properties used to find and delete a batch's events
+     */
+    getExtendedProperties(course, batchId) {
+        return {
+            private: {
+                appSource: 'workday-to-googlecal',
+                batchId: batchId || 'unknown',
+                // Ties each meeting's event back to its course within the batch
+                courseId: course.id != null ? String(course.id) : 'unknown',
+                meetingIndex: String(course.meetingIndex || 0)
+            }
+        };
+    }
+
     /**
      * Parse date and time into ISO string
      * Accounts for user's local timezone
@@ -301,48 +524,16 @@ class GoogleCalendarManager {
                 return null;
             }
             
-            // Handle different date formats
-            let year, month, day;
-            
-            if (typeof dateStr === 'number') {
-                // Numeric serial date - shouldn't happen but handle it
-                const date = new Date(dateStr);
-                year = date.getFullYear();
-                month = date.getMonth() + 1;
-                day = date.getDate();
-            } else if (dateStr.includes('-')) {
-                // YYYY-MM-DD format
-                const parts = dateStr.split('-').map(Number);
-                [year, month, day] = parts;
-            } else if (dateStr.includes('/')) {
-                // M/D/YY or M/D/YYYY format
-                const parts = dateStr.split('/').map(Number);
-                if (parts.length === 3) {
-                    [month, day, year] = parts;
-                    // Handle 2-digit years
-                    if (year < 100) {
-                        year += (year < 30) ? 2000 : 1900;
-                    }
-                }
-            } else {
-                // Try to parse as is
-                const date = new Date(dateStr);
-                if (!isNaN(date.getTime())) {
-                    year = date.getFullYear();
-                    month = date.getMonth() + 1;
-                    day = date.getDate();
-                }
-            }
-            
-            if (!year || !month || !day) {
+            const date = ScheduleModel.parseDate(dateStr);
+            if (!date) {
                 console.error('Invalid date parsed:', dateStr);
                 return null;
             }
             
             // Format as ISO 8601 without Z suffix (NOT UTC)
             // This tells Google Calendar to interpret the time as-is in the specified timeZone
-            const isoLocal = `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}:00`;
-            console.log(`Parsed: ${dateStr} ${timeStr} -> Formatted for CST: ${isoLocal}`);
+            const isoLocal = `${ScheduleModel.formatDate(date.year, date.month, date.day)}T${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}:00`;
+            console.log(`Parsed: ${dateStr} ${timeStr} -> Local time: ${isoLocal}`);
             
             return isoLocal;
         } catch (error) {
@@ -355,29 +546,7 @@ class GoogleCalendarManager {
      * Parse time string into hours and minutes
      */
     parseTime(timeStr) {
-        if (!timeStr) return null;
-        
-        try {
-            // Handle both 24-hour and 12-hour formats
-            const isPM = timeStr.toLowerCase().includes('pm');
-            const isAM = timeStr.toLowerCase().includes('am');
-            
-            // Remove AM/PM and extract numbers
-            const time = timeStr.replace(/[^\d:]/g, '');
-            const [hours, minutes] = time.split(':');
-            
-            let hour24 = parseInt(hours) || 9;
-            if (isPM && hour24 < 12) hour24 += 12;
-            if (isAM && hour24 === 12) hour24 = 0;
-            
-            return {
-                hours: hour24,
-                minutes: parseInt(minutes) || 0
-            };
-        } catch (error) {
-            console.log('Error parsing time:', error);
-            return null;
-        }
+        return ScheduleModel.parseTime(timeStr);
     }
 
     /**
@@ -389,36 +558,20 @@ class GoogleCalendarManager {
             return null;
         }
 
-        const dayMap = {
-            'Monday': 'MO',
-            'Tuesday': 'TU', 
-            'Wednesday': 'WE',
-            'Thursday': 'TH',
-            'Friday': 'FR',
-            'Saturday': 'SA',
-            'Sunday': 'SU'
-        };
-
-        // Split by both "/" and "," to handle different formats like "Monday/Wednesday" or "Monday, Wednesday"
-        const dayList = days.split(/[/,]/).map(day => dayMap[day.trim()]).filter(Boolean);
-        
-        if (dayList.length === 0) {
-            console.error('No valid days found in:', days);
+        // Validate dates
+        if (!ScheduleModel.parseDate(startDate) || !ScheduleModel.parseDate(endDate)) {
+            console.error('Invalid dates:', { startDate, endDate });
             return null;
         }
 
-        const start = new Date(startDate);
-        const end = new Date(endDate);
+        const rule = ScheduleModel.buildRecurrenceRule(days, endDate);
         
-        // Validate dates
-        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-            console.error('Invalid dates:', { startDate, endDate });
+        if (!rule) {
+            console.error('No valid days found in:', days);
             return null;
         }
-        
-        const until = end.toISOString().split('T')[0].replace(/-/g, '');
 
-        return [`RRULE:FREQ=WEEKLY;BYDAY=${dayList.join(',')};UNTIL=${until}`];
+        return [rule];
     }
 
     /**
@@ -427,78 +580,56 @@ class GoogleCalendarManager {
      * an extra first occurrence on a non-meeting day.
      */
     getFirstMeetingDate(startDateStr, daysStr) {
-        try {
-            if (!startDateStr || !daysStr) return startDateStr;
-
-            // Parse start date into a Date object (local time)
-            let year, month, day;
-            if (typeof startDateStr === 'number') {
-                const d = new Date(startDateStr);
-                year = d.getFullYear();
-                month = d.getMonth() + 1;
-                day = d.getDate();
-            } else if (startDateStr.includes('-')) {
-                const parts = startDateStr.split('-').map(Number);
-                [year, month, day] = parts;
-            } else if (startDateStr.includes('/')) {
-                const parts = startDateStr.split('/').map(Number);
-                if (parts.length === 3) {
-                    [month, day, year] = parts;
-                    if (year < 100) {
-                        year += (year < 30) ? 2000 : 1900;
-                    }
-                }
-            } else {
-                const d = new Date(startDateStr);
-                if (!isNaN(d.getTime())) {
-                    year = d.getFullYear();
-                    month = d.getMonth() + 1;
-                    day = d.getDate();
-                }
-            }
-
-            if (!year || !month || !day) return startDateStr;
-
-            const start = new Date(year, (month - 1), day);
-
-            // Map full day names to JS day indices (0=Sun ... 6=Sat)
-            const nameToIndex = {
-                'Sunday': 0,
-                'Monday': 1,
-                'Tuesday': 2,
-                'Wednesday': 3,
-                'Thursday': 4,
-                'Friday': 5,
-                'Saturday': 6
-            };
-
-            // Support both "/" and "," separators
-            const dayNames = daysStr.split(/[\/\,]/).map(s => s.trim()).filter(Boolean);
-            const targetIndices = dayNames
-                .map(n => nameToIndex[n])
-                .filter(i => typeof i === 'number');
-
-            if (targetIndices.length === 0) return startDateStr;
-
-            // If start day already matches a meeting day, keep it
-            if (targetIndices.includes(start.getDay())) {
-                return `${String(start.getFullYear()).padStart(4, '0')}-${String(start.getMonth()+1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
-            }
+        return ScheduleModel.getFirstMeetingDate(startDateStr, daysStr);
+    }
 
-            // Otherwise, advance up to 7 days to find the next matching meeting day
-            for (let offset = 1; offset <= 7; offset++) {
-                const d = new Date(start);
-                d.setDate(start.getDate() + offset);
-                if (targetIndices.includes(d.getDay())) {
-                    return `${String(d.getFullYear()).padStart(4, '0')}-${String(d.getMonth()+1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    /**
+     * Turn a course's tentative events in a batch (waitlisted, pending) into regular ones
+     * once the student is registered: confirmed, busy and without the "[Waitlisted]" prefix.
+     * The events are updated in place, so the rest of the batch is left alone.
+     */
+    async promoteCourseEvents(batchId, courseId, calendarId = 'primary') {
+        try {
+            this.initOAuth2();
+            await this.loadTokens();
+            
+            const response = await this.calendar.events.list({
+                calendarId: calendarId,
+                privateExtendedProperty: [`batchId=${batchId}`, `courseId=${courseId}`, 'tentative=true'],
+                maxResults: 100,
+                singleEvents: false
+            });
+            
+            const events = response.data.items || [];
+            // "[Waitlisted] " wherever it is, including inside "Final Exam: [Waitlisted] ..."
+            const prefix = new RegExp(`\\[(?:${ScheduleModel.PENDING_STATES.map(state => state.label).join('|')})\\]\\s*`);
+            const updatedIds = [];
+            const errors = [];
+            
+            for (const event of events) {
+                try {
+                    await this.calendar.events.patch({
+                        calendarId: calendarId,
+                        eventId: event.id,
+                        resource: {
+                            summary: (event.summary || '').replace(prefix, ''),
+                            status: 'confirmed',
+                            // All-day term notes for unscheduled meetings stay free
+                            transparency: event.start && event.start.date ? 'transparent' : 'opaque',
+                            extendedProperties: { private: { tentative: 'false' } }
+                        }
+                    });
+                    updatedIds.push(event.id);
+                } catch (error) {
+                    errors.push(`Event "${event.summary}": ${error.message}`);
                 }
             }
-
-            // Fallback: return original start date string
-            return startDateStr;
-        } catch (e) {
-            console.warn('getFirstMeetingDate failed, using original start date:', e?.message);
-            return startDateStr;
+            
+            console.log(`Promoted ${updatedIds.length} of ${events.length} tentative events for course ${courseId}`);
+            return { updatedCount: updatedIds.length, updatedIds, errors, totalFound: events.length };
+        } catch (error) {
+            console.error('Error promoting events:', error);
+            throw new Error('Failed to update events: ' + error.message);
         }
     }
 
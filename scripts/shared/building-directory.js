@@ -0,0 +1,183 @@
+/**
+ * Building Directory
+ * Splits Workday locations like "RIDGLEY, Room 00016" into building and room and resolves
+ * the building against a per-school directory (name, street address, coordinates), so
+ * calendar events get a location Google Maps and other calendar apps can find.
+ * Loaded by the browser (window.BuildingDirectory) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.BuildingDirectory = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    /**
+     * @typedef {Object} Building
+     * @property {string} code - As Workday writes it, e.g. "RIDGLEY"
+     * @property {string} name - e.g. "Ridgley Hall"
+     * @property {string} address - Street address, '' when unknown
+     * @property {?number} latitude
+     * @property {?number} longitude
+     * @property {string[]} aliases - Other spellings that name the building
+     */
+
+    /**
+     * @typedef {Object} Directory
+     * @property {Building[]} buildings
+     */
+
+    /**
+     * @typedef {Object} ResolvedLocation
+     * @property {string} raw - The location text as exported
+     * @property {string} building - Building part of the text, e.g. "RIDGLEY"
+     * @property {?string} room - e.g. "16"; null when the text names no room
+     * @property {?Building} match - Directory entry for the building, or null
+     */
+
+    // "RIDGLEY, Room 00016", "Brown Hall Rm. 100", "Seigle Hall - Room L006"
+    const ROOM_LABELED = /^(.*?)[\s,;-]+(?:room|rm\.?)\s*#?\s*([A-Z]?\d[\w-]*)$/i;
+    // "Louderman 458", "Cupples II, 230"
+    const ROOM_TRAILING = /^(.*?)[\s,;-]+#?([A-Z]?\d+[A-Z]?)$/i;
+
+    // Case, spacing and punctuation don't matter when matching building names
+    function toKey(text) {
+        return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    function toCoordinate(value, limit) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+    }
+
+    /**
+     * Split a location into building and room
+     * Leading zeros of numeric rooms are dropped ("00016" -> "16").
+     * @returns {?{building: string, room: ?string}} null for blank text
+     */
+    function parseLocation(text) {
+        const value = String(text || '').trim().replace(/\s+/g, ' ');
+        if (!value) return null;
+
+        const match = value.match(ROOM_LABELED) || value.match(ROOM_TRAILING);
+        if (!match || !match[1].trim()) {
+            return { building: value, room: null };
+        }
+        return {
+            building: match[1].trim(),
+            room: match[2].replace(/^0+(?=\d)/, '').toUpperCase()
+        };
+    }
+
+    /**
+     * Validate directory JSON, e.g. public/institutions/<id>/buildings.json
+     * Entries without a code or name are dropped; coordinates out of range are ignored.
+     * @param {Object|Array} data - { buildings: [...] } or the list itself
+     * @returns {Directory}
+     */
+    function normalizeDirectory(data) {
+        const entries = Array.isArray(data) ? data : (data && Array.isArray(data.buildings) ? data.buildings : []);
+        const buildings = entries
+            .filter(entry => entry && entry.code && entry.name)
+            .map(entry => {
+                const latitude = toCoordinate(entry.latitude, 90);
+                const longitude = toCoordinate(entry.longitude, 180);
+                return {
+                    code: String(entry.code),
+                    name: String(entry.name),
+                    address: entry.address ? String(entry.address) : '',
+                    // Coordinates only count in pairs
+                    latitude: latitude !== null && longitude !== null ? latitude : null,
+                    longitude: latitude !== null && longitude !== null ? longitude : null,
+                    aliases: (Array.isArray(entry.aliases) ? entry.aliases : []).filter(alias => typeof alias === 'string' && alias)
+                };
+            });
+        return { buildings };
+    }
+
+    /**
+     * Directory entry for a building code, name or alias, or null
+     */
+    function findBuilding(building, directory) {
+        const key = toKey(building);
+        if (!key || !directory || !Array.isArray(directory.buildings)) return null;
+        return directory.buildings.find(entry =>
+            [entry.code, entry.name].concat(entry.aliases || []).some(name => toKey(name) === key)) || null;
+    }
+
+    /**
+     * Split a location and look its building up in the directory
+     * @param {string} text
+     * @param {?Directory} directory
+     * @returns {?ResolvedLocation} null for blank text
+     */
+    function resolveLocation(text, directory) {
+        const parsed = parseLocation(text);
+        if (!parsed) return null;
+        return {
+            raw: String(text).trim(),
+            building: parsed.building,
+            room: parsed.room,
+            match: findBuilding(parsed.building, directory)
+        };
+    }
+
+    /**
+     * Location for a calendar event: the building's name and street address when the directory
+     * knows them, e.g. "Ridgley Hall, 1 Brookings Dr, St. Louis, MO 63130"; otherwise the text as is.
+     * The room stays in the description with the raw text, since it keeps map searches from resolving.
+     */
+    function getEventLocation(text, directory) {
+        const location = resolveLocation(text, directory);
+        if (!location) return '';
+        if (!location.match || !location.match.address) return location.raw;
+        return `${location.match.name}, ${location.match.address}`;
+    }
+
+    /**
+     * Coordinates of the building, or null when the directory has none
+     * @returns {?{latitude: number, longitude: number}}
+     */
+    function getCoordinates(text, directory) {
+        const location = resolveLocation(text, directory);
+        if (!location || !location.match || location.match.latitude === null) return null;
+        return { latitude: location.match.latitude, longitude: location.match.longitude };
+    }
+
+    /**
+     * LOCATION and GEO lines for an .ics VEVENT
+     * @returns {string[]} Empty for blank text
+     */
+    function buildICSLocationLines(text, directory) {
+        const location = getEventLocation(text, directory);
+        if (!location) return [];
+        const lines = ['LOCATION:' + ScheduleModel.escapeICS(location)];
+        const coordinates = getCoordinates(text, directory);
+        if (coordinates) {
+            lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Google Maps search link for the location: coordinates, the street address, or the raw text
+     */
+    function getMapUrl(text, directory) {
+        const coordinates = getCoordinates(text, directory);
+        const query = coordinates ? `${coordinates.latitude},${coordinates.longitude}` : getEventLocation(text, directory);
+        return query ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}` : '';
+    }
+
+    return {
+        parseLocation,
+        normalizeDirectory,
+        findBuilding,
+        resolveLocation,
+        getEventLocation,
+        getCoordinates,
+        buildICSLocationLines,
+        getMapUrl
+    };
+});
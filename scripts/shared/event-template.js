@@ -0,0 +1,213 @@
+/**
+ * Event Templates
+ * User-defined titles and descriptions for class events, e.g. "{code} {component}" or
+ * "Room {room}, {building}", filled in the same way for Google Calendar, the .ics file and
+ * the Google Calendar links.
+ * Loaded by the browser (window.EventTemplate) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'), require('./building-directory'));
+    } else {
+        root.EventTemplate = factory(root.ScheduleModel, root.BuildingDirectory);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel, BuildingDirectory) {
+    'use strict';
+
+    /**
+     * @typedef {Object} EventTemplates
+     * @property {string} title - e.g. "{label}"
+     * @property {string} description - One line per detail, e.g. "Instructor: {instructor}"
+     */
+
+    /**
+     * Placeholders a template can use, with what they stand for
+     */
+    const PLACEHOLDERS = [
+        { key: 'label', description: 'Course title with component and section, e.g. "CSE 4501 - Video Game Programming II (Lab, Sec. 02)"' },
+        { key: 'course', description: 'Course title as exported, e.g. "CSE 4501 - Video Game Programming II"' },
+        { key: 'code', description: 'Course code, e.g. "CSE 4501"' },
+        { key: 'title', description: 'Course title without the code, e.g. "Video Game Programming II"' },
+        { key: 'section', description: 'Section, e.g. "02"' },
+        { key: 'component', description: 'Component, e.g. "Lab"' },
+        { key: 'instructor', description: 'Instructor' },
+        { key: 'location', description: 'Location as exported, e.g. "RIDGLEY, Room 00016"' },
+        { key: 'building', description: 'Building name from the school\'s directory, e.g. "Ridgley Hall"' },
+        { key: 'room', description: 'Room, e.g. "16"' },
+        { key: 'credits', description: 'Credits, e.g. "3"' },
+        { key: 'term', description: 'Term, e.g. "Fall 2025"' }
+    ];
+
+    /**
+     * What events had before templates, so unchanged settings change nothing
+     * @type {EventTemplates}
+     */
+    const DEFAULT_TEMPLATES = {
+        title: '{label}',
+        description: 'Instructor: {instructor}\nLocation: {location}'
+    };
+
+    // Long enough for any sensible description, short enough to keep requests small
+    const MAX_TEMPLATE_LENGTH = 1000;
+
+    const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+    /**
+     * Values of every placeholder for a course or one of its expanded meetings
+     * Missing values are ''.
+     * @param {Course} course
+     * @param {?Object} [directory] - See BuildingDirectory.normalizeDirectory
+     * @returns {Object<string, string>}
+     */
+    function getTemplateValues(course, directory) {
+        const title = String(course.title || '');
+        // "CSE 4501 - Video Game Programming II"; titles without a code keep it all as the title
+        const split = title.match(/^(.+?)\s+-\s+(.+)$/);
+        const details = [course.component, course.section && `Sec. ${course.section}`].filter(Boolean);
+        const location = BuildingDirectory.resolveLocation(course.location, directory);
+        return {
+            label: details.length > 0 ? `${title} (${details.join(', ')})` : title,
+            course: title,
+            code: split ? split[1] : '',
+            title: split ? split[2] : title,
+            section: String(course.section || ''),
+            component: String(course.component || ''),
+            instructor: String(course.instructor || ''),
+            location: location ? location.raw : '',
+            building: location ? (location.match ? location.match.name : location.building) : '',
+            room: location && location.room ? location.room : '',
+            credits: typeof course.credits === 'number' ? String(course.credits) : '',
+            term: String(course.term || '')
+        };
+    }
+
+    /**
+     * Fill in a template
+     * A line whose placeholders are all empty is dropped ("Instructor: {instructor}" without an
+     * instructor), as are brackets left empty ("{code} ({component})" without a component).
+     * Unknown placeholders stay as written so typos show.
+     * @param {string} template
+     * @param {Object<string, string>} values - See getTemplateValues
+     * @returns {string}
+     */
+    function renderTemplate(template, values) {
+        return String(template || '').split('\n')
+            .map(line => {
+                let placeholders = 0;
+                let filled = 0;
+                const text = line.replace(PLACEHOLDER_PATTERN, (match, key) => {
+                    if (!Object.prototype.hasOwnProperty.call(values, key)) return match;
+                    placeholders++;
+                    if (values[key]) filled++;
+                    return values[key];
+                });
+                if (placeholders > 0 && filled === 0) return null;
+                return text
+                    .replace(/\s*(\(\s*\)|\[\s*\])/g, '')
+                    .replace(/[ \t]{2,}/g, ' ')
+                    .trim();
+            })
+            .filter(line => line !== null)
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Placeholders in a template that aren't in PLACEHOLDERS, e.g. ['instuctor']
+     */
+    function findUnknownPlaceholders(template) {
+        const known = PLACEHOLDERS.map(placeholder => placeholder.key);
+        const unknown = [];
+        String(template || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+            if (!known.includes(key) && !unknown.includes(key)) unknown.push(key);
+            return match;
+        });
+        return unknown;
+    }
+
+    /**
+     * Why saved or submitted templates can't be used, or null
+     */
+    function getTemplateError(templates) {
+        if (!templates || typeof templates !== 'object') return 'Templates must be an object';
+        for (const key of Object.keys(DEFAULT_TEMPLATES)) {
+            const template = templates[key];
+            if (template === undefined || template === null) continue;
+            if (typeof template !== 'string') return `The ${key} template must be text`;
+            if (template.length > MAX_TEMPLATE_LENGTH) return `The ${key} template is longer than ${MAX_TEMPLATE_LENGTH} characters`;
+            const unknown = findUnknownPlaceholders(template);
+            if (unknown.length > 0) return `Unknown placeholder in the ${key} template: {${unknown[0]}}`;
+        }
+        return null;
+    }
+
+    /**
+     * Templates with defaults for anything missing or blank
+     * @returns {EventTemplates}
+     */
+    function normalizeTemplates(templates) {
+        const result = Object.assign({}, DEFAULT_TEMPLATES);
+        if (!templates || getTemplateError(templates)) return result;
+        if (typeof templates.title === 'string' && templates.title.trim()) {
+            result.title = templates.title;
+        }
+        if (typeof templates.description === 'string') {
+            result.description = templates.description;
+        }
+        return result;
+    }
+
+    /**
+     * Event title for a class meeting
+     * Tentative courses keep their "[Waitlisted]" prefix whatever the template, and a title
+     * that renders empty falls back to the course title.
+     * @param {Course} course
+     * @param {?EventTemplates} templates
+     * @param {Object<string, string>} [policies] - Registration status policies, see ScheduleModel.getStatusPolicy
+     * @param {?Object} [directory]
+     */
+    function formatEventTitle(course, templates, policies, directory) {
+        const title = renderTemplate(normalizeTemplates(templates).title, getTemplateValues(course, directory)) || course.title;
+        const state = ScheduleModel.getPendingState(course);
+        return state && ScheduleModel.getStatusPolicy(course, policies) === 'tentative' ? `[${state.label}] ${title}` : title;
+    }
+
+    /**
+     * Event description for a class meeting
+     * All-day notes for unscheduled meetings start with what Workday said instead of a time.
+     * @param {Course} course
+     * @param {?EventTemplates} templates
+     * @param {?Object} [directory]
+     */
+    function formatEventDescription(course, templates, directory) {
+        const description = renderTemplate(normalizeTemplates(templates).description, getTemplateValues(course, directory));
+        if (!course.unscheduled) return description;
+        const note = `No scheduled meeting time${course.pattern ? ` (Workday: "${course.pattern}")` : ''}`;
+        return description ? `${note}\n${description}` : note;
+    }
+
+    /**
+     * Event description for a course's final exam
+     * The same template as its classes, with the exam room standing in for the classroom.
+     * @param {Course} course - With an exam, see ExamSchedule.applyExamSchedule
+     * @param {?EventTemplates} templates
+     * @param {?Object} [directory]
+     */
+    function formatExamDescription(course, templates, directory) {
+        const exam = Object.assign({}, course, { location: (course.exam && course.exam.location) || '', unscheduled: false });
+        return formatEventDescription(exam, templates, directory);
+    }
+
+    return {
+        PLACEHOLDERS,
+        DEFAULT_TEMPLATES,
+        getTemplateValues,
+        renderTemplate,
+        findUnknownPlaceholders,
+        getTemplateError,
+        normalizeTemplates,
+        formatEventTitle,
+        formatEventDescription,
+        formatExamDescription
+    };
+});
@@ -0,0 +1,222 @@
+/**
+ * Exam Schedule
+ * Final exams from a registrar's exam schedule, matched to courses by course code and section,
+ * and the reminders and titles exam events get in Google Calendar and the .ics export.
+ * Loaded by the browser (window.ExamSchedule) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.ExamSchedule = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    /**
+     * @typedef {Object} ExamEntry
+     * @property {string} code - Course code, e.g. "CSE 4501"
+     * @property {?string} section - Section number; null matches every section of the course
+     * @property {Exam} exam - See ScheduleModel
+     * @property {number} row - 1-based row number in the sheet
+     */
+
+    /**
+     * Reminder presets for exam events, in minutes before the exam
+     * Classes get short reminders; an exam is worth a heads-up the day before.
+     */
+    const EXAM_REMINDERS = {
+        dayAndHour: [24 * 60, 60],
+        weekAndDay: [7 * 24 * 60, 24 * 60],
+        hour: [60],
+        none: []
+    };
+
+    const DEFAULT_EXAM_REMINDERS = 'dayAndHour';
+
+    // The header row is searched for in this many leading rows
+    const HEADER_SEARCH_ROWS = 10;
+
+    // Exam schedule columns, most specific first so "Exam Date" isn't taken for the exam itself.
+    // The exam is either one cell ("Final Exam") or separate date and time columns.
+    const EXAM_COLUMN_FIELDS = [
+        { key: 'date', keywords: ['exam date', 'date', 'day'] },
+        { key: 'startTime', keywords: ['start time', 'start', 'begin'] },
+        { key: 'endTime', keywords: ['end time', 'end', 'finish'] },
+        { key: 'time', keywords: ['exam time', 'time'] },
+        { key: 'exam', keywords: ['final exam', 'exam'] },
+        { key: 'section', keywords: ['section', 'sec'], exact: true },
+        { key: 'course', keywords: ['course listing', 'course', 'class', 'subject'] },
+        { key: 'location', keywords: ['location', 'room', 'building', 'where'] }
+    ];
+
+    /**
+     * Course code at the start of a title or listing, normalized to "CSE 4501", or null
+     */
+    function getCourseCode(text) {
+        const match = String(text || '').trim().match(/^([A-Z]{2,5})\s*-?\s*(\d{3,4}[A-Z]?)\b/i);
+        return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+    }
+
+    // Column index per field, each column used once; a header equal to a keyword beats one containing it
+    function findExamColumns(headers) {
+        const cells = (headers || []).map(header => (header || '').toString().toLowerCase().trim());
+        const taken = new Set();
+        const columnMap = {};
+        EXAM_COLUMN_FIELDS.forEach(field => {
+            const free = index => !taken.has(index);
+            let index = cells.findIndex((cell, i) => free(i) && field.keywords.includes(cell));
+            if (index === -1 && !field.exact) {
+                index = cells.findIndex((cell, i) => free(i) && field.keywords.some(keyword => cell.includes(keyword)));
+            }
+            columnMap[field.key] = index;
+            if (index !== -1) {
+                taken.add(index);
+            }
+        });
+        return columnMap;
+    }
+
+    /**
+     * Read an exam schedule sheet: one row per course (and optionally section) with the exam's
+     * date, times and room, either in separate columns or in one "Final Exam" cell
+     * @param {Array<Array<*>>} rows - Sheet rows
+     * @returns {{exams: ExamEntry[], warnings: string[]}}
+     */
+    function parseExamSchedule(rows) {
+        const exams = [];
+        const warnings = [];
+
+        // The header row names the course and either the exam or its date
+        let headerRow = -1;
+        let columnMap = null;
+        for (let i = 0; i < Math.min(HEADER_SEARCH_ROWS, rows.length); i++) {
+            const candidate = findExamColumns(rows[i]);
+            if (candidate.course !== -1 && (candidate.exam !== -1 || candidate.date !== -1)) {
+                headerRow = i;
+                columnMap = candidate;
+                break;
+            }
+        }
+        if (headerRow === -1) {
+            warnings.push('No exam schedule header row (Course and Exam or Date) found');
+            return { exams, warnings };
+        }
+
+        for (let i = headerRow + 1; i < rows.length; i++) {
+            const row = rows[i] || [];
+            const cell = key => ScheduleModel.getCellValue(row, columnMap[key]);
+            const courseCell = cell('course');
+            const code = getCourseCode(courseCell);
+            if (!code) continue; // Blank, repeated header or notes
+
+            const exam = readExamRow(cell);
+            if (!exam) {
+                warnings.push(`Row ${i + 1} (${courseCell}): no exam date and time found`);
+                continue;
+            }
+            exams.push({
+                code,
+                section: ScheduleModel.parseSectionNumber(cell('section'), true) || ScheduleModel.parseSectionNumber(courseCell),
+                exam,
+                row: i + 1
+            });
+        }
+
+        return { exams, warnings };
+    }
+
+    // Date and time columns read as one "date | start - end" cell, so both layouts parse the same way
+    function readExamRow(cell) {
+        let text = cell('exam');
+        if (cell('date')) {
+            const times = cell('time') || [cell('startTime'), cell('endTime')].filter(Boolean).join(' - ');
+            text = `${cell('date')} | ${times}`;
+        }
+        const exam = ScheduleModel.parseExamText(text);
+        if (exam && cell('location')) {
+            exam.location = cell('location');
+        }
+        return exam;
+    }
+
+    // "01" and "1" are the same section
+    function normalizeSection(section) {
+        return String(section).toUpperCase().replace(/^([A-Z]*)0+(?=\d)/, '$1');
+    }
+
+    function sectionsMatch(examSection, courseSection) {
+        return !examSection || !courseSection || normalizeSection(examSection) === normalizeSection(courseSection);
+    }
+
+    /**
+     * Attach exams to the courses they belong to
+     * Each exam goes to one course: the one with the same code and section, preferring the lecture
+     * over its lab or discussion. Courses are copied, not changed.
+     * @param {Course[]} courses
+     * @param {ExamEntry[]} exams
+     * @returns {{courses: Course[], matched: number, unmatched: ExamEntry[]}}
+     */
+    function applyExamSchedule(courses, exams) {
+        const updated = courses.map(course => Object.assign({}, course));
+        const unmatched = [];
+
+        (exams || []).forEach(entry => {
+            const rank = course => (entry.section && course.section ? 0 : 2) +
+                (!course.component || course.component === 'Lecture' ? 0 : 1);
+            const candidates = updated
+                .filter(course => getCourseCode(course.title) === entry.code && sectionsMatch(entry.section, course.section))
+                .sort((a, b) => rank(a) - rank(b));
+            if (candidates.length === 0) {
+                unmatched.push(entry);
+                return;
+            }
+            candidates[0].exam = Object.assign({}, entry.exam);
+        });
+
+        return { courses: updated, matched: (exams || []).length - unmatched.length, unmatched };
+    }
+
+    /**
+     * Title of a course's exam event, e.g. "Final Exam: CSE 4501 - Video Game Programming II"
+     * @param {Object<string, string>} [policies] - Registration status policies, see ScheduleModel.getStatusPolicy
+     */
+    function getExamTitle(course, policies) {
+        return `Final Exam: ${ScheduleModel.getCourseLabel(course, policies)}`;
+    }
+
+    /**
+     * Minutes before the exam to remind at, for a preset name; unknown names get the default
+     * @returns {number[]}
+     */
+    function getReminderMinutes(preset) {
+        return EXAM_REMINDERS[preset] || EXAM_REMINDERS[DEFAULT_EXAM_REMINDERS];
+    }
+
+    /**
+     * VALARM blocks for an exam event, one per reminder
+     * @returns {string[]} Lines to put inside the VEVENT
+     */
+    function buildAlarmLines(preset, description) {
+        const lines = [];
+        getReminderMinutes(preset).forEach(minutes => {
+            lines.push('BEGIN:VALARM');
+            lines.push('ACTION:DISPLAY');
+            lines.push('DESCRIPTION:' + ScheduleModel.escapeICS(description));
+            lines.push(`TRIGGER:-PT${minutes}M`);
+            lines.push('END:VALARM');
+        });
+        return lines;
+    }
+
+    return {
+        EXAM_REMINDERS,
+        DEFAULT_EXAM_REMINDERS,
+        getCourseCode,
+        parseExamSchedule,
+        applyExamSchedule,
+        getExamTitle,
+        getReminderMinutes,
+        buildAlarmLines
+    };
+});
@@ -0,0 +1,114 @@
+/**
+ * Institution Profile
+ * Per-school settings (course codes, title cleanup, time zone, term dates, branding)
+ * so other Workday schools can be onboarded with a JSON file instead of a fork.
+ * Loaded by the browser (window.InstitutionProfile) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.InstitutionProfile = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * @typedef {Object} Profile
+     * @property {string} id
+     * @property {string} name
+     * @property {RegExp} courseCodePattern - Titles that don't match are not courses
+     * @property {Array<{pattern: RegExp, replacement: string}>} titleCleanup - Applied to Course Listing in order
+     * @property {?string} timeZone - IANA name of the campus time zone
+     * @property {?{startDate: string, endDate: string}} defaultTerm - Used when a row has no dates
+     * @property {string[]} allowedOAuthDomains - Hosts this school's deployment is served from
+     * @property {string} footerText
+     * @property {?string} termCalendar - Path of the bundled term calendar, relative to /institutions/
+     * @property {?string} buildingDirectory - Path of the building directory, relative to /institutions/
+     * @property {?string} travelTimes - Path of the walking times between buildings, relative to /institutions/
+     */
+
+    /**
+     * Profile JSON as stored in public/institutions/<id>/profile.json
+     * Reproduces the parser's original behavior for unconfigured schools.
+     */
+    const DEFAULT_PROFILE_DATA = {
+        id: 'default',
+        name: 'Workday',
+        // Course codes like "CSE 4501" or "BIOL 3100"
+        courseCodePattern: '^[A-Z]{2,4}\\s+\\d{4}',
+        titleCleanup: [
+            // "CSE 4501-Intro" -> "CSE 4501 - Intro"
+            { pattern: '^([A-Z]{2,4}\\s+\\d{4})\\s*-\\s*', replacement: '$1 - ' },
+            // "ENGL 1010 - Writing 1 - Fall 2025" -> "ENGL 1010 - Writing 1"
+            { pattern: '\\s*-\\s*Fall\\b.*$', replacement: '' }
+        ],
+        timeZone: null,
+        defaultTerm: null,
+        allowedOAuthDomains: [],
+        footerText: '',
+        termCalendar: null,
+        buildingDirectory: null,
+        travelTimes: null
+    };
+
+    function toRegExp(pattern, flags) {
+        if (pattern instanceof RegExp) return pattern;
+        try {
+            return new RegExp(pattern, flags);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function isISODate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    /**
+     * Validate profile JSON and compile its patterns
+     * Missing or invalid fields fall back to the default profile.
+     * @returns {Profile}
+     */
+    function normalizeProfile(data) {
+        const profile = Object.assign({}, DEFAULT_PROFILE_DATA, data || {});
+
+        const courseCodePattern = toRegExp(profile.courseCodePattern) || toRegExp(DEFAULT_PROFILE_DATA.courseCodePattern);
+
+        const rules = Array.isArray(profile.titleCleanup) ? profile.titleCleanup : DEFAULT_PROFILE_DATA.titleCleanup;
+        const titleCleanup = rules
+            .map(rule => ({
+                pattern: toRegExp(rule && rule.pattern, rule && rule.flags),
+                replacement: (rule && rule.replacement) || ''
+            }))
+            .filter(rule => rule.pattern);
+
+        const term = profile.defaultTerm;
+        const defaultTerm = term && isISODate(term.startDate) && isISODate(term.endDate) && term.startDate <= term.endDate
+            ? { startDate: term.startDate, endDate: term.endDate }
+            : null;
+
+        return {
+            id: String(profile.id),
+            name: String(profile.name),
+            courseCodePattern,
+            titleCleanup,
+            timeZone: profile.timeZone || null,
+            defaultTerm,
+            allowedOAuthDomains: (Array.isArray(profile.allowedOAuthDomains) ? profile.allowedOAuthDomains : [])
+                .filter(domain => typeof domain === 'string' && domain)
+                .map(domain => domain.toLowerCase()),
+            footerText: profile.footerText || '',
+            termCalendar: profile.termCalendar || null,
+            buildingDirectory: profile.buildingDirectory || null,
+            travelTimes: profile.travelTimes || null
+        };
+    }
+
+    const DEFAULT_PROFILE = normalizeProfile(DEFAULT_PROFILE_DATA);
+
+    return {
+        DEFAULT_PROFILE,
+        normalizeProfile
+    };
+});
@@ -0,0 +1,348 @@
+/**
+ * Schedule File
+ * Reads an uploaded export (.xlsx, .xls, .ods, .csv or a saved Workday web page) into sheet rows for the parser.
+ * The format is detected from the file contents, not its extension.
+ * Loaded by the browser (window.ScheduleFile) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.ScheduleFile = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    // Leading bytes of ZIP (xlsx, ods) and OLE compound (xls) files
+    const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04];
+    const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+    // An .ods usually stores this uncompressed as its first ZIP entry
+    const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+    // The ZIP central directory (entry names) sits at the end of the file
+    const ZIP_DIRECTORY_BYTES = 64 * 1024;
+
+    const CSV_DELIMITERS = [',', ';', '\t'];
+
+    // Elements that start a new line inside a grid cell (one meeting pattern per line)
+    const BLOCK_ELEMENTS = ['ADDRESS', 'ARTICLE', 'DD', 'DIV', 'DL', 'DT', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+        'LI', 'OL', 'P', 'SECTION', 'TABLE', 'TR', 'UL'];
+    const SKIPPED_ELEMENTS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'];
+
+    function startsWith(bytes, signature) {
+        return signature.every((byte, index) => bytes[index] === byte);
+    }
+
+    function toLatin1(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    // Tell .ods from .xlsx (both ZIP) by the mimetype entry or the entry names
+    function isOpenDocument(bytes) {
+        if (toLatin1(bytes.subarray(0, 256)).includes(ODS_MIMETYPE)) return true;
+        const names = toLatin1(bytes.subarray(Math.max(0, bytes.length - ZIP_DIRECTORY_BYTES)));
+        return names.includes('content.xml') && !names.includes('xl/');
+    }
+
+    /**
+     * Decode text, honoring a UTF-8 or UTF-16 byte order mark
+     */
+    function decodeText(bytes) {
+        let encoding = 'utf-8';
+        if (startsWith(bytes, [0xFF, 0xFE])) {
+            encoding = 'utf-16le';
+        } else if (startsWith(bytes, [0xFE, 0xFF])) {
+            encoding = 'utf-16be';
+        }
+        // TextDecoder drops the BOM itself
+        return new TextDecoder(encoding).decode(bytes);
+    }
+
+    /**
+     * Identify a spreadsheet from its contents
+     * @param {Uint8Array} bytes
+     * @returns {?string} 'xlsx', 'ods', 'xls', 'xml' (SpreadsheetML or flat ODS), 'html', 'mhtml'
+     *     (Chrome's "Webpage, Single File"), 'csv', or null
+     */
+    function detectFileFormat(bytes) {
+        if (!bytes || bytes.length === 0) return null;
+
+        if (startsWith(bytes, ZIP_SIGNATURE)) {
+            return isOpenDocument(bytes) ? 'ods' : 'xlsx';
+        }
+        if (startsWith(bytes, CFB_SIGNATURE)) {
+            return 'xls';
+        }
+
+        const hasBOM = startsWith(bytes, [0xFF, 0xFE]) || startsWith(bytes, [0xFE, 0xFF]) || startsWith(bytes, [0xEF, 0xBB, 0xBF]);
+        // Binary files of other kinds contain NUL bytes early on; UTF-16 text does too, but has a BOM
+        if (!hasBOM && bytes.subarray(0, 1024).includes(0)) {
+            return null;
+        }
+
+        const head = decodeText(bytes.subarray(0, 1024)).trimStart();
+        if (/^MIME-Version:/im.test(head) && /multipart\/related/i.test(head)) {
+            return 'mhtml';
+        }
+        if (/^<!doctype html/i.test(head) || /<html[\s>]/i.test(head)) {
+            return 'html';
+        }
+        if (head.startsWith('<?xml') || head.startsWith('<office:document') || head.startsWith('<Workbook')) {
+            return 'xml';
+        }
+        return 'csv';
+    }
+
+    // The delimiter used most on the first line, outside quotes; commas by default
+    function detectDelimiter(text) {
+        const counts = {};
+        let quoted = false;
+        for (const char of text) {
+            if (char === '"') {
+                quoted = !quoted;
+            } else if (!quoted && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!quoted && CSV_DELIMITERS.includes(char)) {
+                counts[char] = (counts[char] || 0) + 1;
+            }
+        }
+        return CSV_DELIMITERS.reduce((best, delimiter) => ((counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best), ',');
+    }
+
+    /**
+     * Split CSV text into rows following RFC 4180 quoting
+     * Quoted fields may contain delimiters, doubled quotes ("") and line breaks,
+     * so titles like "Ethics, Law, and Policy" and multi-line meeting patterns survive.
+     * @param {string} text
+     * @param {string} [delimiter] - Detected from the first line (comma, semicolon or tab) when omitted
+     * @returns {string[][]}
+     */
+    function parseCSV(text, delimiter) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const separator = delimiter || detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        // Last line without a trailing line break
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    function decodeQuotedPrintable(text) {
+        const body = text.replace(/=\r?\n/g, '');
+        const bytes = [];
+        for (let i = 0; i < body.length; i++) {
+            const hex = body.substr(i + 1, 2);
+            if (body[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+                bytes.push(parseInt(hex, 16));
+                i += 2;
+            } else {
+                bytes.push(body.charCodeAt(i) & 0xFF);
+            }
+        }
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    }
+
+    /**
+     * The HTML document inside an .mhtml archive
+     * @returns {?string}
+     */
+    function extractMHTMLPage(text) {
+        const boundary = (text.match(/boundary="?([^";\r\n]+)"?/i) || [])[1];
+        const parts = boundary ? text.split(`--${boundary}`) : [text];
+
+        for (const part of parts) {
+            const split = part.search(/\r?\n\r?\n/);
+            if (split === -1) continue;
+            const headers = part.slice(0, split);
+            if (!/Content-Type:\s*text\/html/i.test(headers)) continue;
+
+            const body = part.slice(split).replace(/^\s+/, '');
+            return /Content-Transfer-Encoding:\s*quoted-printable/i.test(headers) ? decodeQuotedPrintable(body) : body;
+        }
+        return null;
+    }
+
+    /**
+     * Visible text of a grid cell; block elements and <br> become line breaks,
+     * so a cell listing several meeting patterns keeps one per line
+     */
+    function getCellText(cell) {
+        const lines = [''];
+        const walk = node => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === 3) {
+                    lines[lines.length - 1] += child.nodeValue;
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+
+                const tag = child.tagName.toUpperCase();
+                if (SKIPPED_ELEMENTS.includes(tag)) return;
+                if (tag === 'BR') {
+                    lines.push('');
+                    return;
+                }
+                const block = BLOCK_ELEMENTS.includes(tag);
+                if (block) lines.push('');
+                walk(child);
+                if (block) lines.push('');
+            });
+        };
+        walk(cell);
+
+        return lines
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    // Cells spanning several columns are repeated so later columns stay aligned
+    function readGridRow(cells) {
+        const row = [];
+        cells.forEach(cell => {
+            const text = getCellText(cell);
+            const span = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+            for (let i = 0; i < span; i++) {
+                row.push(i === 0 ? text : '');
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Pull the schedule grid out of a saved Workday page
+     * Every <table> and ARIA grid on the page is read. Grids with a Workday header
+     * row (Course Listing, Meeting Patterns, ...) are kept; if there are none, the
+     * grid with the most rows is used so the column mapper can take over.
+     * @param {Document} document - Parsed page (DOMParser in the browser, jsdom in tests)
+     * @returns {Array<{name: string, rows: string[][]}>}
+     */
+    function readHTMLGrids(document) {
+        const grids = [];
+
+        Array.from(document.querySelectorAll('table')).forEach(table => {
+            const caption = table.caption ? getCellText(table.caption) : '';
+            grids.push({
+                name: table.getAttribute('aria-label') || caption,
+                rows: Array.from(table.rows).map(row => readGridRow(Array.from(row.cells)))
+            });
+        });
+
+        // Workday also renders grids from <div role="grid"> without table markup
+        Array.from(document.querySelectorAll('[role="grid"], [role="table"], [role="treegrid"]'))
+            .filter(grid => grid.tagName.toUpperCase() !== 'TABLE')
+            .forEach(grid => {
+                const rows = Array.from(grid.querySelectorAll('[role="row"]'))
+                    .filter(row => row.parentElement.closest('[role="grid"], [role="table"], [role="treegrid"]') === grid)
+                    .map(row => readGridRow(Array.from(row.querySelectorAll('[role="columnheader"], [role="gridcell"], [role="cell"], [role="rowheader"]'))
+                        .filter(cell => cell.parentElement.closest('[role="row"]') === row)));
+                grids.push({ name: grid.getAttribute('aria-label') || '', rows });
+            });
+
+        const filled = grids.filter(grid => grid.rows.length > 1);
+        filled.forEach((grid, index) => {
+            grid.name = grid.name || `Table ${index + 1}`;
+        });
+
+        const recognized = filled.filter(grid => ScheduleModel.detectColumns(grid.rows).headerFound);
+        if (recognized.length > 0) return recognized;
+
+        const largest = filled.reduce((best, grid) => (!best || grid.rows.length > best.rows.length ? grid : best), null);
+        return largest ? [largest] : [];
+    }
+
+    function getDefaultHTMLParser() {
+        if (typeof DOMParser === 'undefined') return null;
+        return text => new DOMParser().parseFromString(text, 'text/html');
+    }
+
+    /**
+     * Read an uploaded file into sheets for ScheduleModel.parseSheets
+     * A CSV, or a saved page with a single grid, becomes one sheet named after the
+     * file, so "Fall 2025.csv" names its term.
+     * @param {Object} XLSX - SheetJS, from the CDN or the npm package
+     * @param {Uint8Array} bytes - File contents
+     * @param {string} [fileName]
+     * @param {Object} [options]
+     * @param {function(string): Document} [options.parseHTML] - Defaults to DOMParser where available
+     * @returns {{format: string, sheets: Array<{name: string, rows: Array<Array<*>>}>}}
+     * @throws {Error} When the contents aren't a supported spreadsheet or page
+     */
+    function readScheduleFile(XLSX, bytes, fileName = '', options = {}) {
+        const format = detectFileFormat(bytes);
+        if (!format) {
+            throw new Error(`${fileName || 'The file'} is not a supported spreadsheet (.xlsx, .xls, .ods, .csv or a saved Workday page)`);
+        }
+
+        const baseName = fileName.replace(/\.[^.]*$/, '') || 'Sheet1';
+
+        if (format === 'csv') {
+            return { format, sheets: [{ name: baseName, rows: parseCSV(decodeText(bytes)) }] };
+        }
+
+        if (format === 'html' || format === 'mhtml') {
+            const parseHTML = options.parseHTML || getDefaultHTMLParser();
+            if (!parseHTML) {
+                throw new Error(`${fileName || 'The file'} is a saved web page; web pages can only be imported in the browser`);
+            }
+            const text = decodeText(bytes);
+            const html = format === 'mhtml' ? extractMHTMLPage(text) : text;
+            const grids = html ? readHTMLGrids(parseHTML(html)) : [];
+            if (grids.length === 0) {
+                throw new Error(`No schedule table found in ${fileName || 'the saved page'}`);
+            }
+            if (grids.length === 1) {
+                grids[0].name = baseName;
+            }
+            return { format, sheets: grids };
+        }
+
+        const workbook = XLSX.read(bytes, { type: 'array' });
+        return { format, sheets: ScheduleModel.readWorkbookSheets(XLSX, workbook) };
+    }
+
+    return {
+        detectFileFormat,
+        parseCSV,
+        readHTMLGrids,
+        readScheduleFile
+    };
+});
@@ -0,0 +1,1810 @@
+/**
+ * Schedule Model
+ * Shared Workday parsing and date/time helpers.
+ * Loaded by the browser (window.ScheduleModel) and by Node via require(),
+ * so the preview, the ICS export and the Google Calendar insert all agree.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./institution-profile'));
+    } else {
+        root.ScheduleModel = factory(root.InstitutionProfile);
+    }
+})(typeof self !== 'undefined' ? self : this, function (InstitutionProfile) {
+    'use strict';
+
+    /**
+     * @typedef {Object} Course
+     * @property {number} id - 1-based position in the parsed list
+     * @property {string} title - "CODE - Title" as shown in the calendar
+     * @property {string} days - Full day names joined by "/", e.g. "Monday/Wednesday"
+     * @property {string} time - Start time as found in the export, e.g. "5:30 PM"
+     * @property {string} endTime - End time as found in the export
+     * @property {string} location - Raw location text
+     * @property {Meeting[]} [meetings] - Every meeting pattern; days/time/endTime/location mirror the first
+     * @property {string} instructor
+     * @property {string} [registrationStatus]
+     * @property {?string} startDate - First day of term, YYYY-MM-DD
+     * @property {?string} endDate - Last day of term, YYYY-MM-DD
+     * @property {boolean} [unscheduled] - None of the meetings has readable days and times
+     * @property {string} [term] - e.g. "Fall 2025", from the listing, the sheet name or the start date
+     * @property {string} [section] - Section number, e.g. "01", from the listing or a Section column
+     * @property {string} [component] - e.g. "Lecture" or "Lab" (see COMPONENTS), from the listing or an
+     *     Instructional Format column; unrecognized column values are kept as they are
+     * @property {Exam} [exam] - Final exam, from a Final Exam column or an exam schedule (see exam-schedule.js)
+     * @property {number} [credits] - Credit hours (units), from a Credits column
+     */
+
+    /**
+     * A one-off exam, added as a single event rather than part of the weekly pattern
+     * @typedef {Object} Exam
+     * @property {string} date - YYYY-MM-DD
+     * @property {string} time - Start time, e.g. "6:00 PM"
+     * @property {string} endTime
+     * @property {string} location - Raw location text, '' when unknown
+     */
+
+    /**
+     * @typedef {Object} Meeting
+     * @property {string} days - Full day names joined by "/"
+     * @property {string} time - Start time, e.g. "5:30 PM"
+     * @property {string} endTime - End time
+     * @property {string} location - Raw location text
+     * @property {string} [startDate] - Pattern's own first day (half-term courses), YYYY-MM-DD
+     * @property {string} [endDate] - Pattern's own last day, YYYY-MM-DD
+     * @property {boolean} [unscheduled] - No readable days or times (online, asynchronous, TBA);
+     *     days/time/endTime are then empty rather than guessed
+     * @property {string} [pattern] - Raw Meeting Patterns text, kept for unscheduled meetings
+     */
+
+    /**
+     * @typedef {Object} RowDiagnostic
+     * @property {number} row - 1-based row number in the sheet
+     * @property {string} listing - Raw Course Listing cell
+     * @property {boolean} imported
+     * @property {boolean} forced - Imported only because the user force-included it
+     * @property {?string} reason - Why the row is (or would be) skipped
+     * @property {string[]} notes - Defaults applied to the imported course
+     * @property {number} [courseId] - Id of the imported course
+     */
+
+    /**
+     * @typedef {Object} ColumnDetection
+     * @property {number} headerRow - Index of the header row in the sheet
+     * @property {boolean} headerFound - Whether the Workday header row was recognized
+     * @property {Object<string, number>} columnMap - Column index per field key, -1 when missing
+     * @property {string[]} ambiguous - Field keys the user should confirm
+     * @property {string} signature - See getHeaderSignature
+     */
+
+    /**
+     * @typedef {Object} ColumnField
+     * @property {string} key - e.g. "courseListing"; courseListing and meetingPatterns are read by the parser
+     * @property {string} label - Shown in the column mapper
+     * @property {boolean} required
+     * @property {string[]} keywords - Header text to look for; the first is the source system's exact header
+     * @property {boolean} [exact] - Match whole header cells only, for short keywords such as "section"
+     */
+
+    /**
+     * @typedef {Object} MeetingInfo
+     * @property {?string} days - Full day names joined by "/", null when unreadable
+     * @property {?string} startTime - e.g. "5:30 PM", null when unreadable
+     * @property {?string} endTime
+     * @property {string} location
+     * @property {?string} startDate - Pattern's own first day, YYYY-MM-DD
+     * @property {?string} endDate
+     */
+
+    /**
+     * A student information system the parser can read exports from
+     * Register with registerAdapter; see scripts/shared/adapters/README.md.
+     * @typedef {Object} SourceAdapter
+     * @property {string} id - e.g. "workday"
+     * @property {string} name - Shown in warnings and the UI, e.g. "Workday"
+     * @property {ColumnField[]} columnFields
+     * @property {string[]} headerKeywords - Text that all appears in the header row (lowercase)
+     * @property {function(string, {locale: string}): MeetingInfo} parseMeetingPattern - Must accept ''; the
+     *     options carry the language of the sheet's day names (see parseDays)
+     * @property {function(string): string[]} [splitMeetingPatterns] - One entry per meeting; defaults to one per line
+     * @property {function(Array<*>, Object<string, number>): Object<string, string>} [readRow] - Field values of
+     *     a sheet row by field key; defaults to reading each mapped column (useful for separate day and time columns)
+     * @property {function(string): ?string} [getListingSkipReason] - Source-specific rows that aren't courses
+     * @property {function(Array<Array<*>>): number} [detect] - Confidence from 0 to 1 that a sheet came from
+     *     this system; defaults to the share of headerKeywords found in one of the first rows
+     */
+
+    /**
+     * @typedef {Object} SheetSource
+     * @property {string} name - Sheet name, or "file - sheet" when several files are merged
+     * @property {Array<Array<*>>} rows
+     * @property {{headerRow: number, columnMap: Object<string, number>}} [columnMapping]
+     * @property {number[]} [forceInclude]
+     */
+
+    /**
+     * @typedef {Object} SheetResult
+     * @property {string} name
+     * @property {boolean} included - Whether the sheet's courses are part of the merged list
+     * @property {number} courseCount - Courses found before duplicates were collapsed
+     * @property {ColumnDetection} columns
+     * @property {RowDiagnostic[]} diagnostics
+     * @property {string} adapter - Id of the source adapter that read the sheet
+     * @property {string} locale - Language its day names were read in, see LOCALES
+     */
+
+    /**
+     * @typedef {Object} ConflictMeeting
+     * @property {string} courseId
+     * @property {string} title
+     * @property {number} meetingIndex
+     * @property {string} registrationStatus - e.g. "Waitlisted"
+     * @property {string} time - e.g. "10:00 AM"
+     * @property {string} endTime
+     */
+
+    /**
+     * @typedef {Object} TimeConflict
+     * @property {string[]} days - Weekdays both meet, Monday first
+     * @property {ConflictMeeting} first - The meeting that starts first
+     * @property {ConflictMeeting} second
+     * @property {string} overlapStart - e.g. "10:00 AM"
+     * @property {string} overlapEnd
+     * @property {number} overlapMinutes
+     * @property {?string} startDate - First date both meet (YYYY-MM-DD), null when neither has dates
+     * @property {?string} endDate - Last date both meet
+     */
+
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // Terms within a year, in calendar order
+    const TERM_SEASONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+
+    /**
+     * What to do with unscheduled meetings when exporting
+     * skip: leave them out with a warning
+     * allDay: one all-day event spanning the term, as a note
+     * hold: leave them out until the user enters days and times in the preview
+     */
+    const UNSCHEDULED_POLICIES = ['skip', 'allDay', 'hold'];
+
+    /**
+     * What to do with courses whose seat isn't confirmed yet, per registration state
+     * include: add them like registered courses
+     * tentative: add them as tentative and free, titled e.g. "[Waitlisted] CSE 4501 - ..."
+     * exclude: leave them out
+     */
+    const STATUS_POLICIES = ['include', 'tentative', 'exclude'];
+
+    // Registration statuses that are kept as courses but aren't a seat yet, checked in order
+    const PENDING_STATES = [
+        { key: 'waitlisted', label: 'Waitlisted', pattern: /wait\s*-?\s*list/i },
+        { key: 'pending', label: 'Pending', pattern: /pending|in cart|requested/i }
+    ];
+
+    const DEFAULT_STATUS_POLICIES = { waitlisted: 'tentative', pending: 'tentative' };
+
+    // The header row is searched for in this many leading rows
+    const HEADER_SEARCH_ROWS = 10;
+
+    // Columns the parser reads; the first keyword is the exact Workday header
+    const COLUMN_FIELDS = [
+        { key: 'courseListing', label: 'Course', required: true, keywords: ['course listing', 'course', 'subject', 'class', 'name', 'title'] },
+        { key: 'meetingPatterns', label: 'Meeting Patterns', required: true, keywords: ['meeting patterns', 'enrolled sections meeting patterns', 'schedule', 'days', 'time'] },
+        { key: 'instructor', label: 'Instructor', required: false, keywords: ['instructor', 'professor', 'teacher', 'staff'] },
+        { key: 'startDate', label: 'Start Date', required: false, keywords: ['start date', 'start'] },
+        { key: 'endDate', label: 'End Date', required: false, keywords: ['end date', 'end'] },
+        { key: 'registrationStatus', label: 'Status', required: false, keywords: ['registration status', 'status', 'enrollment status'] },
+        // "Section" also appears in "Enrolled Sections Meeting Patterns"
+        { key: 'section', label: 'Section', required: false, exact: true, keywords: ['section', 'section number', 'sec', 'class section'] },
+        { key: 'instructionalFormat', label: 'Instructional Format', required: false, exact: true, keywords: ['instructional format', 'component', 'class component', 'format'] },
+        { key: 'finalExam', label: 'Final Exam', required: false, keywords: ['final exam', 'exam'] },
+        { key: 'credits', label: 'Credits', required: false, keywords: ['credits', 'credit hours', 'units'] }
+    ];
+
+    // Instructional formats by the names exports use for them, e.g. "Laboratory" or "LEC"
+    const COMPONENTS = [
+        { name: 'Lecture', aliases: ['lecture', 'lec'] },
+        { name: 'Lab', aliases: ['lab', 'laboratory', 'lbs'] },
+        { name: 'Discussion', aliases: ['discussion', 'dis', 'disc'] },
+        { name: 'Seminar', aliases: ['seminar', 'sem'] },
+        { name: 'Recitation', aliases: ['recitation', 'rec'] },
+        { name: 'Studio', aliases: ['studio', 'stu'] },
+        { name: 'Tutorial', aliases: ['tutorial', 'tut'] }
+    ];
+
+    // "CSE 4501-01 - Title": the section number follows the course code
+    const SECTION_IN_LISTING = /^([A-Z]{2,5}\s*\d{3,4}[A-Z]?)-([A-Z]{0,2}\d{1,3}[A-Z]?)(?=\s|$)/;
+
+    const RRULE_DAYS = {
+        'sunday': 'SU', 'monday': 'MO', 'tuesday': 'TU', 'wednesday': 'WE',
+        'thursday': 'TH', 'friday': 'FR', 'saturday': 'SA',
+        'sun': 'SU', 'mon': 'MO', 'tue': 'TU', 'wed': 'WE',
+        'thu': 'TH', 'fri': 'FR', 'sat': 'SA'
+    };
+
+    // Abbreviations as they appear in Workday meeting patterns ("Mon/Wed")
+    const DAY_ABBREVIATIONS = [
+        ['Mon', 'Monday'],
+        ['Tue', 'Tuesday'],
+        ['Wed', 'Wednesday'],
+        ['Thu', 'Thursday'],
+        ['Fri', 'Friday'],
+        ['Sat', 'Saturday'],
+        ['Sun', 'Sunday']
+    ];
+
+    /**
+     * Export languages whose weekday names can be read, Sunday first: the full names and
+     * the abbreviations Workday uses in meeting patterns
+     */
+    const LOCALES = {
+        en: {
+            name: 'English',
+            days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+            abbreviations: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+        },
+        es: {
+            name: 'Español',
+            days: ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'],
+            abbreviations: ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb']
+        },
+        fr: {
+            name: 'Français',
+            days: ['Dimanche', 'Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi'],
+            abbreviations: ['Dim', 'Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam']
+        },
+        de: {
+            name: 'Deutsch',
+            days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+            abbreviations: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa']
+        }
+    };
+
+    const DEFAULT_LOCALE = 'en';
+
+    /**
+     * Whether the id is one of LOCALES; own keys only, so "toString" is not a locale
+     */
+    function isLocale(id) {
+        return typeof id === 'string' && Object.prototype.hasOwnProperty.call(LOCALES, id);
+    }
+
+    // "Miércoles." -> "miercoles", so accents, case and abbreviation dots don't matter
+    function normalizeWord(word) {
+        return String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\.+$/, '');
+    }
+
+    // Words of a day list or meeting pattern: "Lun./Mié" -> ["Lun.", "Mié"]
+    function splitWords(text) {
+        return String(text || '').split(/[^\p{L}.]+/u).filter(Boolean);
+    }
+
+    // Full day name in any locale -> day index (0 = Sunday)
+    const DAY_NAME_INDEX = {};
+    Object.keys(LOCALES).forEach(id => {
+        LOCALES[id].days.forEach((day, index) => {
+            DAY_NAME_INDEX[normalizeWord(day)] = index;
+        });
+    });
+
+    /**
+     * Read the first sheet-like grid out of a SheetJS worksheet.
+     * Tries progressively looser strategies because Workday exports vary.
+     * The XLSX library is passed in so this works with both the CDN build and the npm package.
+     */
+    function readSheetRows(XLSX, worksheet) {
+        // Method 1: Standard parsing
+        let rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false });
+
+        // Method 2: If we get empty or single row, try different options
+        if (rows.length < 2) {
+            rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: true });
+        }
+
+        // Method 3: Try parsing with expanded range
+        if (rows.length < 2) {
+            // Find the actual range by looking at all cells
+            let maxRow = 0;
+            let maxCol = 0;
+
+            Object.keys(worksheet).forEach(key => {
+                if (key.startsWith('!')) return; // Skip metadata
+                const cellRef = XLSX.utils.decode_cell(key);
+                maxRow = Math.max(maxRow, cellRef.r);
+                maxCol = Math.max(maxCol, cellRef.c);
+            });
+
+            rows = [];
+            for (let R = 0; R <= maxRow; ++R) {
+                const row = [];
+                for (let C = 0; C <= maxCol; ++C) {
+                    const cell = worksheet[XLSX.utils.encode_cell({ r: R, c: C })];
+                    row.push(cell ? cell.v : '');
+                }
+                rows.push(row);
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get a course's meetings, treating a course without a meetings list as a single meeting
+     * @param {Course} course
+     * @returns {Meeting[]}
+     */
+    function getCourseMeetings(course) {
+        if (Array.isArray(course.meetings) && course.meetings.length > 0) {
+            return course.meetings;
+        }
+        const meeting = {
+            days: course.days,
+            time: course.time,
+            endTime: course.endTime,
+            location: course.location
+        };
+        if (course.unscheduled) {
+            meeting.unscheduled = true;
+        }
+        return [meeting];
+    }
+
+    /**
+     * Flatten a course into one event source per meeting.
+     * Each entry is the course with that meeting's days, times, location and
+     * date range (when it has one), plus meetingIndex so events can be tied back to the course.
+     * @param {Course} course
+     * @returns {Array<Course & {meetingIndex: number}>}
+     */
+    function expandCourseMeetings(course) {
+        return getCourseMeetings(course).map((meeting, meetingIndex) => {
+            const expanded = Object.assign({}, course, {
+                days: meeting.days,
+                time: meeting.time,
+                endTime: meeting.endTime,
+                location: meeting.location || '',
+                startDate: meeting.startDate || course.startDate,
+                endDate: meeting.endDate || course.endDate,
+                meetingIndex: meetingIndex
+            });
+            delete expanded.unscheduled;
+            delete expanded.pattern;
+            if (meeting.unscheduled) {
+                expanded.unscheduled = true;
+                expanded.pattern = meeting.pattern || '';
+            }
+            return expanded;
+        });
+    }
+
+    /**
+     * Whether a meeting (or expanded course) has days and times to put on a calendar
+     */
+    function isMeetingScheduled(meeting) {
+        return !meeting.unscheduled && getDayIndices(meeting.days).length > 0 && parseTime(meeting.time) !== null;
+    }
+
+    /**
+     * Course fields the server needs to build the same events as the .ics export; every
+     * placeholder in event-template.js reads from one of them
+     */
+    const EVENT_FIELDS = [
+        'id', 'title', 'section', 'component', 'days', 'time', 'endTime', 'location', 'meetings',
+        'unscheduled', 'instructor', 'registrationStatus', 'startDate', 'endDate', 'exam', 'credits', 'term'
+    ];
+
+    /**
+     * A course with only EVENT_FIELDS, as sent to POST /api/calendar/events
+     * @param {Course} course
+     * @returns {Course}
+     */
+    function pickEventFields(course) {
+        const picked = {};
+        EVENT_FIELDS.forEach(field => {
+            picked[field] = course[field];
+        });
+        return picked;
+    }
+
+    // A real calendar date written YYYY-MM-DD
+    function isISODate(text) {
+        const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return false;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+    }
+
+    /**
+     * Problems that keep an edited course off the calendar
+     * Unscheduled meetings only need a title and term dates; scheduled ones need days and
+     * a start time before the end time. Messages for courses with several meetings say which.
+     * @param {Course} course
+     * @returns {string[]} Empty when the course is valid
+     */
+    function validateCourse(course) {
+        const errors = [];
+        if (!String(course.title || '').trim()) {
+            errors.push('Course title is required');
+        }
+        if (!isISODate(course.startDate) || !isISODate(course.endDate)) {
+            errors.push('Start and end dates are required');
+        } else if (course.startDate > course.endDate) {
+            errors.push('Start date must be on or before end date');
+        }
+
+        const meetings = getCourseMeetings(course);
+        meetings.forEach((meeting, index) => {
+            if (meeting.unscheduled) return;
+            const prefix = meetings.length > 1 ? `Meeting ${index + 1}: ` : '';
+            if (getDayIndices(meeting.days).length === 0) {
+                errors.push(`${prefix}Meeting days are required`);
+            }
+            const start = parseTime(meeting.time);
+            const end = parseTime(meeting.endTime);
+            if (!start || !end) {
+                errors.push(`${prefix}Start and end times are required`);
+            } else if (end.hours * 60 + end.minutes <= start.hours * 60 + start.minutes) {
+                errors.push(`${prefix}End time must be after start time`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Every pair of meeting patterns that overlap on a weekday they share, within date ranges
+     * that overlap too (a first half-term class can't clash with a second half-term one).
+     * Typical cause: registered in one section and waitlisted in another.
+     * @param {Course[]} courses
+     * @returns {TimeConflict[]} In course order
+     */
+    function findTimeConflicts(courses) {
+        const toMinutes = timeStr => {
+            const time = parseTime(timeStr);
+            return time ? time.hours * 60 + time.minutes : null;
+        };
+        const meetings = [];
+        (courses || []).forEach(course => {
+            expandCourseMeetings(course).forEach(meeting => {
+                if (!isMeetingScheduled(meeting)) return;
+                const start = toMinutes(meeting.time);
+                const end = toMinutes(meeting.endTime);
+                if (end === null || end <= start) return;
+                meetings.push({ meeting, start, end, days: getDayIndices(meeting.days) });
+            });
+        });
+
+        const conflicts = [];
+        meetings.forEach((a, index) => {
+            meetings.slice(index + 1).forEach(b => {
+                const days = a.days.filter(day => b.days.includes(day));
+                if (days.length === 0 || b.start >= a.end || a.start >= b.end) return;
+
+                const startDate = [a.meeting.startDate, b.meeting.startDate].filter(Boolean).sort().pop() || null;
+                const endDate = [a.meeting.endDate, b.meeting.endDate].filter(Boolean).sort()[0] || null;
+                if (startDate && endDate && startDate > endDate) return;
+
+                const [first, second] = b.start < a.start ? [b, a] : [a, b];
+                const overlapStart = Math.max(a.start, b.start);
+                const overlapEnd = Math.min(a.end, b.end);
+                const entry = item => ({
+                    courseId: item.meeting.id != null ? String(item.meeting.id) : '',
+                    title: item.meeting.title,
+                    meetingIndex: item.meeting.meetingIndex,
+                    registrationStatus: item.meeting.registrationStatus || '',
+                    time: item.meeting.time,
+                    endTime: item.meeting.endTime
+                });
+                conflicts.push({
+                    // Monday first, the way a school week reads
+                    days: days.sort((x, y) => (x + 6) % 7 - (y + 6) % 7).map(day => DAY_NAMES[day]),
+                    first: entry(first),
+                    second: entry(second),
+                    overlapStart: formatClockTime({ hours: Math.floor(overlapStart / 60), minutes: overlapStart % 60 }),
+                    overlapEnd: formatClockTime({ hours: Math.floor(overlapEnd / 60), minutes: overlapEnd % 60 }),
+                    overlapMinutes: overlapEnd - overlapStart,
+                    startDate,
+                    endDate
+                });
+            });
+        });
+        return conflicts;
+    }
+
+    /**
+     * One line for a conflict, e.g. 'CSE 4501 - ... (Waitlisted) and MATH 2200 - ... overlap on
+     * Monday/Wednesday, 10:00 AM - 10:15 AM'
+     */
+    function describeTimeConflict(conflict) {
+        const label = meeting => meeting.registrationStatus && meeting.registrationStatus !== 'Registered'
+            ? `${meeting.title} (${meeting.registrationStatus})`
+            : meeting.title;
+        const dates = conflict.startDate && conflict.endDate ? ` from ${conflict.startDate} to ${conflict.endDate}` : '';
+        return `${label(conflict.first)} and ${label(conflict.second)} overlap on ${conflict.days.join('/')}, ` +
+            `${conflict.overlapStart} - ${conflict.overlapEnd}${dates}`;
+    }
+
+    /**
+     * Date span of an all-day, term-long note event for an unscheduled meeting
+     * @returns {?{startDate: string, endDate: string}} endDate is exclusive, as calendars expect
+     */
+    function getAllDaySpan(course) {
+        const start = parseDate(course.startDate);
+        const end = parseDate(course.endDate);
+        if (!start || !end) return null;
+
+        const dayAfterEnd = new Date(end.year, end.month - 1, end.day + 1);
+        return {
+            startDate: formatDate(start.year, start.month, start.day),
+            endDate: formatLocalDate(dayAfterEnd)
+        };
+    }
+
+    /**
+     * Read every sheet of a SheetJS workbook and parse them into one course list
+     * @param {Object} [options] - See parseSchedule; options.name prefixes sheet names (e.g. the file name)
+     * @returns {{courses: Course[], warnings: string[], sheets: SheetResult[], conflicts: TimeConflict[]}}
+     */
+    function parseWorkbook(XLSX, workbook, options = {}) {
+        if (workbook.SheetNames.length === 0) {
+            return { courses: [], warnings: ['The workbook contains no sheets'], sheets: [], conflicts: [] };
+        }
+        return parseSheets(readWorkbookSheets(XLSX, workbook, options.name), options);
+    }
+
+    /**
+     * Rows of every sheet in a workbook
+     * @param {string} [prefix] - Prepended to sheet names, e.g. the file name
+     * @returns {SheetSource[]}
+     */
+    function readWorkbookSheets(XLSX, workbook, prefix) {
+        return workbook.SheetNames.map(sheetName => ({
+            name: prefix ? `${prefix} - ${sheetName}` : sheetName,
+            rows: readSheetRows(XLSX, workbook.Sheets[sheetName])
+        }));
+    }
+
+    /**
+     * Parse several sheets (from one workbook or several files) into one course list
+     * Sheets without courses are left out when another sheet has a schedule, so
+     * instructions or summary tabs don't produce errors. Duplicate sections are
+     * collapsed and the courses are grouped by term (see mergeCourseLists).
+     * @param {SheetSource[]} sheets
+     * @param {Object} [options] - See parseSchedule; per-sheet columnMapping/forceInclude take precedence
+     * @returns {{courses: Course[], warnings: string[], sheets: SheetResult[], conflicts: TimeConflict[]}}
+     */
+    function parseSheets(sheets, options = {}) {
+        const results = sheets.map(sheet => {
+            const result = parseSchedule(sheet.rows, Object.assign({}, options, {
+                term: getTermLabel(sheet.name) || options.term,
+                columnMapping: sheet.columnMapping || options.columnMapping,
+                forceInclude: sheet.forceInclude || options.forceInclude
+            }));
+            return Object.assign({ name: sheet.name }, result);
+        });
+
+        const anyCourses = results.some(result => result.courses.length > 0);
+        const included = results.filter(result => !anyCourses || result.courses.length > 0);
+        const prefixed = sheets.length > 1;
+
+        const warnings = [];
+        results.forEach(result => {
+            if (included.includes(result)) {
+                result.warnings.forEach(warning => warnings.push(prefixed ? `${result.name}: ${warning}` : warning));
+            } else {
+                warnings.push(`${result.name}: no courses found; sheet skipped`);
+            }
+        });
+
+        // Remember which course each diagnostic points at, since merging renumbers them
+        const diagnosticCourses = new Map();
+        included.forEach(result => {
+            result.diagnostics.forEach(diagnostic => {
+                if (diagnostic.imported) {
+                    diagnosticCourses.set(diagnostic, result.courses.find(course => course.id === diagnostic.courseId));
+                }
+            });
+        });
+
+        const merged = mergeCourseLists(included.map(result => result.courses));
+        merged.duplicates.forEach(duplicate => {
+            warnings.push(`${duplicate.course.title}${duplicate.course.term ? ` (${duplicate.course.term})` : ''}: duplicate section collapsed`);
+        });
+
+        diagnosticCourses.forEach((course, diagnostic) => {
+            const duplicate = merged.duplicates.find(entry => entry.course === course);
+            if (duplicate) {
+                diagnostic.courseId = duplicate.keptAs.id;
+                diagnostic.notes.push(`same section as course ${duplicate.keptAs.id}; collapsed`);
+            } else {
+                diagnostic.courseId = course.id;
+            }
+        });
+
+        return {
+            courses: merged.courses,
+            warnings,
+            // Across sheets, since a clash can span two files
+            conflicts: findTimeConflicts(merged.courses),
+            sheets: results.map(result => ({
+                name: result.name,
+                included: included.includes(result),
+                courseCount: result.courses.length,
+                columns: result.columns,
+                diagnostics: result.diagnostics,
+                adapter: result.adapter,
+                locale: result.locale
+            }))
+        };
+    }
+
+    /**
+     * Turn the rows of a Workday "View My Courses" export into courses
+     * @param {Array<Array<*>>} data - Sheet rows (array of arrays)
+     * @param {Object} [options] - See parseSchedule
+     * @returns {Course[]}
+     */
+    function parseWorkdayData(data, options = {}) {
+        return parseSchedule(data, options).courses;
+    }
+
+    /**
+     * Same as parseWorkdayData, but also explains anything that was guessed
+     * @param {Array<Array<*>>} data - Sheet rows (array of arrays)
+     * @param {Object} [options]
+     * @param {Object} [options.profile] - Normalized institution profile (see institution-profile.js)
+     * @param {{headerRow: number, columnMap: Object<string, number>, adapter: ?string}} [options.columnMapping] - User-assigned columns
+     * @param {number[]} [options.forceInclude] - Sheet row numbers to import even if they would be skipped
+     * @param {string} [options.term] - Term for courses whose listing doesn't name one (e.g. from the sheet name)
+     * @param {string|SourceAdapter} [options.adapter] - Source system; detected from the sheet when omitted
+     * @param {string} [options.locale] - Language of the day names (see LOCALES); detected from the sheet when omitted
+     * @returns {{courses: Course[], warnings: string[], columns: ColumnDetection, diagnostics: RowDiagnostic[], adapter: string, locale: string}}
+     */
+    function parseSchedule(data, options = {}) {
+        const profile = options.profile || InstitutionProfile.DEFAULT_PROFILE;
+        const forceInclude = options.forceInclude || [];
+        // A column mapping belongs to the adapter whose fields it assigns
+        const adapter = resolveAdapter(options.columnMapping && options.columnMapping.adapter) ||
+            resolveAdapter(options.adapter) || detectAdapter(data);
+        const locale = isLocale(options.locale) ? options.locale : detectLocale(data);
+        const courses = [];
+        const warnings = [];
+        const diagnostics = [];
+
+        if (data.length < 2) {
+            warnings.push('The sheet has no data rows');
+            return { courses, warnings, columns: detectColumns(data, adapter), diagnostics, adapter: adapter.id, locale };
+        }
+
+        const detected = detectColumns(data, adapter);
+        const columns = options.columnMapping ? applyColumnMapping(data, options.columnMapping, adapter) : detected;
+
+        if (!options.columnMapping && !detected.headerFound) {
+            const headers = adapter.headerKeywords.map(toTitleCase).join(', ');
+            warnings.push(`No ${adapter.name} header row (${headers}) found; guessing columns from the first row`);
+        }
+
+        const headerRow = columns.headerRow;
+        const columnMap = columns.columnMap;
+        // Exports sometimes repeat the header row further down
+        const listingHeader = columns.headerFound ? getCellValue(data[headerRow] || [], columnMap.courseListing) : '';
+
+        // Parse each row
+        for (let i = headerRow + 1; i < data.length; i++) {
+            const row = data[i] || [];
+            if (row.every(cell => !cell)) continue; // Skip empty rows
+
+            // Extract course name from Course Listing column
+            const fields = adapter.readRow ? adapter.readRow(row, columnMap) : readRowFields(row, columnMap, adapter);
+            const courseListing = fields.courseListing || '';
+            const diagnostic = { row: i + 1, listing: courseListing, imported: false, forced: false, reason: null, notes: [] };
+            diagnostics.push(diagnostic);
+            const forced = forceInclude.includes(diagnostic.row);
+
+            // Skip rows with empty or invalid course listings
+            diagnostic.reason = getListingSkipReason(courseListing, adapter, listingHeader);
+            if (diagnostic.reason && !forced) {
+                continue;
+            }
+
+            // Section and component markers aren't part of the title
+            const details = readSectionDetails(courseListing, fields.section, fields.instructionalFormat);
+            const courseName = extractCourseName(details.listing, profile);
+
+            // A Meeting Patterns cell can hold several patterns (lecture + lab)
+            const meetingPatterns = fields.meetingPatterns || '';
+            const patternLines = (adapter.splitMeetingPatterns || splitMeetingPatterns)(meetingPatterns);
+            const meetingInfos = patternLines.map(line => adapter.parseMeetingPattern(line, { locale }));
+            if (meetingInfos.length === 0) {
+                patternLines.push('');
+                meetingInfos.push(adapter.parseMeetingPattern('', { locale }));
+            }
+
+            const instructor = fields.instructor || '';
+            const registrationStatus = fields.registrationStatus;
+
+            // Dates are Excel serial numbers, or text in CSV files and formatted cells
+            const startDateCell = fields.startDate;
+            const endDateCell = fields.endDate;
+
+            // Unreadable patterns stay unscheduled instead of becoming Monday 9-10 AM
+            const meetings = meetingInfos.map((info, index) => {
+                const meeting = Object.assign({
+                    days: info.days || '',
+                    time: info.startTime || '',
+                    endTime: info.endTime || '',
+                    location: info.location || ''
+                }, getDateRangeFields(info));
+                if (!info.days || !info.startTime) {
+                    meeting.unscheduled = true;
+                    meeting.pattern = patternLines[index];
+                }
+                return meeting;
+            });
+
+            const course = {
+                id: courses.length + 1,
+                title: courseName || 'Untitled Event',
+                // The first meeting is mirrored at the top level for single-pattern consumers
+                days: meetings[0].days,
+                time: meetings[0].time,
+                endTime: meetings[0].endTime,
+                location: meetings[0].location,
+                meetings: meetings,
+                instructor: instructor,
+                registrationStatus: registrationStatus,
+                startDate: startDateCell ? readCellDate(startDateCell) : null,
+                endDate: endDateCell ? readCellDate(endDateCell) : null
+            };
+            if (details.section) {
+                course.section = details.section;
+            }
+            if (details.component) {
+                course.component = details.component;
+            }
+            const exam = parseExamText(fields.finalExam);
+            if (exam) {
+                course.exam = exam;
+            }
+            const credits = parseCredits(fields.credits);
+            if (credits !== null) {
+                course.credits = credits;
+            }
+            // A course with no readable meeting at all is unscheduled as a whole
+            if (meetings.every(meeting => meeting.unscheduled)) {
+                course.unscheduled = true;
+            }
+
+            // Only add if it's a valid course, unless the user asked for this row
+            diagnostic.reason = diagnostic.reason || getCourseSkipReason(course, profile);
+            if (diagnostic.reason && !forced) continue;
+
+            const notes = diagnostic.notes;
+            if (diagnostic.reason) {
+                diagnostic.forced = true;
+                notes.push(`included manually (${diagnostic.reason})`);
+            }
+
+            // Rows without dates fall back to the institution's default term
+            if (profile.defaultTerm && (!course.startDate || !course.endDate)) {
+                course.startDate = course.startDate || profile.defaultTerm.startDate;
+                course.endDate = course.endDate || profile.defaultTerm.endDate;
+                notes.push(`no start or end date; used the ${profile.name} term dates (${course.startDate} to ${course.endDate})`);
+            }
+            course.term = getTermLabel(courseListing) || options.term || getTermFromDate(course.startDate) || '';
+
+            courses.push(course);
+            diagnostic.imported = true;
+            diagnostic.courseId = course.id;
+
+            meetingInfos.forEach((info, index) => {
+                const missing = [!info.days && 'days', !info.startTime && 'time'].filter(Boolean);
+                if (missing.length > 0) {
+                    notes.push(`no meeting ${missing.join(' or ')} found in "${patternLines[index]}"; marked unscheduled`);
+                }
+            });
+            if (fields.finalExam && !exam) {
+                notes.push(`no final exam date and time found in "${fields.finalExam}"; exam not added`);
+            }
+            if (meetings.some(meeting => !(meeting.startDate || course.startDate) || !(meeting.endDate || course.endDate))) {
+                notes.push('missing start or end date');
+            }
+            notes.forEach(note => warnings.push(`${course.title}: ${note}`));
+        }
+
+        if (courses.length === 0) {
+            warnings.push('No courses found');
+        }
+
+        return { courses, warnings, columns, diagnostics, adapter: adapter.id, locale };
+    }
+
+    // Values of each mapped column, by field key
+    function readRowFields(row, columnMap, adapter) {
+        const fields = {};
+        adapter.columnFields.forEach(field => {
+            fields[field.key] = getCellValue(row, columnMap[field.key]);
+        });
+        return fields;
+    }
+
+    function toTitleCase(text) {
+        return text.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+    }
+
+    /**
+     * Term named in free text, e.g. "ENGL 1010 - Writing 1 - Fall 2025" or "2025 Fall"
+     * @returns {?string} e.g. "Fall 2025"
+     */
+    function getTermLabel(text) {
+        const value = String(text || '');
+        const seasons = TERM_SEASONS.join('|');
+        const match = value.match(new RegExp(`\\b(${seasons})\\s+(\\d{4})\\b`, 'i')) ||
+            value.match(new RegExp(`\\b(\\d{4})\\s+(${seasons})\\b`, 'i'));
+        if (!match) return null;
+
+        const [season, year] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+        return `${season.charAt(0).toUpperCase()}${season.slice(1).toLowerCase()} ${year}`;
+    }
+
+    /**
+     * Term a course starting on this date most likely belongs to
+     * January-April is Spring, May-July Summer, August-December Fall.
+     * @param {?string} startDate - YYYY-MM-DD
+     * @returns {?string}
+     */
+    function getTermFromDate(startDate) {
+        const parsed = parseDate(startDate);
+        if (!parsed) return null;
+        const season = parsed.month <= 4 ? 'Spring' : parsed.month <= 7 ? 'Summer' : 'Fall';
+        return `${season} ${parsed.year}`;
+    }
+
+    /**
+     * Sort comparator for term labels: by year, then season; unknown terms last
+     */
+    function compareTerms(a, b) {
+        const rank = term => {
+            const match = String(term || '').match(/^(\w+) (\d{4})$/);
+            const season = match ? TERM_SEASONS.indexOf(match[1]) : -1;
+            return season === -1 ? Infinity : Number(match[2]) * TERM_SEASONS.length + season;
+        };
+        const difference = rank(a) - rank(b);
+        return Number.isNaN(difference) ? 0 : difference;
+    }
+
+    // Same term, title, section, component and meeting times means the same section, whatever file it came from;
+    // a cross-listed lecture and lab can share a title and meeting pattern
+    function getCourseKey(course) {
+        const meetings = getCourseMeetings(course)
+            .map(meeting => [meeting.days, meeting.time, meeting.endTime,
+                meeting.startDate || course.startDate, meeting.endDate || course.endDate].join(','))
+            .join(';');
+        return [course.term || '', course.title.toLowerCase().replace(/\s+/g, ' ').trim(),
+            course.section || '', course.component || '', meetings].join('|');
+    }
+
+    function isRegisteredStatus(status) {
+        return /^registered$/i.test(String(status || '').trim());
+    }
+
+    /**
+     * Merge course lists from several sheets or files
+     * Duplicate sections collapse into the first copy (taking a Registered status
+     * over e.g. Waitlisted), courses are grouped by term in upload order within
+     * each term, and ids are renumbered 1..n. Courses are updated in place.
+     * @param {Course[][]} lists
+     * @returns {{courses: Course[], duplicates: Array<{course: Course, keptAs: Course}>}}
+     */
+    function mergeCourseLists(lists) {
+        const courses = [];
+        const duplicates = [];
+        const byKey = new Map();
+
+        lists.forEach(list => {
+            list.forEach(course => {
+                const key = getCourseKey(course);
+                const existing = byKey.get(key);
+                if (!existing) {
+                    byKey.set(key, course);
+                    courses.push(course);
+                    return;
+                }
+                if (isRegisteredStatus(course.registrationStatus) && !isRegisteredStatus(existing.registrationStatus)) {
+                    existing.registrationStatus = course.registrationStatus;
+                }
+                duplicates.push({ course, keptAs: existing });
+            });
+        });
+
+        // Array.prototype.sort is stable, so upload order survives within a term
+        courses.sort((a, b) => compareTerms(a.term, b.term));
+        courses.forEach((course, index) => {
+            course.id = index + 1;
+        });
+        return { courses, duplicates };
+    }
+
+    // How many of the adapter's header keywords a row contains
+    function countHeaderKeywords(row, adapter) {
+        return adapter.headerKeywords.filter(keyword => (row || []).some(cell =>
+            cell && typeof cell === 'string' &&
+            cell.toLowerCase().includes(keyword)
+        )).length;
+    }
+
+    /**
+     * Find the header row and which column holds each field
+     * A mapping is ambiguous when the source system's header row is missing, a required column
+     * wasn't found, a column only matched a loose keyword (e.g. "end" or "time"),
+     * or two fields landed on the same column.
+     * @param {Array<Array<*>>} data - Sheet rows
+     * @param {SourceAdapter} [adapter] - Defaults to Workday
+     * @returns {ColumnDetection}
+     */
+    function detectColumns(data, adapter = WORKDAY_ADAPTER) {
+        const fieldsToFind = adapter.columnFields;
+
+        // The header row is the first one holding every header keyword, e.g. "Course Listing",
+        // "Meeting Patterns" and "Instructor" for Workday
+        let headerRow = -1;
+        for (let i = 0; i < Math.min(HEADER_SEARCH_ROWS, data.length); i++) {
+            if (countHeaderKeywords(data[i], adapter) === adapter.headerKeywords.length) {
+                headerRow = i;
+                break;
+            }
+        }
+
+        const headerFound = headerRow !== -1;
+        if (!headerFound) {
+            headerRow = 0;
+        }
+
+        const headers = data[headerRow] || [];
+        const columnMap = {};
+        const ambiguous = [];
+
+        fieldsToFind.forEach(field => {
+            columnMap[field.key] = findColumn(headers, field.keywords, field.exact);
+            // Whole-cell matches are never loose
+            const exact = field.exact ? columnMap[field.key] : findColumn(headers, [field.keywords[0]]);
+            if ((field.required && columnMap[field.key] === -1) ||
+                (columnMap[field.key] !== -1 && columnMap[field.key] !== exact)) {
+                ambiguous.push(field.key);
+            }
+        });
+
+        // Loose keywords can send two fields to the same column
+        fieldsToFind.forEach(field => {
+            const index = columnMap[field.key];
+            const shared = index !== -1 && fieldsToFind.some(other =>
+                other.key !== field.key && columnMap[other.key] === index);
+            if (shared && !ambiguous.includes(field.key)) {
+                ambiguous.push(field.key);
+            }
+        });
+
+        if (!headerFound) {
+            fieldsToFind.filter(field => field.required && !ambiguous.includes(field.key))
+                .forEach(field => ambiguous.push(field.key));
+        }
+
+        return {
+            headerRow,
+            headerFound,
+            columnMap,
+            ambiguous,
+            signature: getHeaderSignature(headers)
+        };
+    }
+
+    /**
+     * Use a mapping the user picked instead of detecting columns
+     * @param {Array<Array<*>>} data - Sheet rows
+     * @param {{headerRow: number, columnMap: Object<string, number>}} mapping
+     * @param {SourceAdapter} [adapter] - Defaults to Workday
+     * @returns {ColumnDetection}
+     */
+    function applyColumnMapping(data, mapping, adapter = WORKDAY_ADAPTER) {
+        const headerRow = Math.max(0, Math.min(Number(mapping.headerRow) || 0, data.length - 1));
+        const columnMap = {};
+        adapter.columnFields.forEach(field => {
+            const index = mapping.columnMap ? mapping.columnMap[field.key] : undefined;
+            columnMap[field.key] = Number.isInteger(index) && index >= 0 ? index : -1;
+        });
+
+        return {
+            headerRow,
+            headerFound: true,
+            columnMap,
+            ambiguous: [],
+            signature: getHeaderSignature(data[headerRow] || [])
+        };
+    }
+
+    /**
+     * Identify a sheet layout by its header cells, e.g. "course listing|instructor|meeting patterns"
+     */
+    function getHeaderSignature(headers) {
+        return (headers || [])
+            .map(header => (header || '').toString().toLowerCase().trim())
+            .join('|')
+            .replace(/\|+$/, '');
+    }
+
+    /**
+     * Look for a saved mapping whose header signature matches one of the first rows
+     * @param {Array<Array<*>>} data - Sheet rows
+     * @param {Object<string, {columnMap: Object<string, number>, adapter: ?string}>} savedMappings - By signature
+     * @returns {?{headerRow: number, columnMap: Object<string, number>, adapter: ?string}} With headerRow set to where it was found
+     */
+    function findSavedColumnMapping(data, savedMappings) {
+        if (!savedMappings) return null;
+        for (let i = 0; i < Math.min(HEADER_SEARCH_ROWS, data.length); i++) {
+            const signature = getHeaderSignature(data[i] || []);
+            if (signature && savedMappings[signature]) {
+                return { headerRow: i, columnMap: savedMappings[signature].columnMap, adapter: savedMappings[signature].adapter || null };
+            }
+        }
+        return null;
+    }
+
+    function extractCourseName(courseListing, profile = InstitutionProfile.DEFAULT_PROFILE) {
+        // Extract course name from strings like "CSE 4501 - Video Game Programming II"
+        if (!courseListing || courseListing.trim() === '') {
+            return 'Untitled Course';
+        }
+
+        // Apply the institution's cleanup rules (e.g. drop a trailing "- Fall 2025")
+        const title = profile.titleCleanup.reduce(
+            (text, rule) => text.replace(rule.pattern, rule.replacement),
+            courseListing
+        ).trim();
+
+        // If the rules removed everything, return as-is
+        return title || courseListing;
+    }
+
+    /**
+     * Canonical component name ("Lab") for text such as "Laboratory" or "LAB", or null
+     */
+    function parseComponent(text) {
+        const value = String(text || '').toLowerCase().replace(/[^a-z]/g, '');
+        const component = COMPONENTS.find(entry => entry.aliases.includes(value));
+        return component ? component.name : null;
+    }
+
+    /**
+     * Section number in "CSE 4501-01 - Title" or "Section 01", or null
+     * @param {boolean} [bare] - Also accept the whole text as the number, as in a Section column holding "01"
+     */
+    function parseSectionNumber(text, bare = false) {
+        const value = String(text || '').trim();
+        const inListing = value.match(SECTION_IN_LISTING);
+        if (inListing) return inListing[2];
+        const labeled = value.match(/\bsec(?:tion)?\.?\s*#?\s*([A-Z]{0,2}\d{1,3}[A-Z]?)$/i);
+        if (labeled) return labeled[1];
+        const number = bare && value.match(/^[A-Z]{0,3}\d{1,3}[A-Z]?$/i);
+        return number ? number[0] : null;
+    }
+
+    /**
+     * Section number and component of a row
+     * The Section and Instructional Format columns win over markers in the listing
+     * ("CSE 4501-01 - Title", "... (Lab)" or "... - Laboratory"), which are removed from it.
+     * @returns {{listing: string, section: ?string, component: ?string}}
+     */
+    function readSectionDetails(courseListing, sectionCell, formatCell) {
+        let listing = courseListing;
+        let section = parseSectionNumber(sectionCell, true);
+        let component = formatCell ? parseComponent(formatCell) || formatCell : null;
+
+        const sectionInListing = listing.match(SECTION_IN_LISTING);
+        if (sectionInListing) {
+            section = section || sectionInListing[2];
+            listing = listing.replace(SECTION_IN_LISTING, '$1');
+        }
+
+        // Only a trailing marker, and never the whole title ("CSE 1001 - Lab")
+        const marker = listing.match(/\s*(?:\(([A-Za-z]+)\)|\s-\s([A-Za-z]+))\s*$/);
+        const markedComponent = marker && parseComponent(marker[1] || marker[2]);
+        if (markedComponent && (marker[1] || listing.slice(0, marker.index).includes(' - '))) {
+            component = component || markedComponent;
+            listing = listing.slice(0, marker.index);
+        }
+
+        return { listing, section, component };
+    }
+
+    /**
+     * Title with the component and section, e.g. "CSE 4501 - Game Programming (Lab, Sec. 02)",
+     * so events for a lecture and its lab can be told apart; tentative courses get a "[Waitlisted]" prefix
+     * @param {Course} course
+     * @param {Object<string, string>} [policies] - See getStatusPolicy
+     */
+    function getCourseLabel(course, policies) {
+        const details = [course.component, course.section && `Sec. ${course.section}`].filter(Boolean);
+        const label = details.length > 0 ? `${course.title} (${details.join(', ')})` : course.title;
+        const state = getPendingState(course);
+        return state && getStatusPolicy(course, policies) === 'tentative' ? `[${state.label}] ${label}` : label;
+    }
+
+    /**
+     * Waitlisted or pending state of a course ({key, label} from PENDING_STATES), or null when
+     * it is registered or has no status
+     */
+    function getPendingState(course) {
+        const status = String((course && course.registrationStatus) || '');
+        return PENDING_STATES.find(state => state.pattern.test(status)) || null;
+    }
+
+    /**
+     * How to add a course given its registration state: 'include', 'tentative' or 'exclude'
+     * @param {Course} course
+     * @param {Object<string, string>} [policies] - Policy per PENDING_STATES key; missing or
+     *     unknown entries use DEFAULT_STATUS_POLICIES
+     */
+    function getStatusPolicy(course, policies) {
+        const state = getPendingState(course);
+        if (!state) return 'include';
+        const policy = policies && policies[state.key];
+        return STATUS_POLICIES.includes(policy) ? policy : DEFAULT_STATUS_POLICIES[state.key];
+    }
+
+    function isValidCourse(course, profile = InstitutionProfile.DEFAULT_PROFILE) {
+        return getCourseSkipReason(course, profile) === null;
+    }
+
+    /**
+     * Why a Course Listing cell can't be a course, or null
+     * @param {string} [listingHeader] - Header cell of the listing column
+     */
+    function getListingSkipReason(courseListing, adapter = WORKDAY_ADAPTER, listingHeader = '') {
+        if (!courseListing || courseListing.trim() === '') {
+            return 'no course listing';
+        }
+        const listingField = adapter.columnFields.find(field => field.key === 'courseListing');
+        if (courseListing === listingHeader || (listingField && courseListing.toLowerCase() === listingField.keywords[0])) {
+            return 'repeated header row';
+        }
+        return adapter.getListingSkipReason ? adapter.getListingSkipReason(courseListing) : null;
+    }
+
+    /**
+     * Why a parsed row isn't imported as a course, or null when it is valid
+     */
+    function getCourseSkipReason(course, profile = InstitutionProfile.DEFAULT_PROFILE) {
+        // Must have the institution's course code pattern (like CSE 4501, BIOL 3100, etc.)
+        // Don't check for navigation/header terms since they can appear in legitimate course names
+        if (!profile.courseCodePattern.test(course.title)) {
+            return `title "${course.title}" has no course code matching ${profile.courseCodePattern.source}`;
+        }
+
+        // Check registration status - filter out unregistered/dropped classes
+        const registrationStatus = (course.registrationStatus || '').toLowerCase();
+
+        if (registrationStatus.includes('unregistered') ||
+            registrationStatus.includes('dropped') ||
+            registrationStatus.includes('withdrawn')) {
+            return `registration status is "${course.registrationStatus}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse strings like "Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016"
+     * Patterns without readable days or times (online, TBA) come back with
+     * empty fields and unscheduled: true.
+     * @param {string} meetingPatterns
+     * @param {{locale: string}} [options] - Language of the day names, see LOCALES
+     */
+    function parseMeetingPatterns(meetingPatterns, options) {
+        const info = readMeetingPattern(meetingPatterns, options);
+        const meeting = Object.assign({
+            days: info.days || '',
+            startTime: info.startTime || '',
+            endTime: info.endTime || '',
+            location: info.location
+        }, getDateRangeFields(info));
+        if (!info.days || !info.startTime) {
+            meeting.unscheduled = true;
+        }
+        return meeting;
+    }
+
+    // Only patterns that carry their own date range get startDate/endDate keys
+    function getDateRangeFields(info) {
+        return info.startDate ? { startDate: info.startDate, endDate: info.endDate } : {};
+    }
+
+    /**
+     * Split a Meeting Patterns cell into one string per pattern
+     * Workday puts each pattern (lecture, lab, discussion) on its own line
+     */
+    function splitMeetingPatterns(cellText) {
+        return (cellText || '').toString()
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse every pattern in a Meeting Patterns cell
+     * @returns {Array<{days: string, startTime: string, endTime: string, location: string}>}
+     */
+    function parseMeetingPatternList(cellText) {
+        return splitMeetingPatterns(cellText).map(text => parseMeetingPatterns(text));
+    }
+
+    /**
+     * Read days like "Mon/Wed" into full names, e.g. "Monday/Wednesday"
+     * Other locales' names come back in English too ("Lun/Mié" in 'es'), so everything
+     * downstream (RRULEs, the .ics, Google) only deals with English names.
+     * @param {string} text
+     * @param {string} [locale] - See LOCALES; English by default
+     * @returns {?string} null when no day is recognized
+     */
+    function parseDays(text, locale) {
+        if (locale !== DEFAULT_LOCALE && isLocale(locale)) {
+            return parseLocalizedDays(text, LOCALES[locale]);
+        }
+
+        // Handle multiple days like "Mon/Wed"
+        const dayNames = [];
+        (text || '').split('/').forEach(part => {
+            DAY_ABBREVIATIONS.forEach(([abbreviation, name]) => {
+                if (part.includes(abbreviation)) dayNames.push(name);
+            });
+        });
+        return dayNames.length > 0 ? dayNames.join('/') : null;
+    }
+
+    // A word is a day when it starts that day's name: "Mi" (de), "Mié" (es) or "mercredi" (fr)
+    function parseLocalizedDays(text, locale) {
+        const names = locale.days.map(normalizeWord);
+        const indices = [];
+        splitWords(text).map(normalizeWord).filter(word => word.length >= 2).forEach(word => {
+            const index = names.findIndex(name => name.startsWith(word));
+            if (index !== -1 && !indices.includes(index)) {
+                indices.push(index);
+            }
+        });
+        return indices.length > 0 ? indices.map(index => DAY_NAMES[index]).join('/') : null;
+    }
+
+    /**
+     * Guess an export's language from the weekday names in its meeting patterns
+     * Only cells with a time in them count, so titles and notes don't sway it; English wins ties.
+     * @param {Array<Array<*>>} rows
+     * @returns {string} Locale id, see LOCALES
+     */
+    function detectLocale(rows) {
+        const localeIds = Object.keys(LOCALES);
+        const words = {};
+        const scores = {};
+        localeIds.forEach(id => {
+            words[id] = new Set(LOCALES[id].days.concat(LOCALES[id].abbreviations).map(normalizeWord));
+            scores[id] = 0;
+        });
+
+        (rows || []).forEach(row => {
+            (row || []).forEach(cell => {
+                const text = cell == null ? '' : String(cell);
+                if (!/\d{1,2}\s*[:hH.]\s*\d{2}/.test(text)) return;
+                splitWords(text).map(normalizeWord).forEach(word => {
+                    localeIds.forEach(id => {
+                        if (words[id].has(word)) scores[id]++;
+                    });
+                });
+            });
+        });
+
+        return localeIds.reduce((best, id) => scores[id] > scores[best] ? id : best, DEFAULT_LOCALE);
+    }
+
+    /**
+     * Read a class time range: "5:30 PM - 7:00 PM", "5:30 p. m. - 7:00 p. m." or 24-hour
+     * "17:30 - 19:00", "17h30 - 19h00", "17.30 - 19.00 Uhr"
+     * 12-hour times come back as written; 24-hour ones as "5:30 PM", the format Workday uses.
+     * @returns {?{startTime: string, endTime: string}}
+     */
+    function parseTimeRange(text) {
+        const value = String(text || '').replace(/\b([ap])\.\s*m\./gi, (match, letter) => `${letter.toUpperCase()}M`);
+
+        const twelveHour = value.match(/(\d{1,2}:\d{2})\s*([AP]M)?\s*-\s*(\d{1,2}:\d{2})\s*([AP]M)/);
+        if (twelveHour) {
+            if (twelveHour[2]) {
+                return { startTime: `${twelveHour[1]} ${twelveHour[2]}`, endTime: `${twelveHour[3]} ${twelveHour[4]}` };
+            }
+            // "1:00 - 2:30 PM": the start shares the end's AM/PM, unless that puts it after the end ("11:00 - 12:15 PM")
+            const end = parseTime(`${twelveHour[3]} ${twelveHour[4]}`);
+            let start = parseTime(`${twelveHour[1]} ${twelveHour[4]}`);
+            if (start && end && start.hours * 60 + start.minutes > end.hours * 60 + end.minutes) {
+                start = parseTime(`${twelveHour[1]} AM`);
+            }
+            if (!start || !end) return null;
+            return { startTime: formatClockTime(start), endTime: formatClockTime(end) };
+        }
+
+        const twentyFourHour = value.match(/(\d{1,2})\s*[:hH.]\s*(\d{2})\s*(?:Uhr)?\s*(?:-|–|bis|à)\s*(\d{1,2})\s*[:hH.]\s*(\d{2})/);
+        if (!twentyFourHour) return null;
+        const [startHours, startMinutes, endHours, endMinutes] = twentyFourHour.slice(1).map(Number);
+        if (startHours > 23 || endHours > 23 || startMinutes > 59 || endMinutes > 59) return null;
+        return {
+            startTime: formatClockTime({ hours: startHours, minutes: startMinutes }),
+            endTime: formatClockTime({ hours: endHours, minutes: endMinutes })
+        };
+    }
+
+    /**
+     * Like parseMeetingPatterns, but leaves unreadable parts null
+     * @param {string} meetingPatterns
+     * @param {{locale: string}} [options] - Language of the day names, see LOCALES
+     */
+    function readMeetingPattern(meetingPatterns, options = {}) {
+        const parts = meetingPatterns.split('|').map(p => p.trim());
+
+        let days = null;
+        let startTime = null;
+        let endTime = null;
+        let location = '';
+        let startDate = null;
+        let endDate = null;
+
+        // Half-term patterns lead with their own range: "01/13/2025 - 03/07/2025 | Tue/Thu | ..."
+        const dateRange = parseDateRange(parts[0]);
+        if (dateRange) {
+            startDate = dateRange.startDate;
+            endDate = dateRange.endDate;
+            parts.shift();
+        }
+
+        if (parts.length >= 1) {
+            days = parseDays(parts[0], options.locale);
+        }
+
+        if (parts.length >= 2 && parts[1]) {
+            const times = parseTimeRange(parts[1]);
+            if (times) {
+                startTime = times.startTime;
+                endTime = times.endTime;
+            }
+        }
+
+        if (parts.length >= 3) {
+            location = parts[2];
+        }
+
+        return { days, startTime, endTime, location, startDate, endDate };
+    }
+
+    /**
+     * Parse "01/13/2025 - 03/07/2025" (or ISO dates) into YYYY-MM-DD strings
+     * @returns {?{startDate: string, endDate: string}}
+     */
+    function parseDateRange(text) {
+        const datePattern = '(\\d{1,2}/\\d{1,2}/\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2})';
+        const match = (text || '').match(new RegExp(`^${datePattern}\\s*-\\s*${datePattern}$`));
+        if (!match) return null;
+
+        const start = parseDate(match[1]);
+        const end = parseDate(match[2]);
+        if (!start || !end) return null;
+
+        return {
+            startDate: formatDate(start.year, start.month, start.day),
+            endDate: formatDate(end.year, end.month, end.day)
+        };
+    }
+
+    // "12/15/2025", "2025-12-15" or "Dec 15, 2025"
+    const EXAM_DATE = /\b(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{1,2}-\d{1,2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4})\b/i;
+    // "6:00 PM - 8:00 PM", "6-8 PM" or "6:00 to 8:00pm"
+    const EXAM_TIME_RANGE = /(\d{1,2}(?::\d{2})?)\s*([AP]\.?M\.?)?\s*(?:-|\u2013|to)\s*(\d{1,2}(?::\d{2})?)\s*([AP]\.?M\.?)/i;
+
+    /**
+     * Read a final exam cell such as "12/15/2025 | 6:00 PM - 8:00 PM | Rebstock, Room 215"
+     * or "Mon, Dec 15, 2025 6-8 PM Rebstock 215"
+     * @returns {?Exam} null without a readable date, start and end time
+     */
+    function parseExamText(text) {
+        const value = String(text || '').trim();
+        const dateMatch = value.match(EXAM_DATE);
+        const timeMatch = value.match(EXAM_TIME_RANGE);
+        if (!dateMatch || !timeMatch) return null;
+
+        const date = parseDate(dateMatch[1].replace(/\.(?=\s)/, ''));
+        const end = parseTime(`${timeMatch[3]} ${timeMatch[4].replace(/\./g, '')}`);
+        // "6-8 PM": the start shares the end's AM/PM, unless that puts it after the end ("11-1 PM")
+        let start = parseTime(`${timeMatch[1]} ${(timeMatch[2] || timeMatch[4]).replace(/\./g, '')}`);
+        if (!timeMatch[2] && start && end && start.hours * 60 + start.minutes > end.hours * 60 + end.minutes) {
+            start = parseTime(`${timeMatch[1]} AM`);
+        }
+        if (!date || !start || !end) return null;
+
+        // The rest is the room: the other "|" parts, or what's left around the date and time
+        const location = value.includes('|')
+            ? value.split('|').map(part => part.trim())
+                .filter(part => part && !EXAM_DATE.test(part) && !EXAM_TIME_RANGE.test(part)).join(', ')
+            : value.replace(dateMatch[0], ' ').replace(timeMatch[0], ' ')
+                .replace(/\b(?:Mon|Tue|Tues|Wed|Thu|Thur|Thurs|Fri|Sat|Sun)[a-z]*\b\.?/gi, ' ')
+                .replace(/^[\s,;-]+|[\s,;-]+$/g, '').replace(/\s+/g, ' ');
+
+        return {
+            date: formatDate(date.year, date.month, date.day),
+            time: formatClockTime(start),
+            endTime: formatClockTime(end),
+            location
+        };
+    }
+
+    /**
+     * Credit hours in "3", "3.0", "4 Credits" or a variable "1-3" (the first number), or null
+     */
+    function parseCredits(value) {
+        const match = String(value == null ? '' : value).match(/\d+(?:\.\d+)?/);
+        return match ? Number(match[0]) : null;
+    }
+
+    // {hours: 18, minutes: 0} -> "6:00 PM", the format Workday uses
+    function formatClockTime(time) {
+        const suffix = time.hours >= 12 ? 'PM' : 'AM';
+        return `${time.hours % 12 || 12}:${String(time.minutes).padStart(2, '0')} ${suffix}`;
+    }
+
+    const WORKDAY_ADAPTER = {
+        id: 'workday',
+        name: 'Workday',
+        columnFields: COLUMN_FIELDS,
+        headerKeywords: ['course listing', 'meeting patterns', 'instructor'],
+        splitMeetingPatterns,
+        parseMeetingPattern: readMeetingPattern,
+        getListingSkipReason(courseListing) {
+            // Workday puts a bare row count in the listing column of some exports
+            return courseListing === '13' ? 'row count, not a course listing' : null;
+        }
+    };
+
+    // Registered source adapters, in registration order; Workday is always first
+    const adapters = [WORKDAY_ADAPTER];
+
+    /**
+     * Add (or replace, by id) a source adapter
+     * @param {SourceAdapter} adapter
+     * @returns {SourceAdapter}
+     * @throws {Error} When required members are missing
+     */
+    function registerAdapter(adapter) {
+        const missing = ['id', 'name', 'columnFields', 'headerKeywords', 'parseMeetingPattern']
+            .filter(key => !adapter || !adapter[key]);
+        if (missing.length > 0) {
+            throw new Error(`Source adapter is missing ${missing.join(', ')}`);
+        }
+        if (!adapter.columnFields.some(field => field.key === 'courseListing')) {
+            throw new Error(`Source adapter "${adapter.id}" has no courseListing column`);
+        }
+
+        const normalized = Object.assign({}, adapter, {
+            headerKeywords: adapter.headerKeywords.map(keyword => keyword.toLowerCase())
+        });
+        const index = adapters.findIndex(existing => existing.id === adapter.id);
+        if (index === -1) {
+            adapters.push(normalized);
+        } else {
+            adapters[index] = normalized;
+        }
+        return normalized;
+    }
+
+    function getAdapters() {
+        return adapters.slice();
+    }
+
+    /**
+     * @returns {?SourceAdapter}
+     */
+    function getAdapter(id) {
+        return adapters.find(adapter => adapter.id === id) || null;
+    }
+
+    function resolveAdapter(adapter) {
+        if (!adapter) return null;
+        return typeof adapter === 'string' ? getAdapter(adapter) : adapter;
+    }
+
+    /**
+     * Pick the adapter whose export a sheet looks like
+     * Each adapter scores the sheet (its detect function, or the share of its header
+     * keywords found in one of the first rows); the best score wins, earlier
+     * registrations win ties, and Workday is used when nothing matches.
+     * @param {Array<Array<*>>} data - Sheet rows
+     * @returns {SourceAdapter}
+     */
+    function detectAdapter(data) {
+        let best = WORKDAY_ADAPTER;
+        let bestScore = 0;
+        adapters.forEach(adapter => {
+            const score = adapter.detect
+                ? adapter.detect(data)
+                : Math.max(0, ...data.slice(0, HEADER_SEARCH_ROWS).map(row =>
+                    countHeaderKeywords(row, adapter) / adapter.headerKeywords.length));
+            if (score > bestScore) {
+                best = adapter;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Index of the first header containing one of the keywords (equal to one, when exact), or -1
+     */
+    function findColumn(headers, keywords, exact = false) {
+        for (let i = 0; i < headers.length; i++) {
+            const header = (headers[i] || '').toString().toLowerCase().trim();
+            if (keywords.some(keyword => exact ? header === keyword.toLowerCase() : header.includes(keyword.toLowerCase()))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function getCellValue(row, columnIndex) {
+        if (columnIndex === -1 || !row[columnIndex]) return '';
+        return row[columnIndex].toString().trim();
+    }
+
+    /**
+     * Convert an Excel serial number to YYYY-MM-DD
+     */
+    function convertExcelDate(excelSerial) {
+        const serial = parseFloat(excelSerial);
+
+        if (isNaN(serial)) return null;
+
+        // Excel serial numbers are days since 1900-01-01, but Excel treats 1900
+        // as a leap year, so dates after 1900-02-28 are one day ahead
+        const adjustedSerial = serial > 59 ? serial - 1 : serial;
+
+        // Use UTC to avoid timezone issues
+        const date = new Date(Date.UTC(1900, 0, adjustedSerial));
+        return formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    /**
+     * Read a Start/End Date cell, either an Excel serial number or a date as text
+     * @returns {?string} YYYY-MM-DD
+     */
+    function readCellDate(value) {
+        if (/^\d+(\.\d+)?$/.test(value)) return convertExcelDate(value);
+        const parsed = parseDate(value);
+        return parsed ? formatDate(parsed.year, parsed.month, parsed.day) : null;
+    }
+
+    /**
+     * Parse a date from the export into { year, month, day }
+     * Accepts YYYY-MM-DD, M/D/YY, M/D/YYYY, timestamps and anything Date understands
+     */
+    function parseDate(dateStr) {
+        if (!dateStr) return null;
+
+        let year, month, day;
+
+        if (typeof dateStr === 'number') {
+            const d = new Date(dateStr);
+            year = d.getFullYear();
+            month = d.getMonth() + 1;
+            day = d.getDate();
+        } else if (dateStr.includes('-')) {
+            [year, month, day] = dateStr.split('-').map(Number);
+        } else if (dateStr.includes('/')) {
+            const parts = dateStr.split('/').map(Number);
+            if (parts.length === 3) {
+                [month, day, year] = parts;
+                // Handle 2-digit years
+                if (year < 100) {
+                    year += (year < 30) ? 2000 : 1900;
+                }
+            }
+        } else {
+            const d = new Date(dateStr);
+            if (!isNaN(d.getTime())) {
+                year = d.getFullYear();
+                month = d.getMonth() + 1;
+                day = d.getDate();
+            }
+        }
+
+        if (!year || !month || !day) return null;
+        return { year, month, day };
+    }
+
+    function formatDate(year, month, day) {
+        return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    function formatLocalDate(date) {
+        return formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    }
+
+    /**
+     * Parse time string into hours and minutes (handles 12- and 24-hour formats)
+     */
+    function parseTime(timeStr) {
+        if (!timeStr) return null;
+
+        const text = timeStr.toString();
+        const isPM = text.toLowerCase().includes('pm');
+        const isAM = text.toLowerCase().includes('am');
+
+        // Remove AM/PM and extract numbers
+        const [hours, minutes] = text.replace(/[^\d:]/g, '').split(':');
+
+        // No guessing: a time without an hour is unreadable
+        let hour24 = parseInt(hours);
+        if (isNaN(hour24) || hour24 > 23) return null;
+        if (isPM && hour24 < 12) hour24 += 12;
+        if (isAM && hour24 === 12) hour24 = 0;
+
+        return {
+            hours: hour24,
+            minutes: parseInt(minutes) || 0
+        };
+    }
+
+    /**
+     * Convert time like "09:00" or "9:00 AM" to "090000"
+     * @returns {?string} null when the time can't be read
+     */
+    function formatTimeForICS(timeStr) {
+        const time = parseTime(timeStr);
+        if (!time) return null;
+        return String(time.hours).padStart(2, '0') + String(time.minutes).padStart(2, '0') + '00';
+    }
+
+    /**
+     * Split "Monday/Wednesday" or "Monday, Wednesday" into JS day indices (0=Sun ... 6=Sat)
+     */
+    function getDayIndices(daysStr) {
+        if (!daysStr) return [];
+        return daysStr.split(/[/,]/)
+            .map(name => DAY_NAME_INDEX[normalizeWord(name.trim())])
+            .filter(index => index !== undefined);
+    }
+
+    /**
+     * Map day names to RRULE BYDAY codes, e.g. "Monday/Wednesday" -> ['MO', 'WE']
+     * Full names in any of LOCALES work too ("Lunes/Miércoles").
+     */
+    function getRRuleDays(daysStr) {
+        if (!daysStr) return [];
+        return daysStr.toLowerCase().split(/[/,]/)
+            .map(day => {
+                const index = DAY_NAME_INDEX[normalizeWord(day.trim())];
+                return RRULE_DAYS[day.trim()] || (index !== undefined ? RRULE_DAYS[DAY_NAMES[index].toLowerCase()] : undefined);
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Determine the first meeting date on or after the given start date
+     * Ensures DTSTART aligns with BYDAY so calendars don't create
+     * an extra first occurrence on a non-meeting day.
+     * Returns the original value when either input can't be read.
+     */
+    function getFirstMeetingDate(startDateStr, daysStr) {
+        const parsed = parseDate(startDateStr);
+        const targetIndices = getDayIndices(daysStr);
+        if (!parsed || targetIndices.length === 0) return startDateStr;
+
+        const start = new Date(parsed.year, parsed.month - 1, parsed.day);
+
+        // Advance up to 6 days to find the next matching meeting day
+        for (let offset = 0; offset < 7; offset++) {
+            const d = new Date(start);
+            d.setDate(start.getDate() + offset);
+            if (targetIndices.includes(d.getDay())) {
+                return formatLocalDate(d);
+            }
+        }
+
+        return startDateStr;
+    }
+
+    /**
+     * Build the weekly RRULE shared by the ICS export and the Google insert
+     * @returns {?string} e.g. "RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250502"
+     */
+    function buildRecurrenceRule(daysStr, endDateStr) {
+        const byDay = getRRuleDays(daysStr);
+        if (byDay.length === 0) return null;
+
+        let rule = `RRULE:FREQ=WEEKLY;BYDAY=${byDay.join(',')}`;
+        const end = parseDate(endDateStr);
+        if (end) {
+            rule += `;UNTIL=${formatDate(end.year, end.month, end.day).replace(/-/g, '')}`;
+        }
+        return rule;
+    }
+
+    function escapeICS(text) {
+        return text.toString()
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '');
+    }
+
+    return {
+        DAY_NAMES,
+        COLUMN_FIELDS,
+        COMPONENTS,
+        UNSCHEDULED_POLICIES,
+        STATUS_POLICIES,
+        PENDING_STATES,
+        DEFAULT_STATUS_POLICIES,
+        LOCALES,
+        DEFAULT_LOCALE,
+        isLocale,
+        readSheetRows,
+        parseWorkbook,
+        readWorkbookSheets,
+        parseSheets,
+        parseWorkdayData,
+        parseSchedule,
+        getTermLabel,
+        getTermFromDate,
+        compareTerms,
+        mergeCourseLists,
+        detectColumns,
+        applyColumnMapping,
+        getHeaderSignature,
+        findSavedColumnMapping,
+        registerAdapter,
+        getAdapters,
+        getAdapter,
+        detectAdapter,
+        extractCourseName,
+        parseComponent,
+        parseSectionNumber,
+        getCourseLabel,
+        getPendingState,
+        getStatusPolicy,
+        isValidCourse,
+        getCourseSkipReason,
+        parseMeetingPatterns,
+        parseMeetingPatternList,
+        parseDateRange,
+        parseExamText,
+        parseCredits,
+        formatClockTime,
+        getCourseMeetings,
+        expandCourseMeetings,
+        isMeetingScheduled,
+        EVENT_FIELDS,
+        pickEventFields,
+        validateCourse,
+        findTimeConflicts,
+        describeTimeConflict,
+        getAllDaySpan,
+        parseDays,
+        detectLocale,
+        parseTimeRange,
+        findColumn,
+        getCellValue,
+        convertExcelDate,
+        readCellDate,
+        parseDate,
+        formatDate,
+        formatLocalDate,
+        parseTime,
+        formatTimeForICS,
+        getDayIndices,
+        getRRuleDays,
+        getFirstMeetingDate,
+        buildRecurrenceRule,
+        escapeICS
+    };
+});
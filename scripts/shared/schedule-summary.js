@@ -0,0 +1,175 @@
+/**
+ * Schedule Summary
+ * Credits and weekly workload of a parsed schedule: contact hours, per-day load,
+ * earliest start, latest end and the longest gap between classes.
+ * Loaded by the browser (window.ScheduleSummary) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.ScheduleSummary = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    /**
+     * @typedef {Object} ClassTime
+     * @property {string} day - e.g. "Monday"
+     * @property {string} time - e.g. "8:30 AM"
+     * @property {string} course - Course title
+     */
+
+    /**
+     * @typedef {Object} DayLoad
+     * @property {string} day - e.g. "Monday"
+     * @property {number} meetingCount
+     * @property {number} minutes - Time in class that day
+     * @property {string} firstStart - e.g. "9:00 AM"
+     * @property {string} lastEnd
+     */
+
+    /**
+     * @typedef {Object} ScheduleGap
+     * @property {string} day
+     * @property {number} minutes
+     * @property {string} from - End of the class before, e.g. "10:15 AM"
+     * @property {string} to - Start of the class after
+     * @property {string} after - Title of the class before
+     * @property {string} before - Title of the class after
+     */
+
+    /**
+     * @typedef {Object} ScheduleSummaryData
+     * @property {number} courseCount
+     * @property {number} totalCredits - Sum over courses with a Credits value
+     * @property {number} coursesWithoutCredits
+     * @property {number} weeklyContactMinutes
+     * @property {number} weeklyContactHours - Rounded to two decimals
+     * @property {DayLoad[]} days - Days with classes, Monday first
+     * @property {?ClassTime} earliestStart
+     * @property {?ClassTime} latestEnd
+     * @property {?ScheduleGap} longestGap - Between two classes on the same day
+     */
+
+    // Monday first, the way a school week reads
+    const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+    function toMinutes(timeStr) {
+        const time = ScheduleModel.parseTime(timeStr);
+        return time ? time.hours * 60 + time.minutes : null;
+    }
+
+    function toClockTime(minutes) {
+        return ScheduleModel.formatClockTime({ hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+    }
+
+    /**
+     * Summarize a schedule
+     * Every scheduled meeting pattern counts as weekly; unscheduled (online, TBA) meetings add
+     * nothing to the contact hours.
+     * @param {Course[]} courses
+     * @returns {ScheduleSummaryData}
+     */
+    function summarizeSchedule(courses) {
+        const list = courses || [];
+        const withCredits = list.filter(course => typeof course.credits === 'number' && !Number.isNaN(course.credits));
+        const totalCredits = withCredits.reduce((total, course) => total + course.credits, 0);
+
+        // Class blocks per day index (0 = Sunday)
+        const blocks = ScheduleModel.DAY_NAMES.map(() => []);
+        list.forEach(course => {
+            ScheduleModel.expandCourseMeetings(course).forEach(meeting => {
+                if (!ScheduleModel.isMeetingScheduled(meeting)) return;
+                const start = toMinutes(meeting.time);
+                const end = toMinutes(meeting.endTime);
+                if (start === null || end === null || end <= start) return;
+                ScheduleModel.getDayIndices(meeting.days).forEach(dayIndex => {
+                    blocks[dayIndex].push({ start, end, course: course.title });
+                });
+            });
+        });
+
+        const days = [];
+        let weeklyContactMinutes = 0;
+        let earliestStart = null;
+        let latestEnd = null;
+        let longestGap = null;
+
+        WEEK_ORDER.forEach(dayIndex => {
+            const dayBlocks = blocks[dayIndex].sort((a, b) => a.start - b.start || a.end - b.end);
+            if (dayBlocks.length === 0) return;
+            const day = ScheduleModel.DAY_NAMES[dayIndex];
+
+            const minutes = dayBlocks.reduce((total, block) => total + block.end - block.start, 0);
+            weeklyContactMinutes += minutes;
+
+            const first = dayBlocks[0];
+            const last = dayBlocks.reduce((latest, block) => block.end > latest.end ? block : latest);
+            days.push({
+                day,
+                meetingCount: dayBlocks.length,
+                minutes,
+                firstStart: toClockTime(first.start),
+                lastEnd: toClockTime(last.end)
+            });
+
+            if (!earliestStart || first.start < earliestStart.minutes) {
+                earliestStart = { day, minutes: first.start, course: first.course };
+            }
+            if (!latestEnd || last.end > latestEnd.minutes) {
+                latestEnd = { day, minutes: last.end, course: last.course };
+            }
+
+            // Free time between one class ending and the next starting; overlapping classes leave none
+            let busyUntil = first.end;
+            let previous = first;
+            dayBlocks.slice(1).forEach(block => {
+                const gap = block.start - busyUntil;
+                if (gap > 0 && (!longestGap || gap > longestGap.minutes)) {
+                    longestGap = {
+                        day,
+                        minutes: gap,
+                        from: toClockTime(busyUntil),
+                        to: toClockTime(block.start),
+                        after: previous.course,
+                        before: block.course
+                    };
+                }
+                if (block.end > busyUntil) {
+                    busyUntil = block.end;
+                    previous = block;
+                }
+            });
+        });
+
+        const toClassTime = entry => entry && { day: entry.day, time: toClockTime(entry.minutes), course: entry.course };
+
+        return {
+            courseCount: list.length,
+            totalCredits,
+            coursesWithoutCredits: list.length - withCredits.length,
+            weeklyContactMinutes,
+            weeklyContactHours: Math.round(weeklyContactMinutes / 60 * 100) / 100,
+            days,
+            earliestStart: toClassTime(earliestStart),
+            latestEnd: toClassTime(latestEnd),
+            longestGap
+        };
+    }
+
+    /**
+     * 165 -> "2h 45m", 60 -> "1h", 50 -> "50m"
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours === 0) return `${rest}m`;
+        return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+    }
+
+    return {
+        summarizeSchedule,
+        formatDuration
+    };
+});
@@ -0,0 +1,256 @@
+/**
+ * Term Calendar
+ * Academic holidays and breaks, and the EXDATEs they produce for recurring class events.
+ * Loaded by the browser (window.TermCalendar) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.TermCalendar = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    /**
+     * @typedef {Object} TermCalendarData
+     * @property {string} [name] - e.g. "WashU 2025-26"
+     * @property {Array<{date: string, name: string}>} holidays - Single days off, YYYY-MM-DD
+     * @property {Array<{start: string, end: string, name: string}>} breaks - Inclusive ranges, YYYY-MM-DD
+     * @property {?string} startDate - First day the calendar lists days off for (YYYY-MM-DD), when it says
+     * @property {?string} endDate - Last such day; without them, the first and last day off stand in
+     */
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // A school year has a few dozen days off; the caps keep a client-supplied calendar from
+    // turning every event into a day-by-day walk over years
+    const MAX_ENTRIES = 200;
+    const MAX_BREAK_DAYS = 366;
+
+    function toISODate(value) {
+        const parsed = ScheduleModel.parseDate(value);
+        return parsed ? ScheduleModel.formatDate(parsed.year, parsed.month, parsed.day) : null;
+    }
+
+    // Day number since the epoch, so date arithmetic never crosses a DST change
+    function toDayNumber(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+    }
+
+    function fromDayNumber(dayNumber) {
+        const date = new Date(dayNumber * DAY_MS);
+        return ScheduleModel.formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    function normalizeBreaks(breaks) {
+        return breaks
+            .map(range => ({
+                start: toISODate(range && range.start),
+                end: toISODate(range && range.end),
+                name: (range && range.name) || 'Break'
+            }))
+            .filter(range => range.start && range.end && range.start <= range.end);
+    }
+
+    function breakDays(range) {
+        return toDayNumber(range.end) - toDayNumber(range.start) + 1;
+    }
+
+    /**
+     * Why a client-supplied term calendar is too large to use, or null
+     */
+    function getTermCalendarError(data) {
+        if (!data || typeof data !== 'object') return 'Term calendar must be an object';
+        const holidays = Array.isArray(data.holidays) ? data.holidays : [];
+        const breaks = Array.isArray(data.breaks) ? data.breaks : [];
+        if (holidays.length > MAX_ENTRIES) return `Term calendar has more than ${MAX_ENTRIES} holidays`;
+        if (breaks.length > MAX_ENTRIES) return `Term calendar has more than ${MAX_ENTRIES} breaks`;
+        const tooLong = normalizeBreaks(breaks).find(range => breakDays(range) > MAX_BREAK_DAYS);
+        if (tooLong) return `Break "${tooLong.name}" is longer than ${MAX_BREAK_DAYS} days`;
+        return null;
+    }
+
+    /**
+     * Validate a term calendar (bundled JSON or client-supplied) and normalize its dates
+     * Entries with unreadable dates are dropped rather than failing the whole calendar, and
+     * anything past the size limits (see getTermCalendarError) is left out.
+     * @returns {TermCalendarData}
+     */
+    function normalizeTermCalendar(data) {
+        const calendar = data || {};
+
+        const holidays = (Array.isArray(calendar.holidays) ? calendar.holidays : [])
+            .slice(0, MAX_ENTRIES)
+            .map(holiday => ({
+                date: toISODate(typeof holiday === 'string' ? holiday : holiday && holiday.date),
+                name: (holiday && holiday.name) || 'Holiday'
+            }))
+            .filter(holiday => holiday.date);
+
+        const breaks = normalizeBreaks((Array.isArray(calendar.breaks) ? calendar.breaks : []).slice(0, MAX_ENTRIES))
+            .filter(range => breakDays(range) <= MAX_BREAK_DAYS);
+
+        const startDate = toISODate(calendar.startDate);
+        const endDate = toISODate(calendar.endDate);
+        const covered = startDate && endDate && startDate <= endDate;
+
+        return {
+            name: calendar.name || '',
+            holidays,
+            breaks,
+            startDate: covered ? startDate : null,
+            endDate: covered ? endDate : null
+        };
+    }
+
+    /**
+     * Dates a term calendar knows the days off for
+     * @param {TermCalendarData} termCalendar
+     * @returns {?{startDate: string, endDate: string}} null for a calendar with no days off
+     */
+    function getCalendarCoverage(termCalendar) {
+        if (!termCalendar) return null;
+        if (termCalendar.startDate && termCalendar.endDate) {
+            return { startDate: termCalendar.startDate, endDate: termCalendar.endDate };
+        }
+        const dates = (termCalendar.holidays || []).map(holiday => holiday.date)
+            .concat(...(termCalendar.breaks || []).map(range => [range.start, range.end]))
+            .sort();
+        return dates.length > 0 ? { startDate: dates[0], endDate: dates[dates.length - 1] } : null;
+    }
+
+    /**
+     * A warning for each course that runs outside the calendar, where no holidays or breaks are skipped
+     * @param {Course[]} courses
+     * @param {TermCalendarData} termCalendar
+     * @returns {string[]}
+     */
+    function getCoverageWarnings(courses, termCalendar) {
+        const coverage = getCalendarCoverage(termCalendar);
+        if (!coverage) return [];
+        const name = termCalendar.name || 'the academic calendar';
+        return (courses || [])
+            .filter(course => {
+                const start = toISODate(course.startDate);
+                const end = toISODate(course.endDate);
+                return start && end && (start < coverage.startDate || end > coverage.endDate);
+            })
+            .map(course => `${course.title}: runs ${toISODate(course.startDate)} to ${toISODate(course.endDate)}, ` +
+                `outside ${name} (${coverage.startDate} to ${coverage.endDate}); holidays and breaks there are not skipped`);
+    }
+
+    /**
+     * Read an academic calendar .ics file
+     * All-day events become holidays (one day) or breaks (several days); timed events are ignored.
+     * @returns {TermCalendarData}
+     */
+    function parseAcademicCalendarICS(text) {
+        // Unfold continuation lines (RFC 5545 3.1)
+        const lines = (text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+        const holidays = [];
+        const breaks = [];
+        let calendarName = '';
+        let event = null;
+
+        lines.forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            const key = line.slice(0, separator).toUpperCase();
+            const value = line.slice(separator + 1).trim();
+            const property = key.split(';')[0];
+
+            if (property === 'X-WR-CALNAME' && !event) {
+                calendarName = value;
+            } else if (property === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+                event = {};
+            } else if (property === 'END' && value.toUpperCase() === 'VEVENT') {
+                if (event && event.start) {
+                    const name = event.summary || 'Holiday';
+                    // DTEND is exclusive for all-day events
+                    const lastDay = event.end ? fromDayNumber(toDayNumber(event.end) - 1) : event.start;
+                    if (lastDay <= event.start) {
+                        holidays.push({ date: event.start, name });
+                    } else {
+                        breaks.push({ start: event.start, end: lastDay, name });
+                    }
+                }
+                event = null;
+            } else if (event) {
+                // Only all-day values (VALUE=DATE or a bare YYYYMMDD) describe days off
+                const dateMatch = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+                if (property === 'DTSTART' && dateMatch) {
+                    event.start = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+                } else if (property === 'DTEND' && dateMatch) {
+                    event.end = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+                } else if (property === 'SUMMARY') {
+                    event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+                }
+            }
+        });
+
+        return normalizeTermCalendar({ name: calendarName, holidays, breaks });
+    }
+
+    /**
+     * Dates a meeting would occur on that fall on a holiday or inside a break
+     * @param {{days: string, startDate: string, endDate: string}} course - A course or expanded meeting
+     * @param {TermCalendarData} termCalendar
+     * @returns {string[]} YYYY-MM-DD dates, ascending
+     */
+    function getExcludedDates(course, termCalendar) {
+        if (!termCalendar) return [];
+
+        const start = toISODate(course.startDate);
+        const end = toISODate(course.endDate);
+        const meetingDays = ScheduleModel.getDayIndices(course.days);
+        if (!start || !end || meetingDays.length === 0) return [];
+
+        // Walk the days off rather than the course span, which a client may set centuries wide
+        const first = toDayNumber(start);
+        const last = toDayNumber(end);
+        const daysOff = new Set();
+        (termCalendar.holidays || []).forEach(holiday => daysOff.add(toDayNumber(holiday.date)));
+        (termCalendar.breaks || []).forEach(range => {
+            const rangeEnd = Math.min(toDayNumber(range.end), last);
+            for (let day = Math.max(toDayNumber(range.start), first); day <= rangeEnd; day++) {
+                daysOff.add(day);
+            }
+        });
+
+        return Array.from(daysOff)
+            // Day 0 (1970-01-01) was a Thursday
+            .filter(day => day >= first && day <= last && meetingDays.includes(((day + 4) % 7 + 7) % 7))
+            .sort((a, b) => a - b)
+            .map(fromDayNumber);
+    }
+
+    /**
+     * Build the EXDATE line for excluded dates at the meeting's start time
+     * @param {string[]} dates - YYYY-MM-DD
+     * @param {string} time - Meeting start time, e.g. "9:00 AM"
+     * @param {string} [timeZone] - Adds a TZID parameter when given
+     * @returns {?string} e.g. "EXDATE;TZID=America/Chicago:20251124T090000"
+     */
+    function buildExdateLine(dates, time, timeZone) {
+        if (!dates || dates.length === 0) return null;
+
+        const timePart = ScheduleModel.formatTimeForICS(time);
+        const values = dates.map(date => `${date.replace(/-/g, '')}T${timePart}`).join(',');
+        return timeZone ? `EXDATE;TZID=${timeZone}:${values}` : `EXDATE:${values}`;
+    }
+
+    return {
+        MAX_ENTRIES,
+        MAX_BREAK_DAYS,
+        getTermCalendarError,
+        normalizeTermCalendar,
+        getCalendarCoverage,
+        getCoverageWarnings,
+        parseAcademicCalendarICS,
+        getExcludedDates,
+        buildExdateLine
+    };
+});
@@ -0,0 +1,193 @@
+/**
+ * Time Zone
+ * IANA time zone helpers for Google events, template links and the ICS VTIMEZONE block.
+ * Loaded by the browser (window.TimeZone) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TimeZone = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // The converter's original home campus; used when nothing better is known
+    const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * HOUR_MS;
+
+    /**
+     * Whether Intl recognizes the given IANA time zone name
+     */
+    function isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Return the time zone if valid, otherwise the fallback (default America/Chicago)
+     */
+    function normalizeTimeZone(timeZone, fallback = DEFAULT_TIME_ZONE) {
+        return isValidTimeZone(timeZone) ? timeZone : fallback;
+    }
+
+    /**
+     * The time zone the current environment (browser or server) runs in
+     */
+    function detectTimeZone() {
+        try {
+            return normalizeTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        } catch (e) {
+            return DEFAULT_TIME_ZONE;
+        }
+    }
+
+    /**
+     * Time zones to offer in a picker, always including the given one
+     */
+    function listTimeZones(include) {
+        let zones = [];
+        if (typeof Intl.supportedValuesOf === 'function') {
+            zones = Intl.supportedValuesOf('timeZone');
+        } else {
+            zones = ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix',
+                'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'Europe/London',
+                'Europe/Paris', 'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney', 'UTC'];
+        }
+        if (include && !zones.includes(include)) {
+            zones = zones.concat(include).sort();
+        }
+        return zones;
+    }
+
+    /**
+     * Offset from UTC in minutes for a time zone at an instant, e.g. -300 for CDT
+     * @param {string} timeZone
+     * @param {number} utcMs - Milliseconds since the epoch
+     */
+    function getTimeZoneOffset(timeZone, utcMs) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(utcMs)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const localAsUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour), Number(parts.minute), Number(parts.second));
+        return Math.round((localAsUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+    }
+
+    function getTimeZoneName(timeZone, utcMs) {
+        const namePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+            .formatToParts(new Date(utcMs))
+            .find(part => part.type === 'timeZoneName');
+        return namePart ? namePart.value : '';
+    }
+
+    function formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return sign + String(Math.floor(absolute / 60)).padStart(2, '0') + String(absolute % 60).padStart(2, '0');
+    }
+
+    // Local wall-clock time as an ICS DATE-TIME, e.g. 20250309T020000
+    function formatLocalDateTime(utcMs, offsetMinutes) {
+        return new Date(utcMs + offsetMinutes * 60000).toISOString()
+            .replace(/[-:]/g, '')
+            .split('.')[0];
+    }
+
+    /**
+     * Offset changes (DST starts and ends) between two instants, to the minute
+     * @returns {Array<{at: number, from: number, to: number}>}
+     */
+    function findTransitions(timeZone, startMs, endMs) {
+        const transitions = [];
+        let previous = getTimeZoneOffset(timeZone, startMs);
+
+        for (let dayStart = startMs; dayStart < endMs; dayStart += DAY_MS) {
+            const next = getTimeZoneOffset(timeZone, dayStart + DAY_MS);
+            if (next === previous) continue;
+
+            // Narrow the change down to the minute it happens
+            let low = dayStart;
+            let high = dayStart + DAY_MS;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (getTimeZoneOffset(timeZone, middle) === previous) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            transitions.push({ at: high, from: previous, to: next });
+            previous = next;
+        }
+        return transitions;
+    }
+
+    /**
+     * Build a VTIMEZONE block covering the given years
+     * Each DST change in range gets its own STANDARD/DAYLIGHT component, so no RRULE
+     * has to describe the zone's rules.
+     * @param {string} timeZone - IANA name, used as the TZID
+     * @param {number} startYear
+     * @param {number} [endYear] - Defaults to startYear
+     * @returns {string[]} ICS lines, BEGIN:VTIMEZONE through END:VTIMEZONE
+     */
+    function buildVTimezone(timeZone, startYear, endYear = startYear) {
+        const rangeStart = Date.UTC(startYear, 0, 1);
+        const rangeEnd = Date.UTC(endYear + 1, 0, 1);
+        const transitions = findTransitions(timeZone, rangeStart, rangeEnd);
+
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+        const addComponent = (type, from, to, utcMs) => {
+            lines.push(`BEGIN:${type}`);
+            lines.push(`DTSTART:${formatLocalDateTime(utcMs, from)}`);
+            lines.push(`TZOFFSETFROM:${formatOffset(from)}`);
+            lines.push(`TZOFFSETTO:${formatOffset(to)}`);
+            const name = getTimeZoneName(timeZone, utcMs);
+            if (name) {
+                lines.push(`TZNAME:${name}`);
+            }
+            lines.push(`END:${type}`);
+        };
+
+        if (transitions.length === 0) {
+            const offset = getTimeZoneOffset(timeZone, rangeStart);
+            addComponent('STANDARD', offset, offset, rangeStart);
+        } else {
+            // Offset in effect at the start of the range (daylight time in the southern hemisphere)
+            const first = transitions[0];
+            addComponent(first.from > first.to ? 'DAYLIGHT' : 'STANDARD', first.from, first.from, rangeStart);
+            // Moving the clocks forward starts daylight time
+            transitions.forEach(transition => {
+                addComponent(transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD', transition.from, transition.to, transition.at);
+            });
+        }
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    return {
+        DEFAULT_TIME_ZONE,
+        isValidTimeZone,
+        normalizeTimeZone,
+        detectTimeZone,
+        listTimeZones,
+        getTimeZoneOffset,
+        buildVTimezone
+    };
+});
@@ -0,0 +1,210 @@
+/**
+ * Travel Time
+ * Walking time between back-to-back classes in different buildings, from a per-school
+ * table, to flag gaps too short to make it and to add travel buffer events.
+ * Loaded by the browser (window.TravelTime) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'), require('./building-directory'));
+    } else {
+        root.TravelTime = factory(root.ScheduleModel, root.BuildingDirectory);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel, BuildingDirectory) {
+    'use strict';
+
+    /**
+     * @typedef {Object} TravelTable
+     * @property {?number} defaultMinutes - Between buildings the table doesn't list; null to skip them
+     * @property {Object<string, number>} minutes - Walking minutes by "FROM|TO" building key, both directions
+     */
+
+    /**
+     * @typedef {Object} TravelStop
+     * @property {string} courseId
+     * @property {string} title
+     * @property {number} meetingIndex
+     * @property {string} location - As exported
+     * @property {string} building - Directory name when known, e.g. "Ridgley Hall"
+     * @property {string} registrationStatus - As exported, for the course's status policy
+     */
+
+    /**
+     * @typedef {Object} TravelLeg
+     * @property {string} day - e.g. "Monday"
+     * @property {TravelStop} from
+     * @property {TravelStop} to
+     * @property {string} fromEnd - When the earlier class ends, e.g. "10:15 AM"
+     * @property {string} toStart - When the later class starts
+     * @property {number} gapMinutes
+     * @property {number} travelMinutes
+     * @property {?string} startDate - First date both classes meet (YYYY-MM-DD)
+     * @property {?string} endDate - Last date both classes meet
+     */
+
+    // Building names match regardless of case, spacing and punctuation, as in the directory
+    function toKey(text) {
+        return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    function toMinutes(timeStr) {
+        const time = ScheduleModel.parseTime(timeStr);
+        return time ? time.hours * 60 + time.minutes : null;
+    }
+
+    function isMinutes(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+
+    /**
+     * Validate travel time JSON, e.g. public/institutions/<id>/travel-times.json:
+     * { "defaultMinutes": 10, "walkingMinutes": [{ "from": "RIDGLEY", "to": "REBSTOCK", "minutes": 6 }] }
+     * Buildings are named by directory code, name or alias. Invalid entries are dropped.
+     * @returns {TravelTable}
+     */
+    function normalizeTravelTable(data) {
+        const table = { defaultMinutes: data && isMinutes(data.defaultMinutes) ? data.defaultMinutes : null, minutes: {} };
+        const entries = data && Array.isArray(data.walkingMinutes) ? data.walkingMinutes : [];
+        entries
+            .filter(entry => entry && toKey(entry.from) && toKey(entry.to) && isMinutes(entry.minutes))
+            .forEach(entry => {
+                table.minutes[`${toKey(entry.from)}|${toKey(entry.to)}`] = entry.minutes;
+                table.minutes[`${toKey(entry.to)}|${toKey(entry.from)}`] = entry.minutes;
+            });
+        return table;
+    }
+
+    // Directory code and display name of a location's building, or null for blank text
+    function getBuilding(location, directory) {
+        const resolved = BuildingDirectory.resolveLocation(location, directory);
+        if (!resolved) return null;
+        return resolved.match
+            ? { key: toKey(resolved.match.code), names: [resolved.match.code, resolved.match.name].concat(resolved.match.aliases || []), name: resolved.match.name }
+            : { key: toKey(resolved.building), names: [resolved.building], name: resolved.building };
+    }
+
+    /**
+     * Walking minutes between the buildings of two locations
+     * 0 within one building; null when either location is blank or the table has no answer.
+     */
+    function getTravelMinutes(fromLocation, toLocation, directory, table) {
+        const from = getBuilding(fromLocation, directory);
+        const to = getBuilding(toLocation, directory);
+        if (!from || !to) return null;
+        if (from.key === to.key) return 0;
+        if (!table) return null;
+
+        // The table may name a building by any of its directory names
+        for (const fromName of from.names) {
+            for (const toName of to.names) {
+                const minutes = table.minutes[`${toKey(fromName)}|${toKey(toName)}`];
+                if (minutes !== undefined) return minutes;
+            }
+        }
+        return table.defaultMinutes;
+    }
+
+    /**
+     * Every move between buildings on the way from one class to the next one on the same day
+     * Each class is reached from the latest earlier class that meets in the same weeks, so a
+     * second half-term class in between doesn't hide the walk. Overlapping classes are a time
+     * conflict, not a travel leg, and are left out.
+     * @param {Course[]} courses
+     * @param {?Object} directory - See BuildingDirectory.normalizeDirectory
+     * @param {?TravelTable} table
+     * @returns {TravelLeg[]}
+     */
+    function getTravelLegs(courses, directory, table) {
+        const blocks = ScheduleModel.DAY_NAMES.map(() => []);
+        (courses || []).forEach(course => {
+            ScheduleModel.expandCourseMeetings(course).forEach(meeting => {
+                if (!ScheduleModel.isMeetingScheduled(meeting)) return;
+                const start = toMinutes(meeting.time);
+                const end = toMinutes(meeting.endTime);
+                if (start === null || end === null || end <= start) return;
+                ScheduleModel.getDayIndices(meeting.days).forEach(dayIndex => {
+                    blocks[dayIndex].push({ start, end, meeting });
+                });
+            });
+        });
+
+        // First and last date both meetings happen, or null when their date ranges never overlap
+        const sharedDates = (a, b) => {
+            const startDate = [a.startDate, b.startDate].filter(Boolean).sort().pop() || null;
+            const endDate = [a.endDate, b.endDate].filter(Boolean).sort()[0] || null;
+            return startDate && endDate && startDate > endDate ? null : { startDate, endDate };
+        };
+
+        const legs = [];
+        blocks.forEach((dayBlocks, dayIndex) => {
+            dayBlocks.sort((a, b) => a.start - b.start || a.end - b.end);
+            for (let i = 1; i < dayBlocks.length; i++) {
+                const next = dayBlocks[i];
+                let previous = null;
+                let dates = null;
+                for (let j = i - 1; j >= 0 && !previous; j--) {
+                    dates = sharedDates(dayBlocks[j].meeting, next.meeting);
+                    if (dates) previous = dayBlocks[j];
+                }
+                if (!previous || next.start < previous.end) continue;
+                const { startDate, endDate } = dates;
+
+                const travelMinutes = getTravelMinutes(previous.meeting.location, next.meeting.location, directory, table);
+                if (!travelMinutes) continue;
+
+                const stop = meeting => ({
+                    courseId: meeting.id != null ? String(meeting.id) : '',
+                    title: meeting.title,
+                    meetingIndex: meeting.meetingIndex,
+                    location: meeting.location,
+                    building: getBuilding(meeting.location, directory).name,
+                    registrationStatus: meeting.registrationStatus || ''
+                });
+                legs.push({
+                    day: ScheduleModel.DAY_NAMES[dayIndex],
+                    from: stop(previous.meeting),
+                    to: stop(next.meeting),
+                    fromEnd: previous.meeting.endTime,
+                    toStart: next.meeting.time,
+                    gapMinutes: next.start - previous.end,
+                    travelMinutes,
+                    startDate,
+                    endDate
+                });
+            }
+        });
+        return legs;
+    }
+
+    /**
+     * Legs whose gap is shorter than the walk
+     * @returns {TravelLeg[]}
+     */
+    function findTravelConflicts(courses, directory, table) {
+        return getTravelLegs(courses, directory, table).filter(leg => leg.gapMinutes < leg.travelMinutes);
+    }
+
+    /**
+     * Time to block for the walk: right before the next class, no longer than the gap
+     * @returns {?{time: string, endTime: string, minutes: number}} null when there's no gap
+     */
+    function getTravelBuffer(leg) {
+        const minutes = Math.min(leg.travelMinutes, leg.gapMinutes);
+        if (minutes <= 0) return null;
+        const end = toMinutes(leg.toStart);
+        const start = end - minutes;
+        return {
+            time: ScheduleModel.formatClockTime({ hours: Math.floor(start / 60), minutes: start % 60 }),
+            endTime: leg.toStart,
+            minutes
+        };
+    }
+
+    return {
+        normalizeTravelTable,
+        getTravelMinutes,
+        getTravelLegs,
+        findTravelConflicts,
+        getTravelBuffer
+    };
+});
@@ -0,0 +1,139 @@
+/**
+ * Weekly Grid
+ * Lays a schedule out as a Monday-Sunday timetable: one block per class meeting, positioned
+ * by start time and sized by duration, with overlapping classes side by side.
+ * Loaded by the browser (window.WeeklyGrid) and by Node via require().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./schedule-model'));
+    } else {
+        root.WeeklyGrid = factory(root.ScheduleModel);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ScheduleModel) {
+    'use strict';
+
+    /**
+     * @typedef {Object} GridBlock
+     * @property {number} courseIndex - Position of the course in the list given
+     * @property {number} meetingIndex
+     * @property {string} title
+     * @property {string} location - As exported
+     * @property {string} time - e.g. "10:00 AM"
+     * @property {string} endTime
+     * @property {number} startMinutes - Minutes after midnight
+     * @property {number} endMinutes
+     * @property {number} column - 0-based slot among the classes it overlaps
+     * @property {number} columnCount - Slots its overlapping group needs
+     * @property {?string} startDate - Half-term meetings only (YYYY-MM-DD)
+     * @property {?string} endDate
+     */
+
+    /**
+     * @typedef {Object} WeeklyGridData
+     * @property {number} startMinutes - Top of the grid, on the hour
+     * @property {number} endMinutes - Bottom of the grid, on the hour
+     * @property {Array<{day: string, blocks: GridBlock[]}>} days - Monday to Sunday
+     * @property {Array<{courseIndex: number, title: string, pattern: string}>} unscheduled - Meetings with no time to place
+     */
+
+    // Monday first, the way a school week reads
+    const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+    // Hours shown when there's nothing to place
+    const DEFAULT_START_MINUTES = 8 * 60;
+    const DEFAULT_END_MINUTES = 17 * 60;
+
+    function toMinutes(timeStr) {
+        const time = ScheduleModel.parseTime(timeStr);
+        return time ? time.hours * 60 + time.minutes : null;
+    }
+
+    // Side-by-side slots for one day's blocks, sorted by start: each block takes the first free
+    // slot, and every block in a run of overlapping classes shares that run's slot count
+    function assignColumns(blocks) {
+        let group = [];
+        let groupEnd = -1;
+        let slotEnds = [];
+        const closeGroup = () => {
+            group.forEach(block => { block.columnCount = slotEnds.length; });
+            group = [];
+            slotEnds = [];
+        };
+
+        blocks.forEach(block => {
+            if (block.startMinutes >= groupEnd) {
+                closeGroup();
+            }
+            let column = slotEnds.findIndex(end => end <= block.startMinutes);
+            if (column === -1) {
+                column = slotEnds.length;
+            }
+            slotEnds[column] = block.endMinutes;
+            block.column = column;
+            group.push(block);
+            groupEnd = Math.max(groupEnd, block.endMinutes);
+        });
+        closeGroup();
+    }
+
+    /**
+     * Lay out a schedule for a weekly timetable
+     * The grid spans the earliest start to the latest end, widened to whole hours.
+     * @param {Course[]} courses
+     * @returns {WeeklyGridData}
+     */
+    function buildWeeklyGrid(courses) {
+        const blocks = ScheduleModel.DAY_NAMES.map(() => []);
+        const unscheduled = [];
+
+        (courses || []).forEach((course, courseIndex) => {
+            ScheduleModel.expandCourseMeetings(course).forEach(meeting => {
+                const start = toMinutes(meeting.time);
+                const end = toMinutes(meeting.endTime);
+                if (!ScheduleModel.isMeetingScheduled(meeting) || end === null || end <= start) {
+                    unscheduled.push({ courseIndex, title: course.title, pattern: meeting.pattern || '' });
+                    return;
+                }
+                // Meetings that run only part of the term keep their own dates
+                const partOfTerm = meeting.startDate !== course.startDate || meeting.endDate !== course.endDate;
+                ScheduleModel.getDayIndices(meeting.days).forEach(dayIndex => {
+                    blocks[dayIndex].push({
+                        courseIndex,
+                        meetingIndex: meeting.meetingIndex,
+                        title: course.title,
+                        location: meeting.location || '',
+                        time: meeting.time,
+                        endTime: meeting.endTime,
+                        startMinutes: start,
+                        endMinutes: end,
+                        column: 0,
+                        columnCount: 1,
+                        startDate: partOfTerm ? meeting.startDate || null : null,
+                        endDate: partOfTerm ? meeting.endDate || null : null
+                    });
+                });
+            });
+        });
+
+        const placed = [].concat(...blocks);
+        const startMinutes = placed.length > 0
+            ? Math.floor(Math.min(...placed.map(block => block.startMinutes)) / 60) * 60
+            : DEFAULT_START_MINUTES;
+        const endMinutes = placed.length > 0
+            ? Math.ceil(Math.max(...placed.map(block => block.endMinutes)) / 60) * 60
+            : DEFAULT_END_MINUTES;
+
+        const days = WEEK_ORDER.map(dayIndex => {
+            const dayBlocks = blocks[dayIndex].sort((a, b) => a.startMinutes - b.startMinutes || a.endMinutes - b.endMinutes);
+            assignColumns(dayBlocks);
+            return { day: ScheduleModel.DAY_NAMES[dayIndex], blocks: dayBlocks };
+        });
+
+        return { startMinutes, endMinutes, days, unscheduled };
+    }
+
+    return {
+        buildWeeklyGrid
+    };
+});
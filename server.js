@@ -5,9 +5,20 @@ const path = require('path');
 const fs = require('fs-extra');
 const cookieSession = require('cookie-session');
 const crypto = require('crypto');
+const XLSX = require('xlsx');
 require('dotenv').config();
 
 const GoogleCalendarManager = require('./scripts/google-calendar');
+const ScheduleModel = require('./scripts/shared/schedule-model');
+const ScheduleFile = require('./scripts/shared/schedule-file');
+const TermCalendar = require('./scripts/shared/term-calendar');
+const ExamSchedule = require('./scripts/shared/exam-schedule');
+const ScheduleSummary = require('./scripts/shared/schedule-summary');
+const TimeZone = require('./scripts/shared/time-zone');
+const InstitutionProfile = require('./scripts/shared/institution-profile');
+const BuildingDirectory = require('./scripts/shared/building-directory');
+const TravelTime = require('./scripts/shared/travel-time');
+const EventTemplate = require('./scripts/shared/event-template');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,6 +30,8 @@ app.set('trust proxy', true);
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+// Shared browser/server modules (schedule parsing, date helpers)
+app.use('/shared', express.static(path.join(__dirname, 'scripts', 'shared')));
 
 // Session middleware using cookie-session (stores data in cookie, no memory leaks)
 app.use(cookieSession({
@@ -32,12 +45,116 @@ app.use(cookieSession({
     // This allows cookies to work with both custom domain and Railway domain
 }));
 
+/**
+ * Load the institution profiles bundled with the frontend (public/institutions)
+ * @returns {Object<string, Object>} Normalized profiles by id
+ */
+function loadInstitutionProfiles() {
+    const institutionsDir = path.join(__dirname, 'public', 'institutions');
+    const profiles = {};
+    try {
+        const registry = fs.readJsonSync(path.join(institutionsDir, 'index.json'));
+        registry.filter(entry => entry.profile).forEach(entry => {
+            const data = fs.readJsonSync(path.join(institutionsDir, entry.profile));
+            profiles[entry.id] = InstitutionProfile.normalizeProfile(Object.assign({ id: entry.id }, data));
+        });
+    } catch (error) {
+        console.error('Failed to load institution profiles:', error.message);
+    }
+    return profiles;
+}
+
+const institutionProfiles = loadInstitutionProfiles();
+
+/**
+ * Whether an institution id from a request names a loaded profile
+ * Own properties only, so ids like "constructor" or "__proto__" are unknown.
+ */
+function isKnownInstitution(institution) {
+    return Object.prototype.hasOwnProperty.call(institutionProfiles, institution);
+}
+
+/**
+ * Load the file each institution profile points to under the given key (buildingDirectory, travelTimes)
+ * @returns {Object<string, Object>} Normalized data by institution id
+ */
+function loadInstitutionFiles(profiles, key, normalize) {
+    const institutionsDir = path.join(__dirname, 'public', 'institutions');
+    const files = {};
+    Object.values(profiles).filter(profile => profile[key]).forEach(profile => {
+        try {
+            files[profile.id] = normalize(fs.readJsonSync(path.join(institutionsDir, profile[key])));
+        } catch (error) {
+            console.error(`Failed to load ${key} for ${profile.id}:`, error.message);
+        }
+    });
+    return files;
+}
+
+const buildingDirectories = loadInstitutionFiles(institutionProfiles, 'buildingDirectory', BuildingDirectory.normalizeDirectory);
+const travelTables = loadInstitutionFiles(institutionProfiles, 'travelTimes', TravelTime.normalizeTravelTable);
+
+/**
+ * Register the source adapters listed in scripts/shared/adapters/index.json
+ * The browser loads the same files from /shared/adapters; Workday is built in.
+ */
+function loadSourceAdapters() {
+    const adaptersDir = path.join(__dirname, 'scripts', 'shared', 'adapters');
+    try {
+        fs.readJsonSync(path.join(adaptersDir, 'index.json')).forEach(entry => {
+            require(path.join(adaptersDir, entry.script));
+        });
+    } catch (error) {
+        console.error('Failed to load source adapters:', error.message);
+    }
+}
+
+loadSourceAdapters();
+
+/**
+ * Whether OAuth may redirect back to this host
+ * Security: whitelist to prevent open redirect attacks. Each institution profile
+ * lists the domains its deployment is served from.
+ */
+function isAllowedOAuthHost(hostDomain) {
+    const allowedDomains = ['localhost', '127.0.0.1'];
+    Object.values(institutionProfiles).forEach(profile => {
+        allowedDomains.push(...profile.allowedOAuthDomains);
+    });
+    
+    return allowedDomains.some(domain => 
+        hostDomain === domain || 
+        hostDomain.endsWith('.' + domain)
+    );
+}
+
 // Configure multer for file uploads
+const MAX_UPLOAD_FILES = 10;
 const upload = multer({ 
     dest: 'uploads/',
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+/**
+ * Accept up to MAX_UPLOAD_FILES files in the "file" field
+ * Upload limits are the client's mistake, so they answer 400 instead of reaching the
+ * error handler as a 500
+ */
+function uploadFiles(req, res, next) {
+    upload.array('file', MAX_UPLOAD_FILES)(req, res, (error) => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                return res.status(400).json({ error: `Upload at most ${MAX_UPLOAD_FILES} files` });
+            }
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ error: 'Each file must be 10 MB or smaller' });
+            }
+        }
+        next(error);
+    });
+}
+
 // Routes
 
 /**
@@ -83,22 +200,10 @@ app.get('/api/auth/google/url', (req, res) => {
         const host = req.get('x-forwarded-host') || req.get('host') || 'localhost:3000';
         const origin = `${protocol}://${host}`;
         
-        // Security: Whitelist allowed domains to prevent open redirect attacks
-        const allowedDomains = [
-            'schedulesync.live',
-            'workday-to-googlecal-production.up.railway.app',
-            'localhost',
-            '127.0.0.1'
-        ];
-        
         // Extract domain from host (remove port if present)
         const hostDomain = host.split(':')[0];
-        const isAllowed = allowedDomains.some(domain => 
-            hostDomain === domain || 
-            hostDomain.endsWith('.' + domain)
-        ) || hostDomain === 'localhost' || hostDomain === '127.0.0.1';
         
-        if (!isAllowed) {
+        if (!isAllowedOAuthHost(hostDomain)) {
             console.error('Unauthorized domain attempted OAuth:', hostDomain);
             console.error('Full host:', host);
             return res.status(403).json({ error: 'Unauthorized domain' });
@@ -258,21 +363,10 @@ app.get('/auth/google/callback', async (req, res) => {
         
         if (req.session.origin) {
             // Security: Validate the stored origin against whitelist
-            const allowedDomains = [
-                'schedulesync.live',
-                'workday-to-googlecal-production.up.railway.app',
-                'localhost',
-                '127.0.0.1'
-            ];
-            
             try {
                 const originUrl = new URL(req.session.origin);
-                const hostDomain = originUrl.hostname;
-                const isAllowed = allowedDomains.some(domain => 
-                    hostDomain === domain || hostDomain.endsWith('.' + domain)
-                ) || hostDomain === 'localhost' || hostDomain === '127.0.0.1';
                 
-                if (isAllowed) {
+                if (isAllowedOAuthHost(originUrl.hostname)) {
                     redirectUrl = `${req.session.origin}/?auth=success`;
                 } else {
                     console.error('Invalid origin in session:', req.session.origin);
@@ -354,12 +448,51 @@ app.post('/api/calendar/events', async (req, res) => {
             return res.status(401).json({ error: 'Not authenticated' });
         }
         
-        const { courses, calendarId = 'primary', batchId } = req.body;
+        const {
+            courses, calendarId = 'primary', batchId, termCalendar, timeZone, unscheduled = 'skip',
+            examReminders = ExamSchedule.DEFAULT_EXAM_REMINDERS, statusPolicies = ScheduleModel.DEFAULT_STATUS_POLICIES,
+            institution, travelBuffers = false, blockOnConflicts = false, templates
+        } = req.body;
         
         if (!courses || !Array.isArray(courses)) {
             return res.status(400).json({ error: 'Courses data is required' });
         }
         
+        if (timeZone && !TimeZone.isValidTimeZone(timeZone)) {
+            return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+        }
+        
+        if (!ScheduleModel.UNSCHEDULED_POLICIES.includes(unscheduled)) {
+            return res.status(400).json({ error: `Unknown unscheduled policy: ${unscheduled}` });
+        }
+        
+        // The institution's building directory turns "RIDGLEY, Room 00016" into a street address
+        if (institution && !isKnownInstitution(institution)) {
+            return res.status(400).json({ error: `Unknown institution: ${institution}` });
+        }
+        
+        // Title and description templates, the same ones the .ics download and Google links use
+        const templateError = templates ? EventTemplate.getTemplateError(templates) : null;
+        if (templateError) {
+            return res.status(400).json({ error: templateError });
+        }
+        
+        const termCalendarError = termCalendar ? TermCalendar.getTermCalendarError(termCalendar) : null;
+        if (termCalendarError) {
+            return res.status(400).json({ error: termCalendarError });
+        }
+        
+        if (!Object.prototype.hasOwnProperty.call(ExamSchedule.EXAM_REMINDERS, examReminders)) {
+            return res.status(400).json({ error: `Unknown exam reminders: ${examReminders}` });
+        }
+        
+        const invalidPolicy = Object.keys(statusPolicies || {}).find(state =>
+            !ScheduleModel.PENDING_STATES.some(entry => entry.key === state) ||
+            !ScheduleModel.STATUS_POLICIES.includes(statusPolicies[state]));
+        if (!statusPolicies || typeof statusPolicies !== 'object' || invalidPolicy) {
+            return res.status(400).json({ error: `Unknown registration status policy: ${invalidPolicy || statusPolicies}` });
+        }
+        
         // Limit maximum number of courses to prevent timeouts and memory issues
         const MAX_COURSES = 100;
         if (courses.length > MAX_COURSES) {
@@ -368,12 +501,33 @@ app.post('/api/calendar/events', async (req, res) => {
             });
         }
 
+        // Overlapping classes are reported before anything is inserted, and can hold the insert back
+        const conflicts = ScheduleModel.findTimeConflicts(courses.filter(course =>
+            ScheduleModel.getStatusPolicy(course, statusPolicies) !== 'exclude'));
+        if (blockOnConflicts === true && conflicts.length > 0) {
+            return res.status(409).json({
+                error: `${conflicts.length} time conflict(s) between courses; no events were added`,
+                conflicts
+            });
+        }
+
+        const normalizedTermCalendar = termCalendar ? TermCalendar.normalizeTermCalendar(termCalendar) : null;
         const calendarManager = new GoogleCalendarManager(req.session.userId);
         // Pass session tokens for production
         if (process.env.NODE_ENV === 'production' && req.session.googleTokens) {
             calendarManager.sessionTokens = req.session.googleTokens;
         }
-        const result = await calendarManager.createEvents(courses, calendarId, batchId);
+        const result = await calendarManager.createEvents(courses, calendarId, batchId, {
+            termCalendar: normalizedTermCalendar,
+            timeZone: timeZone || TimeZone.DEFAULT_TIME_ZONE,
+            unscheduled,
+            examReminders,
+            statusPolicies,
+            buildingDirectory: (institution && buildingDirectories[institution]) || null,
+            travelTimes: (institution && travelTables[institution]) || null,
+            travelBuffers: travelBuffers === true,
+            templates: templates ? EventTemplate.normalizeTemplates(templates) : null
+        });
         
         console.log(`Events created: ${result.events.length}, Errors: ${result.errors.length}`);
         if (result.errors.length > 0) {
@@ -385,7 +539,11 @@ app.post('/api/calendar/events', async (req, res) => {
             eventsCreated: result.events.length,
             eventIds: result.eventIds,
             batchId: result.batchId,
-            errors: result.errors
+            errors: result.errors,
+            warnings: result.warnings || [],
+            // Courses running past the academic calendar keep their classes on days off there
+            termCalendarWarnings: TermCalendar.getCoverageWarnings(courses, normalizedTermCalendar),
+            conflicts
         });
     } catch (error) {
         console.error('Error creating events:', error);
@@ -427,6 +585,40 @@ app.post('/api/calendar/events/delete', async (req, res) => {
     }
 });
 
+/**
+ * Mark a waitlisted or pending course's events in a batch as registered
+ */
+app.post('/api/calendar/events/promote', async (req, res) => {
+    try {
+        if (!req.session.userId) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        
+        const { batchId, courseId, calendarId = 'primary' } = req.body;
+        
+        if (!batchId || courseId === undefined || courseId === null) {
+            return res.status(400).json({ error: 'Batch ID and course ID are required' });
+        }
+        
+        const calendarManager = new GoogleCalendarManager(req.session.userId);
+        // Pass session tokens for production
+        if (process.env.NODE_ENV === 'production' && req.session.googleTokens) {
+            calendarManager.sessionTokens = req.session.googleTokens;
+        }
+        const result = await calendarManager.promoteCourseEvents(batchId, String(courseId), calendarId);
+        
+        res.json({
+            success: true,
+            updatedCount: result.updatedCount,
+            totalFound: result.totalFound,
+            errors: result.errors
+        });
+    } catch (error) {
+        console.error('Error promoting events:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Handle file upload
  */
@@ -446,6 +638,88 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
     }
 });
 
+/**
+ * Parse one or more uploaded Workday exports into a single course list
+ * Every sheet of every file is scanned; duplicate sections are collapsed.
+ * The temp files are always removed, whether or not parsing succeeds
+ */
+app.post('/api/parse', uploadFiles, async (req, res) => {
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const sheets = [];
+        for (const file of files) {
+            // .xlsx, .xls, .ods or .csv, told apart by their contents
+            let fileSheets;
+            try {
+                fileSheets = ScheduleFile.readScheduleFile(XLSX, await fs.readFile(file.path), file.originalname).sheets;
+            } catch (error) {
+                return res.status(400).json({ error: `Could not read spreadsheet ${file.originalname}: ${error.message}` });
+            }
+            // Sheet names only need the file name when there are several files
+            fileSheets.forEach(sheet => {
+                sheets.push(files.length > 1 ? Object.assign({}, sheet, { name: `${file.originalname} - ${sheet.name}` }) : sheet);
+            });
+        }
+
+        // Optional institution profile: multipart field or ?institution=
+        const institution = req.body.institution || req.query.institution;
+        if (institution && !isKnownInstitution(institution)) {
+            return res.status(400).json({ error: `Unknown institution: ${institution}` });
+        }
+
+        // Optional source system (adapter id); detected per sheet when omitted
+        const source = req.body.source || req.query.source;
+        if (source && !ScheduleModel.getAdapter(source)) {
+            return res.status(400).json({ error: `Unknown source system: ${source}` });
+        }
+
+        // Optional language of the day names (en, es, fr, de); detected per sheet when omitted
+        const locale = req.body.locale || req.query.locale;
+        if (locale && !ScheduleModel.isLocale(locale)) {
+            return res.status(400).json({ error: `Unknown locale: ${locale}` });
+        }
+
+        // Optional rows to import even if they would be skipped, e.g. "5,7" (applies to every sheet)
+        const forceInclude = String(req.body.forceInclude || req.query.forceInclude || '')
+            .split(',')
+            .map(Number)
+            .filter(row => Number.isInteger(row) && row > 0);
+
+        const result = ScheduleModel.parseSheets(sheets, {
+            profile: institution ? institutionProfiles[institution] : null,
+            adapter: source || null,
+            locale: locale || null,
+            forceInclude
+        });
+
+        res.json({
+            success: true,
+            originalName: files[0].originalname,
+            files: files.map(file => file.originalname),
+            courses: result.courses,
+            // Credits, weekly contact hours and per-day load, for advising tools
+            summary: ScheduleSummary.summarizeSchedule(result.courses),
+            // Meeting patterns that overlap, e.g. a registered and a waitlisted section
+            conflicts: result.conflicts,
+            warnings: result.warnings,
+            sheets: result.sheets.map(sheet => ({ name: sheet.name, included: sheet.included, courseCount: sheet.courseCount, source: sheet.adapter, locale: sheet.locale })),
+            diagnostics: result.sheets.reduce((all, sheet) => all.concat(
+                sheet.diagnostics.map(diagnostic => Object.assign({ sheet: sheet.name }, diagnostic))), [])
+        });
+    } catch (error) {
+        console.error('Error parsing upload:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        await Promise.all(files.map(file => fs.remove(file.path).catch(error => {
+            console.error('Failed to remove uploaded file:', error.message);
+        })));
+    }
+});
+
 /**
  * Download generated file
  */
@@ -520,19 +794,22 @@ async function startServer() {
     }
 }
 
-startServer();
+// Only listen when run directly; the integration tests require the app without a port
+if (require.main === module) {
+    startServer();
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
-    console.error('Stack:', error.stack);
-    process.exit(1);
-});
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        console.error('❌ Uncaught Exception:', error);
+        console.error('Stack:', error.stack);
+        process.exit(1);
+    });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise);
-    console.error('Reason:', reason);
-    process.exit(1);
-});
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Unhandled Rejection at:', promise);
+        console.error('Reason:', reason);
+        process.exit(1);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,221 @@
+const request = require('supertest');
+
+// The real app, with Google Calendar calls mocked out
+jest.mock('../../scripts/google-calendar');
+const GoogleCalendarManager = require('../../scripts/google-calendar');
+const app = require('../../server');
+
+describe('Server API (server.js)', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = {
+      getAuthUrl: jest.fn().mockReturnValue('https://accounts.google.com/o/oauth2/auth'),
+      createEvents: jest.fn().mockResolvedValue({
+        events: [{ id: 'event-1' }],
+        eventIds: ['event-1'],
+        batchId: 'batch_test_123',
+        errors: [],
+        warnings: []
+      }),
+      promoteCourseEvents: jest.fn().mockResolvedValue({ updatedCount: 2, totalFound: 2, errors: [] })
+    };
+    GoogleCalendarManager.mockImplementation(() => manager);
+  });
+
+  // Asking for the OAuth URL gives the session a user ID, which is all the calendar routes check
+  async function authenticatedAgent() {
+    const agent = request.agent(app);
+    await agent.get('/api/auth/google/url').expect(200);
+    return agent;
+  }
+
+  describe('POST /api/parse', () => {
+    const csv = 'Course Listing,Registration Status,Instructor,Meeting Patterns,Start Date,End Date\n' +
+      'PHIL 3400 - Ethics,Registered,Dr. Reyes,"Tue/Thu | 1:00 PM - 2:20 PM | Wilson, Room 214",1/13/2025,5/2/2025\n';
+
+    it('should return the courses of an uploaded export', async () => {
+      const response = await request(app)
+        .post('/api/parse')
+        .attach('file', Buffer.from(csv), 'Spring 2025.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.files).toEqual(['Spring 2025.csv']);
+      expect(response.body.courses).toHaveLength(1);
+      expect(response.body.courses[0]).toMatchObject({
+        title: 'PHIL 3400 - Ethics',
+        days: 'Tuesday/Thursday',
+        time: '1:00 PM',
+        endTime: '2:20 PM'
+      });
+      expect(response.body.conflicts).toEqual([]);
+    });
+
+    it('should reject a file that is not a spreadsheet', async () => {
+      const response = await request(app)
+        .post('/api/parse')
+        .attach('file', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x00, 0x0d]), 'photo.png');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Could not read spreadsheet photo\.png/);
+    });
+
+    it('should reject an unknown institution', async () => {
+      const response = await request(app)
+        .post('/api/parse')
+        .field('institution', 'nowhere')
+        .attach('file', Buffer.from(csv), 'Spring 2025.csv');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown institution: nowhere');
+    });
+
+    it('should not take inherited object properties for institutions', async () => {
+      for (const institution of ['constructor', '__proto__', 'toString']) {
+        const response = await request(app)
+          .post('/api/parse')
+          .field('institution', institution)
+          .attach('file', Buffer.from(csv), 'Spring 2025.csv');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(`Unknown institution: ${institution}`);
+      }
+    });
+
+    it('should reject a locale that is only an inherited object property', async () => {
+      const response = await request(app)
+        .post('/api/parse')
+        .field('locale', 'toString')
+        .attach('file', Buffer.from(csv), 'Spring 2025.csv');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown locale: toString');
+    });
+
+    it('should return 400 when no file is uploaded', async () => {
+      const response = await request(app).post('/api/parse');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No file uploaded');
+    });
+
+    it('should return 400 for more than 10 files or another field name', async () => {
+      let tooMany = request(app).post('/api/parse');
+      for (let i = 0; i < 11; i++) {
+        tooMany = tooMany.attach('file', Buffer.from(csv), `schedule-${i}.csv`);
+      }
+      const wrongField = request(app).post('/api/parse').attach('upload', Buffer.from(csv), 'Spring 2025.csv');
+
+      for (const response of [await tooMany, await wrongField]) {
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Upload at most 10 files');
+      }
+    });
+  });
+
+  describe('POST /api/calendar/events', () => {
+    const courses = [
+      { title: 'CSE 4501 - Game Programming', days: 'Monday/Wednesday', time: '10:00 AM', endTime: '11:20 AM', startDate: '2025-08-25', endDate: '2025-12-05' },
+      { title: 'MATH 2200 - Calculus III', days: 'Wednesday', time: '11:00 AM', endTime: '11:50 AM', startDate: '2025-08-25', endDate: '2025-12-05' }
+    ];
+
+    it('should answer 409 with the conflicts and add nothing when blocking on conflicts', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events')
+        .send({ courses, blockOnConflicts: true });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('1 time conflict(s) between courses; no events were added');
+      expect(response.body.conflicts).toHaveLength(1);
+      expect(response.body.conflicts[0].days).toEqual(['Wednesday']);
+      expect(manager.createEvents).not.toHaveBeenCalled();
+    });
+
+    it('should add overlapping classes and report them without blocking', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events')
+        .send({ courses });
+
+      expect(response.status).toBe(200);
+      expect(response.body.conflicts).toHaveLength(1);
+      expect(manager.createEvents).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report courses that run past the academic calendar', async () => {
+      const agent = await authenticatedAgent();
+      const termCalendar = { name: 'Fall 2025', startDate: '2025-08-01', endDate: '2025-12-31', holidays: ['2025-09-01'] };
+
+      const response = await agent
+        .post('/api/calendar/events')
+        .send({ courses: [Object.assign({}, courses[0], { endDate: '2026-05-01' })], termCalendar });
+
+      expect(response.status).toBe(200);
+      expect(response.body.termCalendarWarnings).toEqual([
+        'CSE 4501 - Game Programming: runs 2025-08-25 to 2026-05-01, outside Fall 2025 (2025-08-01 to 2025-12-31); holidays and breaks there are not skipped'
+      ]);
+    });
+
+    it('should reject an institution that is only an inherited object property', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events')
+        .send({ courses, institution: 'constructor' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown institution: constructor');
+      expect(manager.createEvents).not.toHaveBeenCalled();
+    });
+
+    it('should reject a term calendar past the size limits', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events')
+        .send({ courses, termCalendar: { breaks: [{ start: '2000-01-01', end: '2099-12-31', name: 'Forever' }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Break "Forever" is longer than 366 days');
+      expect(manager.createEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/calendar/events/promote', () => {
+    it('should return 401 when not authenticated', async () => {
+      const response = await request(app)
+        .post('/api/calendar/events/promote')
+        .send({ batchId: 'batch_123', courseId: 3 });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Not authenticated');
+    });
+
+    it('should return 400 without a batch and course ID', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events/promote')
+        .send({ batchId: 'batch_123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Batch ID and course ID are required');
+    });
+
+    it('should mark the course\'s events as registered', async () => {
+      const agent = await authenticatedAgent();
+
+      const response = await agent
+        .post('/api/calendar/events/promote')
+        .send({ batchId: 'batch_123', courseId: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, updatedCount: 2, totalFound: 2, errors: [] });
+      expect(manager.promoteCourseEvents).toHaveBeenCalledWith('batch_123', '3', 'primary');
+    });
+  });
+});
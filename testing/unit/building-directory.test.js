@@ -0,0 +1,94 @@
+const BuildingDirectory = require('../../scripts/shared/building-directory');
+const washuBuildings = require('../../public/institutions/washu/buildings.json');
+
+describe('Building Directory', () => {
+  const directory = BuildingDirectory.normalizeDirectory({
+    buildings: [
+      { code: 'RIDGLEY', name: 'Ridgley Hall', address: '1 Brookings Dr, St. Louis, MO 63130', latitude: 38.6479, longitude: -90.3064 },
+      { code: 'CUPPLES II', name: 'Cupples II Hall', address: '1 Brookings Dr, St. Louis, MO 63130', aliases: ['CUPPLES2'] },
+      { code: 'LABS', name: 'Science Labs' }
+    ]
+  });
+
+  describe('parseLocation', () => {
+    it('should split building and room', () => {
+      expect(BuildingDirectory.parseLocation('RIDGLEY, Room 00016')).toEqual({ building: 'RIDGLEY', room: '16' });
+      expect(BuildingDirectory.parseLocation('Brown Hall Rm. 100')).toEqual({ building: 'Brown Hall', room: '100' });
+      expect(BuildingDirectory.parseLocation('Seigle Hall - Room L006')).toEqual({ building: 'Seigle Hall', room: 'L006' });
+      expect(BuildingDirectory.parseLocation('Louderman 458')).toEqual({ building: 'Louderman', room: '458' });
+    });
+
+    it('should keep text without a room as the building', () => {
+      expect(BuildingDirectory.parseLocation('Cupples II')).toEqual({ building: 'Cupples II', room: null });
+      expect(BuildingDirectory.parseLocation('Online')).toEqual({ building: 'Online', room: null });
+      expect(BuildingDirectory.parseLocation('  ')).toBeNull();
+    });
+  });
+
+  describe('normalizeDirectory', () => {
+    it('should drop entries without a code or name and unpaired coordinates', () => {
+      const normalized = BuildingDirectory.normalizeDirectory([
+        { code: 'EADS', name: 'Eads Hall', latitude: 38.6, longitude: 'east' },
+        { code: 'NONAME' },
+        null
+      ]);
+
+      expect(normalized.buildings).toEqual([
+        { code: 'EADS', name: 'Eads Hall', address: '', latitude: null, longitude: null, aliases: [] }
+      ]);
+    });
+
+    it('should read the bundled WashU directory', () => {
+      const washu = BuildingDirectory.normalizeDirectory(washuBuildings);
+
+      expect(BuildingDirectory.findBuilding('RIDGLEY', washu).name).toBe('Ridgley Hall');
+      expect(BuildingDirectory.findBuilding('Rebstock', washu).name).toBe('Rebstock Hall');
+      // Names and aliases only; without a street address the location stays as Workday wrote it
+      expect(washu.buildings.every(building => !building.address && building.latitude === null)).toBe(true);
+      expect(BuildingDirectory.getEventLocation('RIDGLEY, Room 00016', washu)).toBe('RIDGLEY, Room 00016');
+    });
+  });
+
+  describe('resolveLocation', () => {
+    it('should match codes, names and aliases regardless of case and spacing', () => {
+      expect(BuildingDirectory.resolveLocation('RIDGLEY, Room 00016', directory).match.name).toBe('Ridgley Hall');
+      expect(BuildingDirectory.resolveLocation('Ridgley Hall 16', directory).match.code).toBe('RIDGLEY');
+      expect(BuildingDirectory.resolveLocation('Cupples2, Room 230', directory).match.name).toBe('Cupples II Hall');
+      expect(BuildingDirectory.resolveLocation('Unknown Hall, Room 1', directory)).toEqual({
+        raw: 'Unknown Hall, Room 1',
+        building: 'Unknown Hall',
+        room: '1',
+        match: null
+      });
+    });
+  });
+
+  describe('event locations', () => {
+    it('should use the street address when the directory has one', () => {
+      expect(BuildingDirectory.getEventLocation('RIDGLEY, Room 00016', directory))
+        .toBe('Ridgley Hall, 1 Brookings Dr, St. Louis, MO 63130');
+      // No address to search for: the text as exported
+      expect(BuildingDirectory.getEventLocation('LABS 101', directory)).toBe('LABS 101');
+      expect(BuildingDirectory.getEventLocation('Room 5', null)).toBe('Room 5');
+      expect(BuildingDirectory.getEventLocation('', directory)).toBe('');
+    });
+
+    it('should build LOCATION and GEO lines for the .ics export', () => {
+      expect(BuildingDirectory.buildICSLocationLines('RIDGLEY, Room 00016', directory)).toEqual([
+        'LOCATION:Ridgley Hall\\, 1 Brookings Dr\\, St. Louis\\, MO 63130',
+        'GEO:38.6479;-90.3064'
+      ]);
+      expect(BuildingDirectory.buildICSLocationLines('Cupples II, Room 230', directory)).toEqual([
+        'LOCATION:Cupples II Hall\\, 1 Brookings Dr\\, St. Louis\\, MO 63130'
+      ]);
+      expect(BuildingDirectory.buildICSLocationLines('', directory)).toEqual([]);
+    });
+
+    it('should link to a map by coordinates or address', () => {
+      expect(BuildingDirectory.getMapUrl('RIDGLEY, Room 00016', directory))
+        .toBe('https://www.google.com/maps/search/?api=1&query=38.6479%2C-90.3064');
+      expect(BuildingDirectory.getMapUrl('Cupples II', directory))
+        .toBe('https://www.google.com/maps/search/?api=1&query=Cupples%20II%20Hall%2C%201%20Brookings%20Dr%2C%20St.%20Louis%2C%20MO%2063130');
+    });
+  });
+});
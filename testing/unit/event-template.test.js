@@ -0,0 +1,114 @@
+const EventTemplate = require('../../scripts/shared/event-template');
+const BuildingDirectory = require('../../scripts/shared/building-directory');
+
+describe('Event Templates', () => {
+  const course = {
+    title: 'CSE 4501 - Video Game Programming II',
+    section: '02',
+    component: 'Lab',
+    instructor: 'Dr. Smith',
+    location: 'RIDGLEY, Room 00016',
+    credits: 3,
+    term: 'Fall 2025'
+  };
+  const directory = BuildingDirectory.normalizeDirectory({
+    buildings: [{ code: 'RIDGLEY', name: 'Ridgley Hall', address: '1 Brookings Dr, St. Louis, MO 63130' }]
+  });
+
+  describe('getTemplateValues', () => {
+    it('should split the code from the title and resolve the building', () => {
+      expect(EventTemplate.getTemplateValues(course, directory)).toEqual({
+        label: 'CSE 4501 - Video Game Programming II (Lab, Sec. 02)',
+        course: 'CSE 4501 - Video Game Programming II',
+        code: 'CSE 4501',
+        title: 'Video Game Programming II',
+        section: '02',
+        component: 'Lab',
+        instructor: 'Dr. Smith',
+        location: 'RIDGLEY, Room 00016',
+        building: 'Ridgley Hall',
+        room: '16',
+        credits: '3',
+        term: 'Fall 2025'
+      });
+    });
+
+    it('should leave missing values empty', () => {
+      const values = EventTemplate.getTemplateValues({ title: 'Advising' });
+
+      expect(values.code).toBe('');
+      expect(values.title).toBe('Advising');
+      expect(values.building).toBe('');
+      expect(values.credits).toBe('');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    const values = EventTemplate.getTemplateValues({ title: 'CSE 4501 - Video Game Programming II', location: 'Online' });
+
+    it('should drop lines whose placeholders are all empty', () => {
+      expect(EventTemplate.renderTemplate('Instructor: {instructor}\nWhere: {location}\nSee syllabus', values))
+        .toBe('Where: Online\nSee syllabus');
+    });
+
+    it('should drop brackets left empty', () => {
+      expect(EventTemplate.renderTemplate('{code} ({component}) [{section}]', values)).toBe('CSE 4501');
+    });
+
+    it('should leave unknown placeholders as written', () => {
+      expect(EventTemplate.renderTemplate('{code} {instuctor}', values)).toBe('CSE 4501 {instuctor}');
+    });
+  });
+
+  describe('validation', () => {
+    it('should report unknown placeholders and non-text templates', () => {
+      expect(EventTemplate.findUnknownPlaceholders('{code} {instuctor} {instuctor}')).toEqual(['instuctor']);
+      expect(EventTemplate.getTemplateError({ title: '{code} {instuctor}' }))
+        .toBe('Unknown placeholder in the title template: {instuctor}');
+      expect(EventTemplate.getTemplateError({ description: 5 })).toBe('The description template must be text');
+      expect(EventTemplate.getTemplateError({ title: 'x'.repeat(1001) }))
+        .toBe('The title template is longer than 1000 characters');
+      expect(EventTemplate.getTemplateError({ title: '{code}', description: '' })).toBeNull();
+    });
+
+    it('should fall back to the defaults for blank or invalid templates', () => {
+      expect(EventTemplate.normalizeTemplates({ title: '  ', description: '' }))
+        .toEqual({ title: EventTemplate.DEFAULT_TEMPLATES.title, description: '' });
+      expect(EventTemplate.normalizeTemplates({ title: '{nope}' })).toEqual(EventTemplate.DEFAULT_TEMPLATES);
+      expect(EventTemplate.normalizeTemplates(null)).toEqual(EventTemplate.DEFAULT_TEMPLATES);
+    });
+  });
+
+  describe('event titles and descriptions', () => {
+    it('should match the built-in format with the default templates', () => {
+      expect(EventTemplate.formatEventTitle(course, null)).toBe('CSE 4501 - Video Game Programming II (Lab, Sec. 02)');
+      expect(EventTemplate.formatEventDescription(course, null))
+        .toBe('Instructor: Dr. Smith\nLocation: RIDGLEY, Room 00016');
+    });
+
+    it('should keep the status prefix of tentative courses', () => {
+      const waitlisted = Object.assign({}, course, { registrationStatus: 'Waitlisted' });
+
+      expect(EventTemplate.formatEventTitle(waitlisted, { title: '{code}' }, { waitlisted: 'tentative' })).toBe('[Waitlisted] CSE 4501');
+      expect(EventTemplate.formatEventTitle(waitlisted, { title: '{code}' }, { waitlisted: 'include' })).toBe('CSE 4501');
+    });
+
+    it('should fall back to the course title when the title renders empty', () => {
+      expect(EventTemplate.formatEventTitle({ title: 'Advising' }, { title: '{code}' })).toBe('Advising');
+    });
+
+    it('should start notes for unscheduled meetings with the exported pattern', () => {
+      const online = { title: 'CSE 1301 - Online', unscheduled: true, pattern: 'Online | Asynchronous', instructor: 'Dr. Kim' };
+
+      expect(EventTemplate.formatEventDescription(online, { description: 'Taught by {instructor}' }))
+        .toBe('No scheduled meeting time (Workday: "Online | Asynchronous")\nTaught by Dr. Kim');
+    });
+
+    it('should describe a final exam with the exam room in place of the classroom', () => {
+      const withExam = Object.assign({}, course, { exam: { date: '2025-12-15', time: '6:00 PM', endTime: '8:00 PM', location: 'Rebstock, Room 215' } });
+
+      expect(EventTemplate.formatExamDescription(withExam, null)).toBe('Instructor: Dr. Smith\nLocation: Rebstock, Room 215');
+      expect(EventTemplate.formatExamDescription(withExam, { description: 'Room {room}' })).toBe('Room 215');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+const ExamSchedule = require('../../scripts/shared/exam-schedule');
+
+describe('Exam Schedule', () => {
+  describe('parseExamText', () => {
+    it('should read a Workday-style exam cell', () => {
+      expect(ScheduleModel.parseExamText('12/15/2025 | 6:00 PM - 8:00 PM | Rebstock, Room 215')).toEqual({
+        date: '2025-12-15',
+        time: '6:00 PM',
+        endTime: '8:00 PM',
+        location: 'Rebstock, Room 215'
+      });
+    });
+
+    it('should read free text with a shared AM/PM', () => {
+      expect(ScheduleModel.parseExamText('Mon, Dec 15, 2025 6-8 PM Rebstock 215')).toEqual({
+        date: '2025-12-15',
+        time: '6:00 PM',
+        endTime: '8:00 PM',
+        location: 'Rebstock 215'
+      });
+      expect(ScheduleModel.parseExamText('2025-12-16 11:30-1:30 PM').time).toBe('11:30 AM');
+    });
+
+    it('should return null without a date and times', () => {
+      expect(ScheduleModel.parseExamText('TBA')).toBeNull();
+      expect(ScheduleModel.parseExamText('12/15/2025')).toBeNull();
+      expect(ScheduleModel.parseExamText('')).toBeNull();
+    });
+  });
+
+  describe('parseExamSchedule', () => {
+    it('should read separate date, time and room columns', () => {
+      const { exams, warnings } = ExamSchedule.parseExamSchedule([
+        ['Fall 2025 Final Exams'],
+        ['Course', 'Section', 'Exam Date', 'Start Time', 'End Time', 'Room'],
+        ['CSE 4501', '01', '12/15/2025', '6:00 PM', '8:00 PM', 'Lopata 101'],
+        ['BIOL 2960', '', '12/16/2025', 'TBA', '', ''],
+        ['', '', '', '', '', '']
+      ]);
+
+      expect(exams).toEqual([{
+        code: 'CSE 4501',
+        section: '01',
+        exam: { date: '2025-12-15', time: '6:00 PM', endTime: '8:00 PM', location: 'Lopata 101' },
+        row: 3
+      }]);
+      expect(warnings).toEqual(['Row 4 (BIOL 2960): no exam date and time found']);
+    });
+
+    it('should read one exam column and sections in the listing', () => {
+      const { exams } = ExamSchedule.parseExamSchedule([
+        ['Course Listing', 'Final Exam'],
+        ['CSE 4501-02 - Video Game Programming II', '12/17/2025 | 1:00 PM - 3:00 PM | Rebstock, Room 215']
+      ]);
+
+      expect(exams[0]).toMatchObject({ code: 'CSE 4501', section: '02' });
+      expect(exams[0].exam.location).toBe('Rebstock, Room 215');
+    });
+
+    it('should warn when there is no header row', () => {
+      expect(ExamSchedule.parseExamSchedule([['Name'], ['Nothing here']]).warnings)
+        .toEqual(['No exam schedule header row (Course and Exam or Date) found']);
+    });
+  });
+
+  describe('applyExamSchedule', () => {
+    const exam = { date: '2025-12-15', time: '6:00 PM', endTime: '8:00 PM', location: '' };
+    const courses = [
+      { id: 1, title: 'CSE 4501 - Video Game Programming II', section: 'L02', component: 'Lab' },
+      { id: 2, title: 'CSE 4501 - Video Game Programming II', section: '01', component: 'Lecture' },
+      { id: 3, title: 'BIOL 2960 - Principles of Biology' }
+    ];
+
+    it('should match by course code and section, preferring the lecture', () => {
+      const result = ExamSchedule.applyExamSchedule(courses, [
+        { code: 'CSE 4501', section: null, exam, row: 2 },
+        { code: 'BIOL 2960', section: '3', exam, row: 3 },
+        { code: 'MATH 1510', section: null, exam, row: 4 }
+      ]);
+
+      expect(result.courses.map(course => Boolean(course.exam))).toEqual([false, true, true]);
+      expect(result.matched).toBe(2);
+      expect(result.unmatched.map(entry => entry.code)).toEqual(['MATH 1510']);
+      // The courses passed in are left as they were
+      expect(courses[1].exam).toBeUndefined();
+    });
+
+    it('should not match a different section', () => {
+      const result = ExamSchedule.applyExamSchedule(courses, [{ code: 'CSE 4501', section: '1', exam, row: 2 }]);
+
+      expect(result.courses[1].exam).toEqual(exam);
+      expect(ExamSchedule.applyExamSchedule(courses, [{ code: 'CSE 4501', section: '03', exam, row: 2 }]).matched).toBe(0);
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should build one VALARM per reminder', () => {
+      const lines = ExamSchedule.buildAlarmLines('dayAndHour', 'Final Exam: CSE 4501');
+
+      expect(lines.filter(line => line.startsWith('TRIGGER'))).toEqual(['TRIGGER:-PT1440M', 'TRIGGER:-PT60M']);
+      expect(ExamSchedule.buildAlarmLines('none', 'Final Exam')).toEqual([]);
+    });
+
+    it('should fall back to the default preset', () => {
+      expect(ExamSchedule.getReminderMinutes('unknown')).toEqual(ExamSchedule.EXAM_REMINDERS.dayAndHour);
+    });
+  });
+});
@@ -51,6 +51,9 @@ jest.mock('fs-extra', () => ({
 }));
 
 const GoogleCalendarManager = require('../../scripts/google-calendar');
+const TravelTime = require('../../scripts/shared/travel-time');
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+const EventTemplate = require('../../scripts/shared/event-template');
 
 describe('GoogleCalendarManager', () => {
   let manager;
@@ -288,6 +291,379 @@ describe('GoogleCalendarManager', () => {
       expect(result.errors).toEqual([]);
     });
 
+    it('should create one event per meeting pattern', async () => {
+      const courses = [
+        {
+          id: 1,
+          title: 'BIOL 2960',
+          days: 'Monday/Wednesday',
+          time: '10:00 AM',
+          endTime: '11:20 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02',
+          meetings: [
+            { days: 'Monday/Wednesday', time: '10:00 AM', endTime: '11:20 AM', location: 'Rebstock, Room 215' },
+            { days: 'Friday', time: '2:00 PM', endTime: '4:50 PM', location: 'Life Sciences, Room 101' }
+          ]
+        }
+      ];
+
+      const result = await manager.createEvents(courses, 'primary', 'batch_meetings');
+      const inserted = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(result.events).toHaveLength(2);
+      expect(inserted[1].location).toBe('Life Sciences, Room 101');
+      expect(inserted[1].recurrence).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=FR;UNTIL=20250502']);
+      expect(inserted[1].start.dateTime).toBe('2025-01-17T14:00:00');
+      expect(inserted[1].extendedProperties.private).toMatchObject({ batchId: 'batch_meetings', courseId: '1', meetingIndex: '1' });
+    });
+
+    it('should use the building directory address as the location and keep the raw text', async () => {
+      const buildingDirectory = {
+        buildings: [{ code: 'REBSTOCK', name: 'Rebstock Hall', address: '1 Brookings Dr, St. Louis, MO 63130', latitude: null, longitude: null, aliases: [] }]
+      };
+      const courses = [
+        {
+          id: 1,
+          title: 'BIOL 2960',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02',
+          meetings: [
+            { days: 'Monday/Wednesday', time: '10:00 AM', endTime: '11:20 AM', location: 'REBSTOCK, Room 00215' },
+            { days: 'Friday', time: '2:00 PM', endTime: '4:50 PM', location: 'Life Sciences, Room 101' }
+          ]
+        }
+      ];
+
+      await manager.createEvents(courses, 'primary', 'batch_buildings', { buildingDirectory });
+      const inserted = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(inserted[0].location).toBe('Rebstock Hall, 1 Brookings Dr, St. Louis, MO 63130');
+      expect(inserted[0].description).toContain('Location: REBSTOCK, Room 00215');
+      // Buildings the directory doesn't know keep their text
+      expect(inserted[1].location).toBe('Life Sciences, Room 101');
+    });
+
+    it('should add travel events before classes in another building when asked', async () => {
+      const buildingDirectory = { buildings: [
+        { code: 'RIDGLEY', name: 'Ridgley Hall', address: '', latitude: null, longitude: null, aliases: [] },
+        { code: 'REBSTOCK', name: 'Rebstock Hall', address: '', latitude: null, longitude: null, aliases: [] }
+      ] };
+      const travelTimes = { defaultMinutes: null, minutes: { 'RIDGLEY|REBSTOCK': 8, 'REBSTOCK|RIDGLEY': 8 } };
+      const courses = [
+        { id: 1, title: 'CSE 4501', days: 'Monday', time: '9:00 AM', endTime: '10:15 AM', location: 'RIDGLEY, Room 16', startDate: '2025-01-13', endDate: '2025-05-02' },
+        { id: 2, title: 'BIOL 2960', days: 'Monday', time: '10:30 AM', endTime: '11:20 AM', location: 'REBSTOCK, Room 215', startDate: '2025-01-13', endDate: '2025-05-02' }
+      ];
+
+      await manager.createEvents(courses, 'primary', 'batch_travel', { buildingDirectory, travelTimes });
+      expect(manager.calendar.events.insert).toHaveBeenCalledTimes(2);
+
+      manager.calendar.events.insert.mockClear();
+      const termCalendar = { holidays: [{ date: '2025-01-20', name: 'MLK Day' }], breaks: [] };
+      const result = await manager.createEvents(courses, 'primary', 'batch_travel', { buildingDirectory, travelTimes, travelBuffers: true, termCalendar });
+      const inserted = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(result.events).toHaveLength(3);
+      expect(inserted[2]).toMatchObject({
+        summary: 'Travel to Rebstock Hall',
+        start: { dateTime: '2025-01-13T10:22:00' },
+        end: { dateTime: '2025-01-13T10:30:00' },
+        recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250502', 'EXDATE;TZID=America/Chicago:20250120T102200']
+      });
+      expect(inserted[2].extendedProperties.private).toMatchObject({ batchId: 'batch_travel', courseId: '2', meetingIndex: 'travel-0-Monday' });
+    });
+
+    it('should follow the status policies of both classes for travel events', async () => {
+      const buildingDirectory = { buildings: [
+        { code: 'RIDGLEY', name: 'Ridgley Hall', address: '', latitude: null, longitude: null, aliases: [] },
+        { code: 'REBSTOCK', name: 'Rebstock Hall', address: '', latitude: null, longitude: null, aliases: [] }
+      ] };
+      const travelTimes = { defaultMinutes: null, minutes: { 'RIDGLEY|REBSTOCK': 8, 'REBSTOCK|RIDGLEY': 8 } };
+      const leg = TravelTime.getTravelLegs([
+        { id: 1, title: 'CSE 4501', days: 'Monday', time: '9:00 AM', endTime: '10:15 AM', location: 'RIDGLEY, Room 16', startDate: '2025-01-13', endDate: '2025-05-02', registrationStatus: 'Waitlisted' },
+        { id: 2, title: 'BIOL 2960', days: 'Monday', time: '10:30 AM', endTime: '11:20 AM', location: 'REBSTOCK, Room 215', startDate: '2025-01-13', endDate: '2025-05-02' }
+      ], buildingDirectory, travelTimes)[0];
+
+      const tentative = await manager.createTravelEvent(leg, 'primary', 'batch_travel', { statusPolicies: { waitlisted: 'tentative' } });
+      const inserted = manager.calendar.events.insert.mock.calls[0][0].resource;
+
+      expect(tentative).toBeDefined();
+      expect(inserted).toMatchObject({ status: 'tentative', transparency: 'transparent' });
+      expect(inserted.extendedProperties.private.tentative).toBe('true');
+      expect(await manager.createTravelEvent(leg, 'primary', 'batch_travel', { statusPolicies: { waitlisted: 'exclude' } })).toBeNull();
+      expect(manager.calendar.events.insert).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use a meeting pattern\'s own date range for DTSTART and UNTIL', async () => {
+      const courses = [
+        {
+          title: 'MATH 1510',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02',
+          meetings: [
+            { days: 'Tuesday/Thursday', time: '10:00 AM', endTime: '11:20 AM', location: '', startDate: '2025-01-13', endDate: '2025-03-07' }
+          ]
+        }
+      ];
+
+      await manager.createEvents(courses, 'primary');
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.start.dateTime).toBe('2025-01-14T10:00:00');
+      expect(event.recurrence).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20250307']);
+    });
+
+    it('should add EXDATEs for holidays and breaks from the term calendar', async () => {
+      const courses = [
+        {
+          title: 'CSCI 101',
+          days: 'Monday/Wednesday',
+          time: '9:00 AM',
+          endTime: '10:15 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+      const termCalendar = {
+        holidays: [{ date: '2025-01-20', name: 'Martin Luther King Jr. Day' }],
+        breaks: [{ start: '2025-03-09', end: '2025-03-15', name: 'Spring Break' }]
+      };
+
+      await manager.createEvents(courses, 'primary', null, { termCalendar });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.recurrence).toEqual([
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250502',
+        'EXDATE;TZID=America/Chicago:20250120T090000,20250310T090000,20250312T090000'
+      ]);
+    });
+
+    it('should create events in the requested time zone', async () => {
+      const courses = [
+        {
+          title: 'CSCI 101',
+          days: 'Monday',
+          time: '9:00 AM',
+          endTime: '10:15 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+      const termCalendar = { holidays: [{ date: '2025-01-20', name: 'MLK Day' }], breaks: [] };
+
+      await manager.createEvents(courses, 'primary', null, { termCalendar, timeZone: 'America/New_York' });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.start).toEqual({ dateTime: '2025-01-13T09:00:00', timeZone: 'America/New_York' });
+      expect(event.end.timeZone).toBe('America/New_York');
+      expect(event.recurrence[1]).toBe('EXDATE;TZID=America/New_York:20250120T090000');
+    });
+
+    it('should title events with the component and section', async () => {
+      const courses = [
+        {
+          title: 'CSCI 101',
+          section: 'L02',
+          component: 'Lab',
+          days: 'Friday',
+          time: '1:00 PM',
+          endTime: '2:50 PM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+
+      await manager.createEvents(courses, 'primary');
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.summary).toBe('CSCI 101 (Lab, Sec. L02)');
+    });
+
+    it('should fill in title and description templates', async () => {
+      const courses = [
+        {
+          title: 'CSCI 101 - Intro to Computing',
+          section: 'L02',
+          component: 'Lab',
+          registrationStatus: 'Waitlisted',
+          days: 'Friday',
+          time: '1:00 PM',
+          endTime: '2:50 PM',
+          location: 'Hall 2, Room 010',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+      const templates = { title: '{code} {component}', description: 'Room {room}, {building}\nInstructor: {instructor}' };
+
+      await manager.createEvents(courses, 'primary', null, { templates });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.summary).toBe('[Waitlisted] CSCI 101 Lab');
+      expect(event.description).toBe('Room 10, Hall 2');
+    });
+
+    it('should title events like the .ics export for every placeholder the browser sends', async () => {
+      const course = {
+        id: 1,
+        title: 'CSE 4501 - Video Game Programming II',
+        section: '02',
+        component: 'Lab',
+        instructor: 'Dr. Smith',
+        days: 'Monday',
+        time: '9:00 AM',
+        endTime: '10:15 AM',
+        location: 'RIDGLEY, Room 00016',
+        startDate: '2025-08-25',
+        endDate: '2025-12-05',
+        credits: 3,
+        term: 'Fall 2025'
+      };
+      const everything = EventTemplate.PLACEHOLDERS.map(placeholder => `{${placeholder.key}}`).join(' | ');
+      const templates = { title: everything, description: everything };
+
+      // What the browser posts, against what the .ics export writes from the full course
+      await manager.createEvents([ScheduleModel.pickEventFields(course)], 'primary', null, { templates });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.summary).toBe(EventTemplate.formatEventTitle(course, templates));
+      expect(event.description).toBe(EventTemplate.formatEventDescription(course, templates));
+      expect(event.summary).toContain('| 3 | Fall 2025');
+    });
+
+    it('should add the final exam as a single event with its own reminders', async () => {
+      const courses = [
+        {
+          id: 4,
+          title: 'CSCI 101',
+          days: 'Monday',
+          time: '9:00 AM',
+          endTime: '10:15 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02',
+          exam: { date: '2025-05-08', time: '1:00 PM', endTime: '3:00 PM', location: 'Hall 2' }
+        }
+      ];
+
+      const result = await manager.createEvents(courses, 'primary', 'batch-1', { examReminders: 'weekAndDay' });
+      const events = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(result.events).toHaveLength(2);
+      expect(events[1].summary).toBe('Final Exam: CSCI 101');
+      expect(events[1].recurrence).toBeUndefined();
+      expect(events[1].start.dateTime).toBe('2025-05-08T13:00:00');
+      expect(events[1].location).toBe('Hall 2');
+      expect(events[1].description).toBe('Location: Hall 2');
+      expect(events[1].reminders.overrides).toEqual([
+        { method: 'popup', minutes: 10080 },
+        { method: 'popup', minutes: 1440 }
+      ]);
+      expect(events[1].extendedProperties.private).toMatchObject({ batchId: 'batch-1', courseId: '4', meetingIndex: 'exam' });
+    });
+
+    it('should add waitlisted courses as tentative and free by default', async () => {
+      const courses = [
+        {
+          id: 2,
+          title: 'MATH 201',
+          registrationStatus: 'Waitlisted',
+          days: 'Tuesday',
+          time: '9:00 AM',
+          endTime: '10:15 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+
+      await manager.createEvents(courses, 'primary', 'batch-1');
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.summary).toBe('[Waitlisted] MATH 201');
+      expect(event.status).toBe('tentative');
+      expect(event.transparency).toBe('transparent');
+      expect(event.extendedProperties.private.tentative).toBe('true');
+    });
+
+    it('should follow the chosen registration status policy', async () => {
+      const courses = [
+        { id: 1, title: 'MATH 201', registrationStatus: 'Waitlisted', days: 'Tuesday', time: '9:00 AM', endTime: '10:15 AM', startDate: '2025-01-13', endDate: '2025-05-02' },
+        { id: 2, title: 'CSCI 101', registrationStatus: 'Pending Approval', days: 'Monday', time: '9:00 AM', endTime: '10:15 AM', startDate: '2025-01-13', endDate: '2025-05-02' }
+      ];
+
+      const result = await manager.createEvents(courses, 'primary', 'batch-1', {
+        statusPolicies: { waitlisted: 'include', pending: 'exclude' }
+      });
+      const events = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(events).toHaveLength(1);
+      expect(events[0].summary).toBe('MATH 201');
+      expect(events[0].status).toBeUndefined();
+      expect(result.warnings).toEqual(['Course "CSCI 101": Pending Approval; not added']);
+    });
+
+    it('should fall back to America/Chicago for an unknown time zone', async () => {
+      const courses = [
+        {
+          title: 'CSCI 101',
+          days: 'Monday',
+          time: '9:00 AM',
+          endTime: '10:15 AM',
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+
+      await manager.createEvents(courses, 'primary', null, { timeZone: 'Not/AZone' });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(event.start.timeZone).toBe('America/Chicago');
+    });
+
+    it('should leave unscheduled meetings out with a warning by default', async () => {
+      const courses = [
+        {
+          id: 1,
+          title: 'CSE 1010 - Online Intro',
+          days: '',
+          time: '',
+          endTime: '',
+          unscheduled: true,
+          meetings: [{ days: '', time: '', endTime: '', location: '', unscheduled: true, pattern: 'Online | Asynchronous' }],
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+
+      const result = await manager.createEvents(courses, 'primary');
+
+      expect(manager.calendar.events.insert).not.toHaveBeenCalled();
+      expect(result.events).toHaveLength(0);
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual(['Course "CSE 1010 - Online Intro": no meeting days or times; not added']);
+    });
+
+    it('should add unscheduled meetings as all-day term notes when asked', async () => {
+      const courses = [
+        {
+          id: 1,
+          title: 'CSE 1010 - Online Intro',
+          meetings: [{ days: '', time: '', endTime: '', location: '', unscheduled: true, pattern: 'Online | Asynchronous' }],
+          startDate: '2025-01-13',
+          endDate: '2025-05-02'
+        }
+      ];
+
+      const result = await manager.createEvents(courses, 'primary', null, { unscheduled: 'allDay' });
+      const [event] = manager.calendar.events.insert.mock.calls.map(call => call[0].resource);
+
+      expect(result.events).toHaveLength(1);
+      expect(event.start).toEqual({ date: '2025-01-13' });
+      expect(event.end).toEqual({ date: '2025-05-03' });
+      expect(event.transparency).toBe('transparent');
+      expect(event.recurrence).toBeUndefined();
+      expect(event.description).toContain('Online | Asynchronous');
+    });
+
     it('should accept custom batch ID', async () => {
       const courses = [
         {
@@ -334,6 +710,40 @@ describe('GoogleCalendarManager', () => {
     });
   });
 
+  describe('promoteCourseEvents', () => {
+    beforeEach(() => {
+      manager.initOAuth2();
+    });
+
+    it('should confirm a course\'s tentative events in place', async () => {
+      manager.calendar.events.list = jest.fn().mockResolvedValue({
+        data: {
+          items: [
+            { id: 'event-1', summary: '[Waitlisted] MATH 201', start: { dateTime: '2025-01-14T09:00:00' } },
+            { id: 'event-2', summary: 'Final Exam: [Waitlisted] MATH 201', start: { dateTime: '2025-05-08T13:00:00' } }
+          ]
+        }
+      });
+      manager.calendar.events.patch = jest.fn().mockResolvedValue({});
+
+      const result = await manager.promoteCourseEvents('batch_123', '2', 'primary');
+
+      expect(result.updatedCount).toBe(2);
+      expect(manager.calendar.events.list).toHaveBeenCalledWith({
+        calendarId: 'primary',
+        privateExtendedProperty: ['batchId=batch_123', 'courseId=2', 'tentative=true'],
+        maxResults: 100,
+        singleEvents: false
+      });
+      expect(manager.calendar.events.patch.mock.calls.map(call => call[0].resource.summary))
+        .toEqual(['MATH 201', 'Final Exam: MATH 201']);
+      expect(manager.calendar.events.patch.mock.calls[0][0].resource).toMatchObject({
+        status: 'confirmed',
+        transparency: 'opaque'
+      });
+    });
+  });
+
   describe('deleteEventsByBatch', () => {
     beforeEach(() => {
       manager.initOAuth2();
@@ -0,0 +1,71 @@
+const InstitutionProfile = require('../../scripts/shared/institution-profile');
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+const washuProfile = require('../../public/institutions/washu/profile.json');
+
+describe('Institution Profile', () => {
+  describe('normalizeProfile', () => {
+    it('should compile patterns from profile JSON', () => {
+      const profile = InstitutionProfile.normalizeProfile(washuProfile);
+
+      expect(profile.id).toBe('washu');
+      expect(profile.courseCodePattern.test('CSE 4501 - Intro')).toBe(true);
+      expect(profile.titleCleanup).toHaveLength(2);
+      expect(profile.timeZone).toBe('America/Chicago');
+      // Dates of one term would go stale; rows without dates are flagged instead
+      expect(profile.defaultTerm).toBeNull();
+      expect(profile.allowedOAuthDomains).toContain('schedulesync.live');
+      expect(profile.buildingDirectory).toBe('washu/buildings.json');
+      expect(profile.travelTimes).toBe('washu/travel-times.json');
+    });
+
+    it('should fall back to defaults for missing or invalid fields', () => {
+      const profile = InstitutionProfile.normalizeProfile({
+        id: 'test',
+        courseCodePattern: '([',
+        defaultTerm: { startDate: '2025-12-01', endDate: '2025-08-01' }
+      });
+
+      expect(profile.courseCodePattern.source).toBe(InstitutionProfile.DEFAULT_PROFILE.courseCodePattern.source);
+      expect(profile.titleCleanup).toEqual(InstitutionProfile.DEFAULT_PROFILE.titleCleanup);
+      expect(profile.defaultTerm).toBeNull();
+      expect(profile.allowedOAuthDomains).toEqual([]);
+    });
+  });
+
+  describe('parsing with a profile', () => {
+    const profile = InstitutionProfile.normalizeProfile({
+      id: 'state',
+      name: 'State U',
+      courseCodePattern: '^[A-Z]{3}\\d{3}[A-Z]?\\b',
+      titleCleanup: [{ pattern: '\\s*\\(\\d{4}\\s+Spring\\)$', replacement: '' }],
+      defaultTerm: { startDate: '2026-01-12', endDate: '2026-05-01' }
+    });
+    const rows = [
+      ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+      ['BIO101L Intro Biology Lab (2026 Spring)', 'Dr. Smith', 'Tue | 1:00 PM - 3:50 PM | Hall 2', '', ''],
+      ['CSE 4501 - Video Game Programming', 'Dr. Jones', 'Mon | 9:00 AM - 10:00 AM | Room 1', '', '']
+    ];
+
+    it('should use the profile course code pattern and title cleanup', () => {
+      const { courses } = ScheduleModel.parseSchedule(rows, { profile });
+
+      expect(courses).toHaveLength(1);
+      expect(courses[0].title).toBe('BIO101L Intro Biology Lab');
+    });
+
+    it('should fill missing dates from the default term with a warning', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule(rows, { profile });
+
+      expect(courses[0].startDate).toBe('2026-01-12');
+      expect(courses[0].endDate).toBe('2026-05-01');
+      expect(warnings).toContain('BIO101L Intro Biology Lab: no start or end date; used the State U term dates (2026-01-12 to 2026-05-01)');
+    });
+
+    it('should keep the original behavior without a profile', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule(rows);
+
+      expect(courses.map(course => course.title)).toEqual(['CSE 4501 - Video Game Programming']);
+      expect(warnings).toContain('CSE 4501 - Video Game Programming: missing start or end date');
+    });
+  });
+});
@@ -1,19 +1,20 @@
 const XLSX = require('xlsx');
-const fs = require('fs');
-const path = require('path');
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+const InstitutionProfile = require('../../scripts/shared/institution-profile');
 
 describe('Excel Parsing Functions', () => {
   let sampleWorkbook;
   let sampleWorksheet;
 
   beforeAll(() => {
-    // Create a sample Excel file for testing
+    // Create a sample Workday "View My Courses" export for testing
     const data = [
-      ['Course', 'Days', 'Time', 'End Time', 'Location', 'Instructor', 'Start Date', 'End Date', 'Registration Status'],
-      ['CSCI 101 - Introduction to Computer Science', 'Monday/Wednesday', '9:00 AM', '10:15 AM', 'Room 101', 'Dr. Smith', '2025-01-13', '2025-05-02', 'Registered'],
-      ['MATH 201 - Calculus I', 'Tuesday/Thursday', '11:00 AM', '12:15 PM', 'Room 202', 'Dr. Johnson', '2025-01-14', '2025-05-03', 'Registered'],
-      ['ENGL 102 - English Composition', 'Monday/Wednesday/Friday', '1:00 PM', '1:50 PM', 'Room 303', 'Prof. Williams', '2025-01-13', '2025-05-02', 'Registered'],
-      ['PHYS 101 - Physics I', 'Tuesday/Thursday', '2:00 PM', '3:15 PM', 'Lab 101', 'Dr. Brown', '2025-01-14', '2025-05-03', 'Waitlisted']
+      ['My Enrolled Courses'],
+      ['Course Listing', 'Credits', 'Registration Status', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+      ['CSE 4501 - Video Game Programming II', '3', 'Registered', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016', 45670, 45779],
+      ['MATH 2200 - Calculus III', '3', 'Registered', 'Dr. Johnson', 'Tue/Thu | 11:30 AM - 12:50 PM | Cupples I, Room 113', 45670, 45779],
+      ['ENGL 1010 - Writing 1 - Fall 2025', '3', 'Waitlisted', 'Prof. Williams', 'Fri | 1:00 PM - 1:50 PM | Duncker, Room 101', 45670, 45779],
+      ['PHYS 1910 - Physics I', '4', 'Dropped', 'Dr. Brown', 'Tue/Thu | 2:30 PM - 3:50 PM | Crow, Room 201', 45670, 45779]
     ];
 
     sampleWorksheet = XLSX.utils.aoa_to_sheet(data);
@@ -21,133 +22,297 @@ describe('Excel Parsing Functions', () => {
     XLSX.utils.book_append_sheet(sampleWorkbook, sampleWorksheet, 'Schedule');
   });
 
-  describe('Course Code Extraction', () => {
-    it('should extract course code from title', () => {
-      const extractCourseCode = (title) => {
-        const match = title.match(/^([A-Z]{2,5}\s*\d{3,4}[A-Z]?)/);
-        return match ? match[1].trim() : '';
-      };
+  describe('Course Name Extraction', () => {
+    it('should keep the course code and title', () => {
+      expect(ScheduleModel.extractCourseName('CSE 4501 - Video Game Programming II')).toBe('CSE 4501 - Video Game Programming II');
+      expect(ScheduleModel.extractCourseName('MATH 2200 - Calculus III')).toBe('MATH 2200 - Calculus III');
+    });
+
+    it('should strip a trailing term suffix', () => {
+      expect(ScheduleModel.extractCourseName('ENGL 1010 - Writing 1 - Fall 2025')).toBe('ENGL 1010 - Writing 1');
+    });
 
-      expect(extractCourseCode('CSCI 101 - Introduction to Computer Science')).toBe('CSCI 101');
-      expect(extractCourseCode('MATH 201 - Calculus I')).toBe('MATH 201');
-      expect(extractCourseCode('ENGL 102 - English Composition')).toBe('ENGL 102');
-      expect(extractCourseCode('Invalid Course')).toBe('');
+    it('should return other listings unchanged', () => {
+      expect(ScheduleModel.extractCourseName('Invalid Course')).toBe('Invalid Course');
+      expect(ScheduleModel.extractCourseName('')).toBe('Untitled Course');
     });
   });
 
   describe('Meeting Pattern Parsing', () => {
-    it('should parse days with slash separator', () => {
-      const parseDays = (days) => {
-        if (!days) return [];
-        return days.split(/[/,]/).map(d => d.trim()).filter(Boolean);
-      };
+    it('should parse days, times and location', () => {
+      expect(ScheduleModel.parseMeetingPatterns('Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016')).toEqual({
+        days: 'Monday/Wednesday',
+        startTime: '5:30 PM',
+        endTime: '7:00 PM',
+        location: 'RIDGLEY, Room 00016'
+      });
+    });
+
+    it('should parse a single day', () => {
+      expect(ScheduleModel.parseMeetingPatterns('Fri | 1:00 PM - 1:50 PM').days).toBe('Friday');
+    });
+
+    it('should apply an AM/PM written once to both times', () => {
+      expect(ScheduleModel.parseMeetingPatterns('Mon/Wed | 1:00 - 2:30 PM | X')).toEqual({
+        days: 'Monday/Wednesday',
+        startTime: '1:00 PM',
+        endTime: '2:30 PM',
+        location: 'X'
+      });
+      // Unless that would start the class after it ends
+      expect(ScheduleModel.parseTimeRange('11:00 - 12:15 PM')).toEqual({ startTime: '11:00 AM', endTime: '12:15 PM' });
+    });
+
+    it('should mark an empty pattern unscheduled instead of inventing a time', () => {
+      expect(ScheduleModel.parseMeetingPatterns('')).toEqual({
+        days: '',
+        startTime: '',
+        endTime: '',
+        location: '',
+        unscheduled: true
+      });
+    });
+
+    it('should mark online patterns without times unscheduled', () => {
+      const meeting = ScheduleModel.parseMeetingPatterns('Online | Asynchronous');
+
+      expect(meeting.unscheduled).toBe(true);
+      expect(meeting.days).toBe('');
+    });
+  });
 
-      expect(parseDays('Monday/Wednesday')).toEqual(['Monday', 'Wednesday']);
-      expect(parseDays('Tuesday/Thursday')).toEqual(['Tuesday', 'Thursday']);
-      expect(parseDays('Monday/Wednesday/Friday')).toEqual(['Monday', 'Wednesday', 'Friday']);
+  describe('Multiple Meeting Patterns', () => {
+    it('should parse each line of a meeting pattern cell', () => {
+      const meetings = ScheduleModel.parseMeetingPatternList('Tue/Thu | 1:00 PM - 2:20 PM | Brown, Room 118\r\n\nWed | 4:00 PM - 4:50 PM | Seigle, Room 104');
+
+      expect(meetings).toHaveLength(2);
+      expect(meetings[0].days).toBe('Tuesday/Thursday');
+      expect(meetings[1]).toEqual({ days: 'Wednesday', startTime: '4:00 PM', endTime: '4:50 PM', location: 'Seigle, Room 104' });
+      expect(ScheduleModel.parseMeetingPatternList('')).toEqual([]);
     });
 
-    it('should parse days with comma separator', () => {
-      const parseDays = (days) => {
-        if (!days) return [];
-        return days.split(/[/,]/).map(d => d.trim()).filter(Boolean);
+    it('should expand a course into one event source per meeting', () => {
+      const course = {
+        id: 7,
+        title: 'BIOL 2960 - Principles of Biology I',
+        days: 'Monday/Wednesday',
+        time: '10:00 AM',
+        endTime: '11:20 AM',
+        location: 'Rebstock, Room 215',
+        meetings: [
+          { days: 'Monday/Wednesday', time: '10:00 AM', endTime: '11:20 AM', location: 'Rebstock, Room 215' },
+          { days: 'Friday', time: '2:00 PM', endTime: '4:50 PM', location: 'Life Sciences, Room 101' }
+        ]
       };
 
-      expect(parseDays('Monday, Wednesday')).toEqual(['Monday', 'Wednesday']);
-      expect(parseDays('Tuesday, Thursday')).toEqual(['Tuesday', 'Thursday']);
+      const expanded = ScheduleModel.expandCourseMeetings(course);
+
+      expect(expanded).toHaveLength(2);
+      expect(expanded[1]).toMatchObject({ id: 7, title: course.title, days: 'Friday', time: '2:00 PM', location: 'Life Sciences, Room 101', meetingIndex: 1 });
+    });
+
+    it('should treat a course without meetings as a single meeting', () => {
+      const expanded = ScheduleModel.expandCourseMeetings({ title: 'CSE 1301', days: 'Monday', time: '9:00 AM', endTime: '9:50 AM' });
+
+      expect(expanded).toEqual([{ title: 'CSE 1301', days: 'Monday', time: '9:00 AM', endTime: '9:50 AM', location: '', meetingIndex: 0 }]);
+    });
+  });
+
+  describe('Date-Ranged Meeting Patterns', () => {
+    it('should parse a leading date range', () => {
+      expect(ScheduleModel.parseMeetingPatterns('01/13/2025 - 03/07/2025 | Tue/Thu | 10:00 AM - 11:20 AM | Brown, Room 118')).toEqual({
+        days: 'Tuesday/Thursday',
+        startTime: '10:00 AM',
+        endTime: '11:20 AM',
+        location: 'Brown, Room 118',
+        startDate: '2025-01-13',
+        endDate: '2025-03-07'
+      });
+    });
+
+    it('should parse date ranges in either format', () => {
+      expect(ScheduleModel.parseDateRange('3/17/25 - 5/2/25')).toEqual({ startDate: '2025-03-17', endDate: '2025-05-02' });
+      expect(ScheduleModel.parseDateRange('2025-03-17 - 2025-05-02')).toEqual({ startDate: '2025-03-17', endDate: '2025-05-02' });
+      expect(ScheduleModel.parseDateRange('Mon/Wed')).toBeNull();
+    });
+
+    it('should use the pattern range instead of the row dates', () => {
+      const courses = ScheduleModel.parseWorkdayData([
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+        ['MATH 1510 - Calculus I (First Half)', 'Dr. Ng', '01/13/2025 - 03/07/2025 | Mon/Wed | 9:00 AM - 9:50 AM | Cupples I, Room 199', 45670, 45779],
+        ['MATH 1520 - Calculus II (Second Half)', 'Dr. Ng', '03/17/2025 - 05/02/2025 | Mon/Wed | 9:00 AM - 9:50 AM | Cupples I, Room 199', 45670, 45779]
+      ]);
+      const [firstHalf] = ScheduleModel.expandCourseMeetings(courses[0]);
+      const [secondHalf] = ScheduleModel.expandCourseMeetings(courses[1]);
+
+      expect(firstHalf.startDate).toBe('2025-01-13');
+      expect(firstHalf.endDate).toBe('2025-03-07');
+      expect(ScheduleModel.buildRecurrenceRule(firstHalf.days, firstHalf.endDate)).toBe('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250307');
+      expect(ScheduleModel.getFirstMeetingDate(secondHalf.startDate, secondHalf.days)).toBe('2025-03-17');
+    });
+
+    it('should fall back to the row dates for patterns without a range', () => {
+      const [meeting] = ScheduleModel.expandCourseMeetings({
+        title: 'CSE 1301',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02',
+        meetings: [{ days: 'Monday', time: '9:00 AM', endTime: '9:50 AM', location: '' }]
+      });
+
+      expect(meeting.startDate).toBe('2025-01-13');
+      expect(meeting.endDate).toBe('2025-05-02');
+    });
+  });
+
+  describe('Day Parsing', () => {
+    it('should map days with slash or comma separators to RRULE codes', () => {
+      expect(ScheduleModel.getRRuleDays('Monday/Wednesday/Friday')).toEqual(['MO', 'WE', 'FR']);
+      expect(ScheduleModel.getRRuleDays('Tuesday, Thursday')).toEqual(['TU', 'TH']);
+    });
+
+    it('should map days to JS day indices', () => {
+      expect(ScheduleModel.getDayIndices('Monday/Wednesday')).toEqual([1, 3]);
+      expect(ScheduleModel.getDayIndices('Sunday, Saturday')).toEqual([0, 6]);
     });
 
     it('should handle empty or invalid days', () => {
-      const parseDays = (days) => {
-        if (!days) return [];
-        return days.split(/[/,]/).map(d => d.trim()).filter(Boolean);
-      };
+      expect(ScheduleModel.getRRuleDays('')).toEqual([]);
+      expect(ScheduleModel.getRRuleDays(null)).toEqual([]);
+      expect(ScheduleModel.getDayIndices(undefined)).toEqual([]);
+      expect(ScheduleModel.getDayIndices('Someday')).toEqual([]);
+    });
+  });
+
+  describe('Localized Exports', () => {
+    it('should read Spanish, French and German day names into English ones', () => {
+      expect(ScheduleModel.parseDays('Lun/Mié', 'es')).toBe('Monday/Wednesday');
+      expect(ScheduleModel.parseDays('Martes/Jueves', 'es')).toBe('Tuesday/Thursday');
+      expect(ScheduleModel.parseDays('lun./mer./ven.', 'fr')).toBe('Monday/Wednesday/Friday');
+      expect(ScheduleModel.parseDays('Di/Do', 'de')).toBe('Tuesday/Thursday');
+      expect(ScheduleModel.parseDays('Mon/Wed')).toBe('Monday/Wednesday');
+      expect(ScheduleModel.parseDays('Xyz', 'de')).toBeNull();
+    });
+
+    it('should only take LOCALES\' own keys as locales', () => {
+      expect(ScheduleModel.isLocale('es')).toBe(true);
+      expect(ScheduleModel.isLocale('toString')).toBe(false);
+      expect(ScheduleModel.isLocale('__proto__')).toBe(false);
+      expect(ScheduleModel.parseDays('Mon/Wed', 'toString')).toBe('Monday/Wednesday');
+    });
+
+    it('should read 24-hour and localized AM/PM time ranges', () => {
+      expect(ScheduleModel.parseTimeRange('17:30 - 19:00')).toEqual({ startTime: '5:30 PM', endTime: '7:00 PM' });
+      expect(ScheduleModel.parseTimeRange('08h00 - 09h50')).toEqual({ startTime: '8:00 AM', endTime: '9:50 AM' });
+      expect(ScheduleModel.parseTimeRange('14.15 - 15.45 Uhr')).toEqual({ startTime: '2:15 PM', endTime: '3:45 PM' });
+      expect(ScheduleModel.parseTimeRange('5:30 p. m. - 7:00 p. m.')).toEqual({ startTime: '5:30 PM', endTime: '7:00 PM' });
+      expect(ScheduleModel.parseTimeRange('5:30 PM - 7:00 PM')).toEqual({ startTime: '5:30 PM', endTime: '7:00 PM' });
+      expect(ScheduleModel.parseTimeRange('25:00 - 26:00')).toBeNull();
+    });
 
-      expect(parseDays('')).toEqual([]);
-      expect(parseDays(null)).toEqual([]);
-      expect(parseDays(undefined)).toEqual([]);
+    it('should detect the export language from the meeting patterns', () => {
+      expect(ScheduleModel.detectLocale([['Curso', 'Patrones'], ['CSE 4501', 'Lun/Mié | 17:30 - 19:00']])).toBe('es');
+      expect(ScheduleModel.detectLocale([['CSE 4501', 'lun./mer. | 17h30 - 19h00']])).toBe('fr');
+      expect(ScheduleModel.detectLocale([['CSE 4501', 'Mo/Mi | 17:30 - 19:00']])).toBe('de');
+      expect(ScheduleModel.detectLocale([['CSE 4501', 'Mon/Wed | 5:30 PM - 7:00 PM']])).toBe('en');
+      // Day-like words away from a time don't count
+      expect(ScheduleModel.detectLocale([['Do not drop', 'Mon/Wed | 5:30 PM - 7:00 PM']])).toBe('en');
+    });
+
+    it('should parse a Spanish export with 24-hour times', () => {
+      const rows = [
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+        ['CSE 4501 - Video Game Programming II', 'Dr. Smith', 'Lun/Mié | 17:30 - 19:00 | RIDGLEY, Room 00016', '2025-01-13', '2025-05-02']
+      ];
+
+      const detected = ScheduleModel.parseSchedule(rows);
+      expect(detected.locale).toBe('es');
+      expect(detected.courses[0]).toMatchObject({ days: 'Monday/Wednesday', time: '5:30 PM', endTime: '7:00 PM' });
+
+      // A chosen language wins over detection
+      const chosen = ScheduleModel.parseSchedule(rows, { locale: 'en' });
+      expect(chosen.locale).toBe('en');
+      expect(chosen.courses[0].unscheduled).toBe(true);
+    });
+
+    it('should map localized full day names to RRULE codes and day indices', () => {
+      expect(ScheduleModel.getRRuleDays('Lunes/Miércoles')).toEqual(['MO', 'WE']);
+      expect(ScheduleModel.getRRuleDays('Dienstag, Donnerstag')).toEqual(['TU', 'TH']);
+      expect(ScheduleModel.getDayIndices('Vendredi')).toEqual([5]);
     });
   });
 
   describe('Time Parsing', () => {
     it('should parse AM times correctly', () => {
-      const parseTime = (timeStr) => {
-        if (!timeStr) return null;
-        const isPM = timeStr.toLowerCase().includes('pm');
-        const isAM = timeStr.toLowerCase().includes('am');
-        const time = timeStr.replace(/[^\d:]/g, '');
-        const [hours, minutes] = time.split(':');
-        let hour24 = parseInt(hours) || 9;
-        if (isPM && hour24 < 12) hour24 += 12;
-        if (isAM && hour24 === 12) hour24 = 0;
-        return { hours: hour24, minutes: parseInt(minutes) || 0 };
-      };
-
-      expect(parseTime('9:00 AM')).toEqual({ hours: 9, minutes: 0 });
-      expect(parseTime('11:30 AM')).toEqual({ hours: 11, minutes: 30 });
+      expect(ScheduleModel.parseTime('9:00 AM')).toEqual({ hours: 9, minutes: 0 });
+      expect(ScheduleModel.parseTime('11:30 AM')).toEqual({ hours: 11, minutes: 30 });
     });
 
     it('should parse PM times correctly', () => {
-      const parseTime = (timeStr) => {
-        if (!timeStr) return null;
-        const isPM = timeStr.toLowerCase().includes('pm');
-        const isAM = timeStr.toLowerCase().includes('am');
-        const time = timeStr.replace(/[^\d:]/g, '');
-        const [hours, minutes] = time.split(':');
-        let hour24 = parseInt(hours) || 9;
-        if (isPM && hour24 < 12) hour24 += 12;
-        if (isAM && hour24 === 12) hour24 = 0;
-        return { hours: hour24, minutes: parseInt(minutes) || 0 };
-      };
-
-      expect(parseTime('2:00 PM')).toEqual({ hours: 14, minutes: 0 });
-      expect(parseTime('5:30 PM')).toEqual({ hours: 17, minutes: 30 });
+      expect(ScheduleModel.parseTime('2:00 PM')).toEqual({ hours: 14, minutes: 0 });
+      expect(ScheduleModel.parseTime('5:30 PM')).toEqual({ hours: 17, minutes: 30 });
     });
 
     it('should handle noon and midnight correctly', () => {
-      const parseTime = (timeStr) => {
-        if (!timeStr) return null;
-        const isPM = timeStr.toLowerCase().includes('pm');
-        const isAM = timeStr.toLowerCase().includes('am');
-        const time = timeStr.replace(/[^\d:]/g, '');
-        const [hours, minutes] = time.split(':');
-        let hour24 = parseInt(hours) || 9;
-        if (isPM && hour24 < 12) hour24 += 12;
-        if (isAM && hour24 === 12) hour24 = 0;
-        return { hours: hour24, minutes: parseInt(minutes) || 0 };
-      };
+      expect(ScheduleModel.parseTime('12:00 PM')).toEqual({ hours: 12, minutes: 0 });
+      expect(ScheduleModel.parseTime('12:00 AM')).toEqual({ hours: 0, minutes: 0 });
+    });
 
-      expect(parseTime('12:00 PM')).toEqual({ hours: 12, minutes: 0 });
-      expect(parseTime('12:00 AM')).toEqual({ hours: 0, minutes: 0 });
+    it('should parse 24-hour times', () => {
+      expect(ScheduleModel.parseTime('17:45')).toEqual({ hours: 17, minutes: 45 });
+      expect(ScheduleModel.parseTime('TBA')).toBeNull();
+    });
+  });
+
+  describe('Date Parsing', () => {
+    it('should convert Excel serial numbers', () => {
+      expect(ScheduleModel.convertExcelDate(45670)).toBe('2025-01-13');
+      expect(ScheduleModel.convertExcelDate('not a number')).toBeNull();
+    });
+
+    it('should parse ISO and US dates', () => {
+      expect(ScheduleModel.parseDate('2025-01-13')).toEqual({ year: 2025, month: 1, day: 13 });
+      expect(ScheduleModel.parseDate('1/13/25')).toEqual({ year: 2025, month: 1, day: 13 });
+      expect(ScheduleModel.parseDate('invalid-date')).toBeNull();
+    });
+
+    it('should find the first meeting date on or after the start date', () => {
+      // 2025-01-13 is a Monday
+      expect(ScheduleModel.getFirstMeetingDate('2025-01-13', 'Monday/Wednesday')).toBe('2025-01-13');
+      expect(ScheduleModel.getFirstMeetingDate('2025-01-13', 'Tuesday/Thursday')).toBe('2025-01-14');
+      expect(ScheduleModel.getFirstMeetingDate('2025-01-13', 'Sunday')).toBe('2025-01-19');
+    });
+
+    it('should return the start date unchanged when days are unknown', () => {
+      expect(ScheduleModel.getFirstMeetingDate('2025-01-13', '')).toBe('2025-01-13');
     });
   });
 
   describe('Course Validation', () => {
-    it('should validate registered courses', () => {
-      const isValidCourse = (row) => {
-        if (!row || !row[0] || !row[8]) return false;
-        const courseCode = row[0]?.match(/^([A-Z]{2,5}\s*\d{3,4}[A-Z]?)/);
-        const status = row[8]?.toLowerCase();
-        return !!(courseCode && status === 'registered');
-      };
+    it('should accept registered and waitlisted courses', () => {
+      expect(ScheduleModel.isValidCourse({ title: 'CSE 4501 - Intro', registrationStatus: 'Registered' })).toBe(true);
+      expect(ScheduleModel.isValidCourse({ title: 'PHYS 1910 - Physics', registrationStatus: 'Waitlisted' })).toBe(true);
+    });
+
+    it('should reject dropped courses and titles without a course code', () => {
+      expect(ScheduleModel.isValidCourse({ title: 'PHYS 1910 - Physics', registrationStatus: 'Dropped' })).toBe(false);
+      expect(ScheduleModel.isValidCourse({ title: 'Not a course', registrationStatus: 'Registered' })).toBe(false);
+    });
 
-      const validCourse = ['CSCI 101 - Intro', 'Monday', '9:00 AM', '10:15 AM', 'Room 101', 'Dr. Smith', '2025-01-13', '2025-05-02', 'Registered'];
-      const waitlistedCourse = ['PHYS 101 - Physics', 'Tuesday', '2:00 PM', '3:15 PM', 'Lab 101', 'Dr. Brown', '2025-01-14', '2025-05-03', 'Waitlisted'];
-      const invalidCourse = ['Not a course', 'Monday', '9:00 AM', '10:15 AM', 'Room 101', 'Dr. Smith', '2025-01-13', '2025-05-02', 'Registered'];
+    it('should check the course code against the given institution profile', () => {
+      const profile = InstitutionProfile.normalizeProfile({ id: 'ucla', courseCodePattern: '^[A-Z]+\\s+\\d+[A-Z]?\\b' });
 
-      expect(isValidCourse(validCourse)).toBe(true);
-      expect(isValidCourse(waitlistedCourse)).toBe(false);
-      expect(isValidCourse(invalidCourse)).toBe(false);
+      expect(ScheduleModel.isValidCourse({ title: 'MATH 31A - Calculus', registrationStatus: 'Registered' }, profile)).toBe(true);
+      expect(ScheduleModel.isValidCourse({ title: 'MATH 31A - Calculus', registrationStatus: 'Registered' })).toBe(false);
     });
   });
 
   describe('Excel to JSON Conversion', () => {
     it('should convert worksheet to array of arrays', () => {
-      const json = XLSX.utils.sheet_to_json(sampleWorksheet, { header: 1, defval: '', raw: false });
-      
+      const json = ScheduleModel.readSheetRows(XLSX, sampleWorksheet);
+
       expect(json.length).toBeGreaterThan(0);
-      expect(json[0][0]).toBe('Course');
-      expect(json[1][0]).toContain('CSCI 101');
+      expect(json[1][0]).toBe('Course Listing');
+      expect(json[2][0]).toContain('CSE 4501');
     });
 
     it('should handle empty cells', () => {
@@ -157,41 +322,578 @@ describe('Excel Parsing Functions', () => {
         ['', 'Monday', '10:00 AM']
       ]);
 
-      const json = XLSX.utils.sheet_to_json(emptySheet, { header: 1, defval: '', raw: false });
-      
+      const json = ScheduleModel.readSheetRows(XLSX, emptySheet);
+
       expect(json[1][1]).toBe('');
       expect(json[2][0]).toBe('');
     });
   });
 
+  describe('Workday Data Parsing', () => {
+    it('should parse courses below the detected header row', () => {
+      const courses = ScheduleModel.parseWorkdayData(ScheduleModel.readSheetRows(XLSX, sampleWorksheet));
+
+      expect(courses).toHaveLength(3);
+      expect(courses[0]).toEqual({
+        id: 1,
+        title: 'CSE 4501 - Video Game Programming II',
+        days: 'Monday/Wednesday',
+        time: '5:30 PM',
+        endTime: '7:00 PM',
+        location: 'RIDGLEY, Room 00016',
+        meetings: [
+          { days: 'Monday/Wednesday', time: '5:30 PM', endTime: '7:00 PM', location: 'RIDGLEY, Room 00016' }
+        ],
+        instructor: 'Dr. Smith',
+        registrationStatus: 'Registered',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02',
+        term: 'Spring 2025',
+        credits: 3
+      });
+      expect(courses[2].title).toBe('ENGL 1010 - Writing 1');
+    });
+
+    it('should keep every meeting pattern in a multi-line cell', () => {
+      const courses = ScheduleModel.parseWorkdayData([
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+        ['BIOL 2960 - Principles of Biology I', 'Dr. Lee', 'Mon/Wed | 10:00 AM - 11:20 AM | Rebstock, Room 215\nFri | 2:00 PM - 4:50 PM | Life Sciences, Room 101', 45670, 45779]
+      ]);
+
+      expect(courses).toHaveLength(1);
+      expect(courses[0].meetings).toEqual([
+        { days: 'Monday/Wednesday', time: '10:00 AM', endTime: '11:20 AM', location: 'Rebstock, Room 215' },
+        { days: 'Friday', time: '2:00 PM', endTime: '4:50 PM', location: 'Life Sciences, Room 101' }
+      ]);
+      expect(courses[0].days).toBe('Monday/Wednesday');
+      expect(courses[0].location).toBe('Rebstock, Room 215');
+    });
+
+    it('should return no courses for a sheet without data rows', () => {
+      expect(ScheduleModel.parseWorkdayData([['Course Listing']])).toEqual([]);
+    });
+  });
+
+  describe('Workbook Parsing', () => {
+    it('should parse the first sheet of a workbook', () => {
+      const { courses, warnings } = ScheduleModel.parseWorkbook(XLSX, sampleWorkbook);
+
+      expect(courses.map(course => course.title)).toEqual([
+        'CSE 4501 - Video Game Programming II',
+        'MATH 2200 - Calculus III',
+        'ENGL 1010 - Writing 1'
+      ]);
+      expect(warnings).toEqual([]);
+    });
+
+    it('should warn about unscheduled meeting patterns', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+        ['CSE 4501 - Video Game Programming II', 'Dr. Smith', 'TBA', 45670, 45779]
+      ]);
+
+      expect(courses[0].unscheduled).toBe(true);
+      expect(courses[0].days).toBe('');
+      expect(courses[0].time).toBe('');
+      expect(courses[0].meetings[0]).toEqual({ days: '', time: '', endTime: '', location: '', unscheduled: true, pattern: 'TBA' });
+      expect(warnings).toEqual([
+        'CSE 4501 - Video Game Programming II: no meeting days or time found in "TBA"; marked unscheduled'
+      ]);
+    });
+
+    it('should keep scheduled patterns of a partly unscheduled course', () => {
+      const { courses } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+        ['BIOL 2960 - Principles of Biology', 'Dr. Lee', 'Mon/Wed | 10:00 AM - 11:20 AM | Rebstock, Room 215\nOnline | Asynchronous', 45670, 45779]
+      ]);
+      const expanded = ScheduleModel.expandCourseMeetings(courses[0]);
+
+      expect(courses[0].unscheduled).toBeUndefined();
+      expect(ScheduleModel.isMeetingScheduled(expanded[0])).toBe(true);
+      expect(expanded[1].unscheduled).toBe(true);
+      expect(expanded[1].pattern).toBe('Online | Asynchronous');
+      expect(ScheduleModel.isMeetingScheduled(expanded[1])).toBe(false);
+    });
+
+    it('should span the whole term for an all-day note event', () => {
+      expect(ScheduleModel.getAllDaySpan({ startDate: '2025-01-13', endDate: '2025-05-02' }))
+        .toEqual({ startDate: '2025-01-13', endDate: '2025-05-03' });
+      expect(ScheduleModel.getAllDaySpan({ startDate: null, endDate: '2025-05-02' })).toBeNull();
+    });
+
+    it('should warn when no header row or courses are found', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule([['Name'], ['Not a course']]);
+
+      expect(courses).toEqual([]);
+      expect(warnings[0]).toContain('No Workday header row');
+      expect(warnings).toContain('No courses found');
+    });
+
+    it('should report an empty workbook', () => {
+      const { courses, warnings } = ScheduleModel.parseWorkbook(XLSX, XLSX.utils.book_new());
+
+      expect(courses).toEqual([]);
+      expect(warnings).toEqual(['The workbook contains no sheets']);
+    });
+  });
+
+  describe('Multi-Sheet Import', () => {
+    const header = ['Course Listing', 'Registration Status', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'];
+    const fallRows = [
+      header,
+      ['CSE 1301 - Intro to Computing', 'Registered', 'Dr. Kim', 'Mon/Wed | 10:00 AM - 11:20 AM | Urbauer, Room 222', 45894, 46001]
+    ];
+    const springRows = [
+      header,
+      ['CSE 4501 - Video Game Programming II', 'Registered', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016', 45670, 45779],
+      ['MATH 2200 - Calculus III', 'Waitlisted', 'Dr. Johnson', 'Tue/Thu | 11:30 AM - 12:50 PM | Cupples I, Room 113', 45670, 45779]
+    ];
+
+    it('should find the term in the listing, the sheet name or the start date', () => {
+      expect(ScheduleModel.getTermLabel('ENGL 1010 - Writing 1 - Fall 2025')).toBe('Fall 2025');
+      expect(ScheduleModel.getTermLabel('2026 spring')).toBe('Spring 2026');
+      expect(ScheduleModel.getTermLabel('Sheet1')).toBeNull();
+      expect(ScheduleModel.getTermFromDate('2025-01-13')).toBe('Spring 2025');
+      expect(ScheduleModel.getTermFromDate('2025-06-02')).toBe('Summer 2025');
+      expect(ScheduleModel.getTermFromDate('2025-08-25')).toBe('Fall 2025');
+
+      const { courses } = ScheduleModel.parseSchedule(springRows, { term: 'Winter 2025' });
+      expect(courses[0].term).toBe('Winter 2025');
+    });
+
+    it('should order terms by year and season', () => {
+      const terms = ['Fall 2025', '', 'Spring 2025', 'Summer 2025', 'Spring 2026'];
+      expect(terms.sort(ScheduleModel.compareTerms)).toEqual(['Spring 2025', 'Summer 2025', 'Fall 2025', 'Spring 2026', '']);
+    });
+
+    it('should scan every sheet of a workbook and group courses by term', () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Instructions'], ['Export from Workday']]), 'Read Me');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(fallRows), 'Fall 2025');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(springRows), 'Spring 2025');
+
+      const { courses, warnings, sheets } = ScheduleModel.parseWorkbook(XLSX, workbook);
+
+      expect(courses.map(course => [course.id, course.term, course.title])).toEqual([
+        [1, 'Spring 2025', 'CSE 4501 - Video Game Programming II'],
+        [2, 'Spring 2025', 'MATH 2200 - Calculus III'],
+        [3, 'Fall 2025', 'CSE 1301 - Intro to Computing']
+      ]);
+      expect(warnings).toEqual(['Read Me: no courses found; sheet skipped']);
+      expect(sheets.map(sheet => [sheet.name, sheet.included, sheet.courseCount])).toEqual([
+        ['Read Me', false, 0],
+        ['Fall 2025', true, 1],
+        ['Spring 2025', true, 2]
+      ]);
+      // Diagnostics follow the renumbered courses
+      expect(sheets[1].diagnostics[0].courseId).toBe(3);
+    });
+
+    it('should collapse duplicate sections from several files', () => {
+      const registeredCopy = springRows.map(row => row.slice());
+      registeredCopy[2][1] = 'Registered';
+
+      const { courses, warnings, sheets } = ScheduleModel.parseSheets([
+        { name: 'spring.xlsx - Sheet1', rows: springRows },
+        { name: 'spring-again.xlsx - Sheet1', rows: registeredCopy },
+        { name: 'fall.xlsx - Sheet1', rows: fallRows }
+      ]);
+
+      expect(courses).toHaveLength(3);
+      expect(courses[1].title).toBe('MATH 2200 - Calculus III');
+      expect(courses[1].registrationStatus).toBe('Registered');
+      expect(warnings).toEqual([
+        'CSE 4501 - Video Game Programming II (Spring 2025): duplicate section collapsed',
+        'MATH 2200 - Calculus III (Spring 2025): duplicate section collapsed'
+      ]);
+      expect(sheets[1].diagnostics[1].courseId).toBe(2);
+      expect(sheets[1].diagnostics[1].notes).toEqual(['same section as course 2; collapsed']);
+    });
+
+    it('should keep sections that meet at different times', () => {
+      const otherSection = springRows.map(row => row.slice());
+      otherSection[1][3] = 'Tue/Thu | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016';
+
+      const { courses } = ScheduleModel.parseSheets([
+        { name: 'a', rows: springRows },
+        { name: 'b', rows: otherSection }
+      ]);
+
+      expect(courses.map(course => course.days)).toEqual(['Monday/Wednesday', 'Tuesday/Thursday', 'Tuesday/Thursday']);
+    });
+
+    it('should keep a lecture and lab that share a title and meeting pattern', () => {
+      const pattern = 'Fri | 1:00 PM - 2:50 PM | Lopata, Room 101';
+      const header = ['Course Listing', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'];
+      const lecture = [header, ['CSE 4501-01 - Video Game Programming II', 'Dr. Smith', pattern, 45670, 45779]];
+      const lab = [header, ['CSE 4501-L02 - Video Game Programming II (Lab)', 'Dr. Smith', pattern, 45670, 45779]];
+
+      const { courses, warnings } = ScheduleModel.parseSheets([
+        { name: 'lecture.xlsx - Sheet1', rows: lecture },
+        { name: 'lab.xlsx - Sheet1', rows: lab }
+      ]);
+
+      expect(courses.map(course => [course.title, course.section, course.component])).toEqual([
+        ['CSE 4501 - Video Game Programming II', '01', undefined],
+        ['CSE 4501 - Video Game Programming II', 'L02', 'Lab']
+      ]);
+      expect(warnings).toEqual([]);
+    });
+  });
+
+  describe('Sections and Components', () => {
+    it('should read the section number and component from the listing', () => {
+      const { courses } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns'],
+        ['CSE 4501-01 - Video Game Programming II', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016'],
+        ['CSE 4501-L02 - Video Game Programming II (Lab)', 'Dr. Smith', 'Fri | 1:00 PM - 2:50 PM | Lopata, Room 101'],
+        ['BIOL 2960 - Principles of Biology - Discussion', 'Dr. Lee', 'Tue | 9:00 AM - 9:50 AM | Rebstock, Room 215']
+      ]);
+
+      expect(courses.map(course => [course.title, course.section, course.component])).toEqual([
+        ['CSE 4501 - Video Game Programming II', '01', undefined],
+        ['CSE 4501 - Video Game Programming II', 'L02', 'Lab'],
+        ['BIOL 2960 - Principles of Biology', undefined, 'Discussion']
+      ]);
+    });
+
+    it('should prefer the Section and Instructional Format columns', () => {
+      const { courses, columns } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Section', 'Instructional Format', 'Instructor', 'Enrolled Sections Meeting Patterns'],
+        ['CSE 4501 - Video Game Programming II', 'CSE 4501-02 - Video Game Programming II', 'Laboratory', 'Dr. Smith', 'Fri | 1:00 PM - 2:50 PM'],
+        ['CSE 1301 - Intro', '03', 'Independent Study', 'Dr. Kim', 'Tue | 9:00 AM - 9:50 AM']
+      ]);
+
+      expect(columns.columnMap.section).toBe(1);
+      expect(columns.columnMap.meetingPatterns).toBe(4);
+      expect(columns.ambiguous).toEqual([]);
+      expect(courses[0]).toMatchObject({ title: 'CSE 4501 - Video Game Programming II', section: '02', component: 'Lab' });
+      // Unrecognized formats are kept as exported
+      expect(courses[1]).toMatchObject({ section: '03', component: 'Independent Study' });
+    });
+
+    it('should not mistake a title for a component', () => {
+      expect(ScheduleModel.extractCourseName('CSE 1001 - Lab')).toBe('CSE 1001 - Lab');
+      const { courses } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns'],
+        ['CSE 1001 - Lab', 'Dr. Kim', 'Tue | 9:00 AM - 9:50 AM']
+      ]);
+
+      expect(courses[0].title).toBe('CSE 1001 - Lab');
+      expect(courses[0].component).toBeUndefined();
+    });
+
+    it('should normalize components and section labels', () => {
+      expect(ScheduleModel.parseComponent('LEC')).toBe('Lecture');
+      expect(ScheduleModel.parseComponent('Laboratory')).toBe('Lab');
+      expect(ScheduleModel.parseComponent('Field Trip')).toBeNull();
+      expect(ScheduleModel.parseSectionNumber('Section 01')).toBe('01');
+      expect(ScheduleModel.parseSectionNumber('Sec. 2A')).toBe('2A');
+      expect(ScheduleModel.parseSectionNumber('01')).toBeNull();
+      expect(ScheduleModel.parseSectionNumber('01', true)).toBe('01');
+    });
+
+    it('should label courses with their component and section', () => {
+      expect(ScheduleModel.getCourseLabel({ title: 'CSE 4501 - Games', component: 'Lab', section: '02' }))
+        .toBe('CSE 4501 - Games (Lab, Sec. 02)');
+      expect(ScheduleModel.getCourseLabel({ title: 'CSE 4501 - Games', section: '01' })).toBe('CSE 4501 - Games (Sec. 01)');
+      expect(ScheduleModel.getCourseLabel({ title: 'CSE 4501 - Games' })).toBe('CSE 4501 - Games');
+    });
+  });
+
+  describe('Registration Status Policies', () => {
+    const waitlisted = { title: 'CSE 4501 - Games', section: '01', registrationStatus: 'Waitlisted' };
+
+    it('should recognize waitlisted and pending courses', () => {
+      expect(ScheduleModel.getPendingState(waitlisted).key).toBe('waitlisted');
+      expect(ScheduleModel.getPendingState({ registrationStatus: 'Wait List' }).key).toBe('waitlisted');
+      expect(ScheduleModel.getPendingState({ registrationStatus: 'Pending Approval' }).key).toBe('pending');
+      expect(ScheduleModel.getPendingState({ registrationStatus: 'Registered' })).toBeNull();
+      expect(ScheduleModel.getPendingState({})).toBeNull();
+    });
+
+    it('should apply the policy for the course\'s state', () => {
+      expect(ScheduleModel.getStatusPolicy(waitlisted)).toBe('tentative');
+      expect(ScheduleModel.getStatusPolicy(waitlisted, { waitlisted: 'exclude' })).toBe('exclude');
+      expect(ScheduleModel.getStatusPolicy(waitlisted, { waitlisted: 'bogus' })).toBe('tentative');
+      expect(ScheduleModel.getStatusPolicy({ registrationStatus: 'Registered' }, { waitlisted: 'exclude' })).toBe('include');
+    });
+
+    it('should prefix tentative course titles', () => {
+      expect(ScheduleModel.getCourseLabel(waitlisted, { waitlisted: 'tentative' })).toBe('[Waitlisted] CSE 4501 - Games (Sec. 01)');
+      expect(ScheduleModel.getCourseLabel(waitlisted, { waitlisted: 'include' })).toBe('CSE 4501 - Games (Sec. 01)');
+    });
+
+    it('should keep waitlisted rows as courses', () => {
+      const { courses } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Registration Status', 'Instructor', 'Meeting Patterns'],
+        ['CSE 4501 - Games', 'Waitlisted', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM'],
+        ['CSE 1301 - Intro', 'Dropped', 'Dr. Kim', 'Tue | 9:00 AM - 9:50 AM']
+      ]);
+
+      expect(courses.map(course => course.registrationStatus)).toEqual(['Waitlisted']);
+    });
+  });
+
+  describe('Credits', () => {
+    it('should read the Credits column', () => {
+      const { courses } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Credits', 'Instructor', 'Meeting Patterns'],
+        ['CSE 4501 - Video Game Programming II', '3', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM'],
+        ['CSE 1301 - Intro', '1.5 Credits', 'Dr. Kim', 'Tue | 9:00 AM - 9:50 AM'],
+        ['CSE 2001 - Seminar', '', 'Dr. Lee', 'Fri | 9:00 AM - 9:50 AM']
+      ]);
+
+      expect(courses.map(course => course.credits)).toEqual([3, 1.5, undefined]);
+    });
+
+    it('should take the first number of a variable credit range', () => {
+      expect(ScheduleModel.parseCredits('1-3')).toBe(1);
+      expect(ScheduleModel.parseCredits(4)).toBe(4);
+      expect(ScheduleModel.parseCredits('TBD')).toBeNull();
+    });
+  });
+
+  describe('Course Validation', () => {
+    const course = (fields = {}) => Object.assign({
+      title: 'CSE 4501 - Video Game Programming II',
+      days: 'Monday/Wednesday',
+      time: '5:30 PM',
+      endTime: '7:00 PM',
+      startDate: '2025-08-25',
+      endDate: '2025-12-05'
+    }, fields);
+
+    it('should accept a complete course', () => {
+      expect(ScheduleModel.validateCourse(course())).toEqual([]);
+    });
+
+    it('should require a title and valid term dates', () => {
+      expect(ScheduleModel.validateCourse(course({ title: '  ', startDate: null }))).toEqual([
+        'Course title is required',
+        'Start and end dates are required'
+      ]);
+      expect(ScheduleModel.validateCourse(course({ endDate: '2025-02-30' }))).toEqual(['Start and end dates are required']);
+      expect(ScheduleModel.validateCourse(course({ endDate: '2025-08-01' }))).toEqual(['Start date must be on or before end date']);
+    });
+
+    it('should require days and an end time after the start time', () => {
+      expect(ScheduleModel.validateCourse(course({ days: '', endTime: '5:00 PM' }))).toEqual([
+        'Meeting days are required',
+        'End time must be after start time'
+      ]);
+      expect(ScheduleModel.validateCourse(course({ endTime: '' }))).toEqual(['Start and end times are required']);
+    });
+
+    it('should skip unscheduled meetings and name the meeting when there are several', () => {
+      const meetings = [
+        { days: 'Monday/Wednesday', time: '5:30 PM', endTime: '7:00 PM' },
+        { days: 'Friday', time: '2:00 PM', endTime: '1:00 PM' },
+        { days: '', time: '', endTime: '', unscheduled: true }
+      ];
+
+      expect(ScheduleModel.validateCourse(course({ meetings }))).toEqual(['Meeting 2: End time must be after start time']);
+    });
+  });
+
+  describe('Time Conflicts', () => {
+    const courses = [
+      { id: 1, title: 'CSE 4501 - Video Game Programming II', registrationStatus: 'Registered', days: 'Monday/Wednesday', time: '9:00 AM', endTime: '10:15 AM' },
+      { id: 2, title: 'CSE 4501 - Video Game Programming II', registrationStatus: 'Waitlisted', days: 'Wednesday/Friday', time: '10:00 AM', endTime: '11:15 AM' },
+      { id: 3, title: 'MATH 2200 - Calculus III', days: 'Monday', time: '10:15 AM', endTime: '11:05 AM' },
+      { id: 4, title: 'CSE 1301 - Online', days: '', time: '', endTime: '', unscheduled: true }
+    ];
+
+    it('should find meetings that overlap on a shared weekday', () => {
+      const conflicts = ScheduleModel.findTimeConflicts(courses);
+
+      expect(conflicts).toEqual([{
+        days: ['Wednesday'],
+        first: { courseId: '1', title: 'CSE 4501 - Video Game Programming II', meetingIndex: 0, registrationStatus: 'Registered', time: '9:00 AM', endTime: '10:15 AM' },
+        second: { courseId: '2', title: 'CSE 4501 - Video Game Programming II', meetingIndex: 0, registrationStatus: 'Waitlisted', time: '10:00 AM', endTime: '11:15 AM' },
+        overlapStart: '10:00 AM',
+        overlapEnd: '10:15 AM',
+        overlapMinutes: 15,
+        startDate: null,
+        endDate: null
+      }]);
+    });
+
+    it('should ignore meetings whose date ranges do not overlap', () => {
+      const halfTerms = [
+        { id: 1, title: 'BIOL 2960 - Part A', days: 'Tuesday', time: '1:00 PM', endTime: '2:20 PM', startDate: '2025-08-25', endDate: '2025-10-10' },
+        { id: 2, title: 'BIOL 2970 - Part B', days: 'Tuesday', time: '1:00 PM', endTime: '2:20 PM', startDate: '2025-10-20', endDate: '2025-12-05' },
+        { id: 3, title: 'CHEM 1110 - Lab', days: 'Tuesday', time: '2:00 PM', endTime: '4:00 PM', startDate: '2025-09-01', endDate: '2025-12-05' }
+      ];
+
+      const conflicts = ScheduleModel.findTimeConflicts(halfTerms);
+
+      expect(conflicts.map(conflict => [conflict.first.courseId, conflict.second.courseId, conflict.startDate, conflict.endDate])).toEqual([
+        ['1', '3', '2025-09-01', '2025-10-10'],
+        ['2', '3', '2025-10-20', '2025-12-05']
+      ]);
+    });
+
+    it('should describe a conflict in one line', () => {
+      const [conflict] = ScheduleModel.findTimeConflicts(courses);
+
+      expect(ScheduleModel.describeTimeConflict(conflict)).toBe(
+        'CSE 4501 - Video Game Programming II and CSE 4501 - Video Game Programming II (Waitlisted) overlap on Wednesday, 10:00 AM - 10:15 AM');
+    });
+
+    it('should include conflicts across sheets in the parser output', () => {
+      const result = ScheduleModel.parseSheets([
+        { name: 'Registered', rows: [['Course Listing', 'Meeting Patterns'], ['CSE 4501 - Video Game Programming II', 'Mon/Wed | 9:00 AM - 10:15 AM']] },
+        { name: 'Waitlist', rows: [['Course Listing', 'Meeting Patterns'], ['MATH 2200 - Calculus III', 'Mon | 10:00 AM - 10:50 AM']] }
+      ]);
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0].days).toEqual(['Monday']);
+      expect(result.conflicts[0].second.title).toBe('MATH 2200 - Calculus III');
+    });
+  });
+
+  describe('Final Exams', () => {
+    it('should read the exam from a Final Exam column', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns', 'Final Exam', 'Start Date', 'End Date'],
+        ['CSE 4501 - Video Game Programming II', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM', '12/15/2025 | 6:00 PM - 8:00 PM | Lopata 101', '8/25/2025', '12/5/2025'],
+        ['CSE 1301 - Intro', 'Dr. Kim', 'Tue | 9:00 AM - 9:50 AM', 'To be announced', '8/25/2025', '12/5/2025']
+      ]);
+
+      expect(courses[0].exam).toEqual({ date: '2025-12-15', time: '6:00 PM', endTime: '8:00 PM', location: 'Lopata 101' });
+      expect(courses[1].exam).toBeUndefined();
+      expect(warnings).toEqual(['CSE 1301 - Intro: no final exam date and time found in "To be announced"; exam not added']);
+    });
+  });
+
+  describe('Column Detection', () => {
+    const looseRows = [
+      ['Class', 'When', 'Teacher', 'Begins', 'Ends'],
+      ['CSE 4501 - Video Game Programming II', 'Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016', 'Dr. Smith', 45670, 45779]
+    ];
+
+    it('should recognize the Workday header row without ambiguity', () => {
+      const columns = ScheduleModel.detectColumns(ScheduleModel.readSheetRows(XLSX, sampleWorksheet));
+
+      expect(columns.headerRow).toBe(1);
+      expect(columns.headerFound).toBe(true);
+      expect(columns.columnMap).toEqual({
+        courseListing: 0,
+        meetingPatterns: 4,
+        instructor: 3,
+        startDate: 5,
+        endDate: 6,
+        registrationStatus: 2,
+        section: -1,
+        instructionalFormat: -1,
+        finalExam: -1,
+        credits: 1
+      });
+      expect(columns.ambiguous).toEqual([]);
+    });
+
+    it('should flag loose keyword matches and missing required columns', () => {
+      const columns = ScheduleModel.detectColumns(looseRows);
+
+      expect(columns.headerFound).toBe(false);
+      expect(columns.ambiguous).toEqual(expect.arrayContaining(['courseListing', 'meetingPatterns', 'endDate']));
+      expect(columns.signature).toBe('class|when|teacher|begins|ends');
+    });
+
+    it('should parse with a user-assigned column mapping', () => {
+      const { courses, warnings } = ScheduleModel.parseSchedule(looseRows, {
+        columnMapping: {
+          headerRow: 0,
+          columnMap: { courseListing: 0, meetingPatterns: 1, instructor: 2, startDate: 3, endDate: 4, registrationStatus: -1 }
+        }
+      });
+
+      expect(warnings).toEqual([]);
+      expect(courses).toHaveLength(1);
+      expect(courses[0].days).toBe('Monday/Wednesday');
+      expect(courses[0].instructor).toBe('Dr. Smith');
+      expect(courses[0].startDate).toBe('2025-01-13');
+    });
+
+    it('should find a saved mapping by header signature', () => {
+      const saved = { 'class|when|teacher|begins|ends': { columnMap: { courseListing: 0, meetingPatterns: 1 } } };
+      const mapping = ScheduleModel.findSavedColumnMapping([['Exported schedule'], ...looseRows], saved);
+
+      expect(mapping).toEqual({ headerRow: 1, columnMap: { courseListing: 0, meetingPatterns: 1 }, adapter: null });
+      expect(ScheduleModel.findSavedColumnMapping(looseRows, {})).toBeNull();
+    });
+  });
+
+  describe('Parse Diagnostics', () => {
+    it('should report every source row with the reason it was skipped', () => {
+      const { diagnostics } = ScheduleModel.parseSchedule(ScheduleModel.readSheetRows(XLSX, sampleWorksheet));
+
+      expect(diagnostics.map(diagnostic => [diagnostic.row, diagnostic.imported])).toEqual([
+        [3, true], [4, true], [5, true], [6, false]
+      ]);
+      expect(diagnostics[3].listing).toBe('PHYS 1910 - Physics I');
+      expect(diagnostics[3].reason).toBe('registration status is "Dropped"');
+      expect(diagnostics[0].courseId).toBe(1);
+    });
+
+    it('should explain listings that are not courses', () => {
+      const { diagnostics } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns'],
+        ['13', '', ''],
+        ['', 'Dr. Smith', 'Mon | 9:00 AM - 10:00 AM | Room 1'],
+        ['Advising Hold', '', '']
+      ]);
+
+      expect(diagnostics.map(diagnostic => diagnostic.reason)).toEqual([
+        'row count, not a course listing',
+        'no course listing',
+        'title "Advising Hold" has no course code matching ^[A-Z]{2,4}\\s+\\d{4}'
+      ]);
+    });
+
+    it('should record defaults applied to imported rows', () => {
+      const { diagnostics } = ScheduleModel.parseSchedule([
+        ['Course Listing', 'Instructor', 'Meeting Patterns'],
+        ['CSE 1010 - Intro', 'Dr. Smith', 'TBA']
+      ]);
+
+      expect(diagnostics[0].imported).toBe(true);
+      expect(diagnostics[0].notes).toEqual([
+        'no meeting days or time found in "TBA"; marked unscheduled',
+        'missing start or end date'
+      ]);
+    });
+
+    it('should import force-included rows and mark them', () => {
+      const rows = ScheduleModel.readSheetRows(XLSX, sampleWorksheet);
+      const { courses, diagnostics } = ScheduleModel.parseSchedule(rows, { forceInclude: [6] });
+
+      expect(courses).toHaveLength(4);
+      expect(courses[3].title).toBe('PHYS 1910 - Physics I');
+      expect(diagnostics[3].imported).toBe(true);
+      expect(diagnostics[3].forced).toBe(true);
+      expect(diagnostics[3].notes[0]).toBe('included manually (registration status is "Dropped")');
+    });
+  });
+
   describe('ICS Generation', () => {
     it('should format time for ICS correctly', () => {
-      const formatTimeForICS = (time) => {
-        if (!time) return null;
-        const isPM = time.toLowerCase().includes('pm');
-        const isAM = time.toLowerCase().includes('am');
-        const cleanTime = time.replace(/[^\d:]/g, '');
-        const [hours, minutes] = cleanTime.split(':');
-        let hour24 = parseInt(hours) || 9;
-        if (isPM && hour24 < 12) hour24 += 12;
-        if (isAM && hour24 === 12) hour24 = 0;
-        return String(hour24).padStart(2, '0') + String(minutes || 0).padStart(2, '0') + '00';
-      };
+      expect(ScheduleModel.formatTimeForICS('9:00 AM')).toBe('090000');
+      expect(ScheduleModel.formatTimeForICS('2:30 PM')).toBe('143000');
+      expect(ScheduleModel.formatTimeForICS('12:00 PM')).toBe('120000');
+    });
 
-      expect(formatTimeForICS('9:00 AM')).toBe('090000');
-      expect(formatTimeForICS('2:30 PM')).toBe('143000');
-      expect(formatTimeForICS('12:00 PM')).toBe('120000');
+    it('should build the weekly recurrence rule', () => {
+      expect(ScheduleModel.buildRecurrenceRule('Monday/Wednesday', '2025-05-02')).toBe('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250502');
+      expect(ScheduleModel.buildRecurrenceRule('Friday', null)).toBe('RRULE:FREQ=WEEKLY;BYDAY=FR');
+      expect(ScheduleModel.buildRecurrenceRule('', '2025-05-02')).toBeNull();
     });
 
     it('should escape ICS text correctly', () => {
-      const escapeICS = (text) => {
-        if (!text) return '';
-        return text.replace(/[,;\\]/g, '\\$&').replace(/\n/g, '\\n');
-      };
-
-      expect(escapeICS('Room 101, Building A')).toBe('Room 101\\, Building A');
-      expect(escapeICS('Line 1\nLine 2')).toBe('Line 1\\nLine 2');
-      expect(escapeICS('Test;Semicolon')).toBe('Test\\;Semicolon');
+      expect(ScheduleModel.escapeICS('Room 101, Building A')).toBe('Room 101\\, Building A');
+      expect(ScheduleModel.escapeICS('Line 1\nLine 2')).toBe('Line 1\\nLine 2');
+      expect(ScheduleModel.escapeICS('Test;Semicolon')).toBe('Test\\;Semicolon');
     });
   });
 });
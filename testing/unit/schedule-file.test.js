@@ -0,0 +1,197 @@
+const XLSX = require('xlsx');
+const { JSDOM } = require('jsdom');
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+const ScheduleFile = require('../../scripts/shared/schedule-file');
+
+describe('Schedule File Import', () => {
+  const rows = [
+    ['Course Listing', 'Registration Status', 'Instructor', 'Meeting Patterns', 'Start Date', 'End Date'],
+    ['PHIL 3400 - Ethics, Law, and Policy', 'Registered', 'Dr. Reyes', 'Tue/Thu | 1:00 PM - 2:20 PM | Wilson, Room 214', '1/13/2025', '5/2/2025']
+  ];
+
+  const toBytes = text => new Uint8Array(Buffer.from(text, 'utf8'));
+  const writeWorkbook = bookType => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Spring 2025');
+    return new Uint8Array(XLSX.write(workbook, { type: 'array', bookType }));
+  };
+
+  describe('CSV Parsing', () => {
+    it('should keep delimiters and doubled quotes inside quoted fields', () => {
+      const text = 'Course Listing,Instructor\n"PHIL 3400 - Ethics, Law, and Policy","Dr. ""Rey"" Reyes"\n';
+
+      expect(ScheduleFile.parseCSV(text)).toEqual([
+        ['Course Listing', 'Instructor'],
+        ['PHIL 3400 - Ethics, Law, and Policy', 'Dr. "Rey" Reyes']
+      ]);
+    });
+
+    it('should keep line breaks inside quoted fields', () => {
+      const text = 'Course Listing,Meeting Patterns\r\nBIOL 2960 - Biology,"Mon/Wed | 10:00 AM - 11:20 AM\r\nFri | 1:00 PM - 2:50 PM"';
+
+      expect(ScheduleFile.parseCSV(text)).toEqual([
+        ['Course Listing', 'Meeting Patterns'],
+        ['BIOL 2960 - Biology', 'Mon/Wed | 10:00 AM - 11:20 AM\r\nFri | 1:00 PM - 2:50 PM']
+      ]);
+    });
+
+    it('should detect semicolon and tab delimiters', () => {
+      expect(ScheduleFile.parseCSV('Course;Instructor\nCSE 1301, Intro;Dr. Kim')).toEqual([
+        ['Course', 'Instructor'],
+        ['CSE 1301, Intro', 'Dr. Kim']
+      ]);
+      expect(ScheduleFile.parseCSV('Course\tInstructor\nCSE 1301\tDr. Kim')[1]).toEqual(['CSE 1301', 'Dr. Kim']);
+    });
+
+    it('should ignore a byte order mark', () => {
+      expect(ScheduleFile.parseCSV('\uFEFFCourse,Instructor')[0][0]).toBe('Course');
+    });
+  });
+
+  describe('Format Detection', () => {
+    it('should recognize spreadsheets by their contents', () => {
+      expect(ScheduleFile.detectFileFormat(writeWorkbook('xlsx'))).toBe('xlsx');
+      expect(ScheduleFile.detectFileFormat(writeWorkbook('biff8'))).toBe('xls');
+      expect(ScheduleFile.detectFileFormat(writeWorkbook('ods'))).toBe('ods');
+      expect(ScheduleFile.detectFileFormat(toBytes('Course Listing,Instructor\n'))).toBe('csv');
+    });
+
+    it('should reject binary files that are not spreadsheets', () => {
+      expect(ScheduleFile.detectFileFormat(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0, 0, 0, 0x0D]))).toBeNull();
+      expect(ScheduleFile.detectFileFormat(new Uint8Array([]))).toBeNull();
+      expect(() => ScheduleFile.readScheduleFile(XLSX, new Uint8Array([0x89, 0, 0]), 'photo.png'))
+        .toThrow('photo.png is not a supported spreadsheet');
+    });
+  });
+
+  describe('Reading Files', () => {
+    it('should parse a CSV export with quoted titles and text dates', () => {
+      const csv = 'Course Listing,Registration Status,Instructor,Meeting Patterns,Start Date,End Date\n' +
+        '"PHIL 3400 - Ethics, Law, and Policy",Registered,Dr. Reyes,"Tue/Thu | 1:00 PM - 2:20 PM | Wilson, Room 214",1/13/2025,5/2/2025\n';
+
+      const { format, sheets } = ScheduleFile.readScheduleFile(XLSX, toBytes(csv), 'Spring 2025.csv');
+      const { courses, warnings } = ScheduleModel.parseSheets(sheets);
+
+      expect(format).toBe('csv');
+      expect(sheets[0].name).toBe('Spring 2025');
+      expect(warnings).toEqual([]);
+      expect(courses[0]).toMatchObject({
+        title: 'PHIL 3400 - Ethics, Law, and Policy',
+        days: 'Tuesday/Thursday',
+        location: 'Wilson, Room 214',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02',
+        term: 'Spring 2025'
+      });
+    });
+
+    it('should read .xlsx, .xls and .ods files through the same pipeline', () => {
+      ['xlsx', 'biff8', 'ods'].forEach(bookType => {
+        const { sheets } = ScheduleFile.readScheduleFile(XLSX, writeWorkbook(bookType), 'schedule');
+        const { courses } = ScheduleModel.parseSheets(sheets);
+
+        expect(courses.map(course => [course.title, course.startDate])).toEqual([
+          ['PHIL 3400 - Ethics, Law, and Policy', '2025-01-13']
+        ]);
+      });
+    });
+  });
+
+  describe('Saved Web Pages', () => {
+    const parseHTML = html => new JSDOM(html).window.document;
+    const page = `<!DOCTYPE html>
+      <html><body>
+        <table><tr><td>Navigation</td></tr></table>
+        <table aria-label="My Enrolled Courses">
+          <thead>
+            <tr><th>Course Listing</th><th>Instructor</th><th>Meeting Patterns</th><th>Registration Status</th><th>Start Date</th><th>End Date</th></tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td><a href="#"><div>BIOL 2960 - Principles of Biology</div></a></td>
+              <td>Dr. Lee</td>
+              <td><div>Mon/Wed | 10:00 AM - 11:20 AM | Rebstock, Room 215</div><div>Fri | 1:00 PM - 2:50 PM | Rebstock, Room 322</div></td>
+              <td>Registered</td>
+              <td>01/13/2025</td>
+              <td>05/02/2025</td>
+            </tr>
+          </tbody>
+        </table>
+        <script>var grid = "Course Listing";</script>
+      </body></html>`;
+
+    it('should detect saved pages and Chrome single-file archives', () => {
+      expect(ScheduleFile.detectFileFormat(toBytes(page))).toBe('html');
+      expect(ScheduleFile.detectFileFormat(toBytes('From: <Saved by Blink>\r\nMIME-Version: 1.0\r\nContent-Type: multipart/related;\r\n'))).toBe('mhtml');
+    });
+
+    it('should extract the course grid with one meeting pattern per line', () => {
+      const grids = ScheduleFile.readHTMLGrids(parseHTML(page));
+
+      expect(grids).toHaveLength(1);
+      expect(grids[0].name).toBe('My Enrolled Courses');
+      expect(grids[0].rows[1]).toEqual([
+        'BIOL 2960 - Principles of Biology',
+        'Dr. Lee',
+        'Mon/Wed | 10:00 AM - 11:20 AM | Rebstock, Room 215\nFri | 1:00 PM - 2:50 PM | Rebstock, Room 322',
+        'Registered',
+        '01/13/2025',
+        '05/02/2025'
+      ]);
+    });
+
+    it('should read ARIA grids without table markup', () => {
+      const grids = ScheduleFile.readHTMLGrids(parseHTML(`
+        <div role="grid">
+          <div role="row"><span role="columnheader">Course Listing</span><span role="columnheader">Meeting Patterns</span></div>
+          <div role="rowgroup">
+            <div role="row"><span role="gridcell">CSE 1301 - Intro</span><span role="gridcell">Tue/Thu | 9:00 AM - 10:20 AM</span></div>
+          </div>
+        </div>`));
+
+      expect(grids[0].rows).toEqual([
+        ['Course Listing', 'Meeting Patterns'],
+        ['CSE 1301 - Intro', 'Tue/Thu | 9:00 AM - 10:20 AM']
+      ]);
+    });
+
+    it('should parse a saved page like an exported sheet', () => {
+      const { format, sheets } = ScheduleFile.readScheduleFile(XLSX, toBytes(page), 'View My Courses.html', { parseHTML });
+      const { courses } = ScheduleModel.parseSheets(sheets);
+
+      expect(format).toBe('html');
+      expect(sheets[0].name).toBe('View My Courses');
+      expect(courses).toHaveLength(1);
+      expect(courses[0].meetings.map(meeting => meeting.days)).toEqual(['Monday/Wednesday', 'Friday']);
+      expect(courses[0].startDate).toBe('2025-01-13');
+    });
+
+    it('should read the page inside an .mhtml archive', () => {
+      const mhtml = [
+        'From: <Saved by Blink>',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/related; type="text/html"; boundary="----Boundary--"',
+        '',
+        '------Boundary--',
+        'Content-Type: text/html',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        page.replace(/=/g, '=3D').replace(/aria-label/, 'aria-=\r\nlabel'),
+        '------Boundary----',
+        ''
+      ].join('\r\n');
+
+      const { format, sheets } = ScheduleFile.readScheduleFile(XLSX, toBytes(mhtml), 'courses.mhtml', { parseHTML });
+
+      expect(format).toBe('mhtml');
+      expect(sheets[0].rows[1][0]).toBe('BIOL 2960 - Principles of Biology');
+    });
+
+    it('should explain when no parser or schedule table is available', () => {
+      expect(() => ScheduleFile.readScheduleFile(XLSX, toBytes(page), 'page.html'))
+        .toThrow('web pages can only be imported in the browser');
+      expect(() => ScheduleFile.readScheduleFile(XLSX, toBytes('<html><body><p>Hello</p></body></html>'), 'page.html', { parseHTML }))
+        .toThrow('No schedule table found in page.html');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const ScheduleSummary = require('../../scripts/shared/schedule-summary');
+
+describe('Schedule Summary', () => {
+  const courses = [
+    {
+      title: 'CSE 4501 - Video Game Programming II',
+      credits: 3,
+      meetings: [
+        { days: 'Monday/Wednesday', time: '9:00 AM', endTime: '10:15 AM', location: '' },
+        { days: 'Friday', time: '1:00 PM', endTime: '2:50 PM', location: '' }
+      ]
+    },
+    { title: 'BIOL 2960 - Principles of Biology', credits: 4, days: 'Monday', time: '1:00 PM', endTime: '2:20 PM' },
+    { title: 'PHIL 3400 - Ethics', days: 'Tuesday', time: '6:00 PM', endTime: '7:30 PM' },
+    { title: 'CSE 1301 - Online', credits: 3, days: '', time: '', endTime: '', unscheduled: true }
+  ];
+
+  describe('summarizeSchedule', () => {
+    const summary = ScheduleSummary.summarizeSchedule(courses);
+
+    it('should total credits and note courses without them', () => {
+      expect(summary.courseCount).toBe(4);
+      expect(summary.totalCredits).toBe(10);
+      expect(summary.coursesWithoutCredits).toBe(1);
+    });
+
+    it('should add up weekly contact time from every scheduled meeting', () => {
+      // 2 x 75 + 110 + 80 + 90 minutes; the online course adds nothing
+      expect(summary.weeklyContactMinutes).toBe(430);
+      expect(summary.weeklyContactHours).toBe(7.17);
+    });
+
+    it('should report the load of each day, Monday first', () => {
+      expect(summary.days).toEqual([
+        { day: 'Monday', meetingCount: 2, minutes: 155, firstStart: '9:00 AM', lastEnd: '2:20 PM' },
+        { day: 'Tuesday', meetingCount: 1, minutes: 90, firstStart: '6:00 PM', lastEnd: '7:30 PM' },
+        { day: 'Wednesday', meetingCount: 1, minutes: 75, firstStart: '9:00 AM', lastEnd: '10:15 AM' },
+        { day: 'Friday', meetingCount: 1, minutes: 110, firstStart: '1:00 PM', lastEnd: '2:50 PM' }
+      ]);
+    });
+
+    it('should find the earliest start, latest end and longest gap', () => {
+      expect(summary.earliestStart).toEqual({ day: 'Monday', time: '9:00 AM', course: 'CSE 4501 - Video Game Programming II' });
+      expect(summary.latestEnd).toEqual({ day: 'Tuesday', time: '7:30 PM', course: 'PHIL 3400 - Ethics' });
+      expect(summary.longestGap).toEqual({
+        day: 'Monday',
+        minutes: 165,
+        from: '10:15 AM',
+        to: '1:00 PM',
+        after: 'CSE 4501 - Video Game Programming II',
+        before: 'BIOL 2960 - Principles of Biology'
+      });
+    });
+
+    it('should not count overlapping classes as a gap', () => {
+      const overlapping = ScheduleSummary.summarizeSchedule([
+        { title: 'A', days: 'Monday', time: '9:00 AM', endTime: '12:00 PM' },
+        { title: 'B', days: 'Monday', time: '10:00 AM', endTime: '11:00 AM' },
+        { title: 'C', days: 'Monday', time: '1:00 PM', endTime: '2:00 PM' }
+      ]);
+
+      expect(overlapping.longestGap).toMatchObject({ minutes: 60, from: '12:00 PM', after: 'A', before: 'C' });
+    });
+
+    it('should summarize an empty schedule', () => {
+      expect(ScheduleSummary.summarizeSchedule([])).toEqual({
+        courseCount: 0,
+        totalCredits: 0,
+        coursesWithoutCredits: 0,
+        weeklyContactMinutes: 0,
+        weeklyContactHours: 0,
+        days: [],
+        earliestStart: null,
+        latestEnd: null,
+        longestGap: null
+      });
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format hours and minutes', () => {
+      expect(ScheduleSummary.formatDuration(165)).toBe('2h 45m');
+      expect(ScheduleSummary.formatDuration(60)).toBe('1h');
+      expect(ScheduleSummary.formatDuration(50)).toBe('50m');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const path = require('path');
+const fs = require('fs');
+const ScheduleModel = require('../../scripts/shared/schedule-model');
+
+describe('Source Adapters', () => {
+  // Days and times in separate columns, as some systems export them
+  const exampleAdapter = {
+    id: 'example',
+    name: 'Example SIS',
+    headerKeywords: ['Class', 'Days', 'Times'],
+    columnFields: [
+      { key: 'courseListing', label: 'Class', required: true, keywords: ['class'] },
+      { key: 'days', label: 'Days', required: true, keywords: ['days'] },
+      { key: 'times', label: 'Times', required: true, keywords: ['times'] },
+      { key: 'instructor', label: 'Instructor', required: false, keywords: ['instructor'] }
+    ],
+    readRow(row, columnMap) {
+      const cell = key => ScheduleModel.getCellValue(row, columnMap[key]);
+      return {
+        courseListing: cell('courseListing'),
+        meetingPatterns: `${cell('days')} | ${cell('times')}`,
+        instructor: cell('instructor')
+      };
+    },
+    parseMeetingPattern(text) {
+      const [days, times] = text.split('|').map(part => part.trim());
+      const match = (times || '').match(/(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M)/);
+      return {
+        days: ScheduleModel.parseDays(days || ''),
+        startTime: match ? match[1] : null,
+        endTime: match ? match[2] : null,
+        location: '',
+        startDate: null,
+        endDate: null
+      };
+    },
+    getListingSkipReason(listing) {
+      return listing === 'Total' ? 'totals row' : null;
+    }
+  };
+
+  const exampleRows = [
+    ['Class', 'Days', 'Times', 'Instructor'],
+    ['CHEM 1110 - General Chemistry', 'Mon/Wed/Fri', '9:00 AM - 9:50 AM', 'Dr. Park'],
+    ['Total', '', '', '']
+  ];
+
+  const workdayRows = [
+    ['Course Listing', 'Instructor', 'Meeting Patterns'],
+    ['CSE 4501 - Video Game Programming II', 'Dr. Smith', 'Mon/Wed | 5:30 PM - 7:00 PM | RIDGLEY, Room 00016']
+  ];
+
+  beforeAll(() => {
+    ScheduleModel.registerAdapter(exampleAdapter);
+  });
+
+  it('should list Workday first, then registered adapters', () => {
+    expect(ScheduleModel.getAdapters().map(adapter => adapter.id)).toEqual(['workday', 'example']);
+    expect(ScheduleModel.getAdapter('example').headerKeywords).toEqual(['class', 'days', 'times']);
+    expect(ScheduleModel.getAdapter('missing')).toBeNull();
+  });
+
+  it('should detect the adapter from the header row', () => {
+    expect(ScheduleModel.detectAdapter(exampleRows).id).toBe('example');
+    expect(ScheduleModel.detectAdapter(workdayRows).id).toBe('workday');
+    // Nothing recognizable falls back to Workday
+    expect(ScheduleModel.detectAdapter([['Name'], ['Not a course']]).id).toBe('workday');
+  });
+
+  it('should parse rows through the detected adapter', () => {
+    const { courses, diagnostics, adapter, warnings } = ScheduleModel.parseSchedule(exampleRows);
+
+    expect(adapter).toBe('example');
+    expect(warnings).toEqual(['CHEM 1110 - General Chemistry: missing start or end date']);
+    expect(courses).toHaveLength(1);
+    expect(courses[0]).toMatchObject({
+      title: 'CHEM 1110 - General Chemistry',
+      days: 'Monday/Wednesday/Friday',
+      time: '9:00 AM',
+      endTime: '9:50 AM',
+      instructor: 'Dr. Park'
+    });
+    expect(diagnostics[1].reason).toBe('totals row');
+  });
+
+  it('should use an explicitly chosen adapter and name it in warnings', () => {
+    const { courses, warnings, adapter } = ScheduleModel.parseSchedule(workdayRows, { adapter: 'example' });
+
+    expect(adapter).toBe('example');
+    expect(courses).toEqual([]);
+    expect(warnings[0]).toBe('No Example SIS header row (Class, Days, Times) found; guessing columns from the first row');
+  });
+
+  it('should read a column mapping with the adapter it was made for', () => {
+    const rows = [
+      ['Section', 'When', 'Hours'],
+      ['CHEM 1110 - General Chemistry', 'Tue/Thu', '1:00 PM - 2:15 PM']
+    ];
+    const { courses } = ScheduleModel.parseSchedule(rows, {
+      columnMapping: { headerRow: 0, columnMap: { courseListing: 0, days: 1, times: 2 }, adapter: 'example' }
+    });
+
+    expect(courses[0].days).toBe('Tuesday/Thursday');
+    expect(courses[0].time).toBe('1:00 PM');
+  });
+
+  it('should reject incomplete adapters', () => {
+    expect(() => ScheduleModel.registerAdapter({ id: 'broken', name: 'Broken' }))
+      .toThrow('Source adapter is missing columnFields, headerKeywords, parseMeetingPattern');
+    expect(() => ScheduleModel.registerAdapter(Object.assign({}, exampleAdapter, { id: 'nolisting', columnFields: [] })))
+      .toThrow('Source adapter "nolisting" has no courseListing column');
+  });
+
+  it('should register every adapter listed in the adapters index', () => {
+    const adaptersDir = path.join(__dirname, '../../scripts/shared/adapters');
+    const entries = JSON.parse(fs.readFileSync(path.join(adaptersDir, 'index.json'), 'utf8'));
+
+    entries.forEach(entry => {
+      require(path.join(adaptersDir, entry.script));
+      expect(ScheduleModel.getAdapter(entry.id)).not.toBeNull();
+    });
+  });
+});
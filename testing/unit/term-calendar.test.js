@@ -0,0 +1,149 @@
+const TermCalendar = require('../../scripts/shared/term-calendar');
+const washuCalendar = require('../../public/institutions/washu/term-calendar.json');
+
+describe('Term Calendar', () => {
+  describe('normalizeTermCalendar', () => {
+    it('should normalize dates and drop unreadable entries', () => {
+      const calendar = TermCalendar.normalizeTermCalendar({
+        name: 'Test Term',
+        holidays: ['1/20/2025', { date: 'not a date', name: 'Broken' }],
+        breaks: [
+          { start: '2025-03-09', end: '2025-03-15', name: 'Spring Break' },
+          { start: '2025-03-15', end: '2025-03-09' }
+        ]
+      });
+
+      expect(calendar.name).toBe('Test Term');
+      expect(calendar.holidays).toEqual([{ date: '2025-01-20', name: 'Holiday' }]);
+      expect(calendar.breaks).toEqual([{ start: '2025-03-09', end: '2025-03-15', name: 'Spring Break' }]);
+    });
+
+    it('should return an empty calendar for missing data', () => {
+      expect(TermCalendar.normalizeTermCalendar(null)).toEqual({ name: '', holidays: [], breaks: [], startDate: null, endDate: null });
+    });
+
+    it('should leave out entries past the size limits', () => {
+      const holidays = Array.from({ length: TermCalendar.MAX_ENTRIES + 5 }, () => '2025-01-20');
+      const calendar = TermCalendar.normalizeTermCalendar({
+        holidays,
+        breaks: [
+          { start: '2025-03-10', end: '2025-03-14', name: 'Spring Break' },
+          { start: '2000-01-01', end: '2099-12-31', name: 'Forever' }
+        ]
+      });
+
+      expect(calendar.holidays).toHaveLength(TermCalendar.MAX_ENTRIES);
+      expect(calendar.breaks.map(range => range.name)).toEqual(['Spring Break']);
+    });
+  });
+
+  describe('getCoverageWarnings', () => {
+    const fall = { title: 'CSE 4501', startDate: '2026-08-24', endDate: '2026-12-04' };
+    const spring = { title: 'MATH 2200', startDate: '2026-01-12', endDate: '2026-05-01' };
+
+    it('should warn about courses past the dates the calendar covers', () => {
+      const calendar = TermCalendar.normalizeTermCalendar(washuCalendar);
+
+      expect(TermCalendar.getCalendarCoverage(calendar)).toEqual({ startDate: '2025-01-01', endDate: '2026-05-31' });
+      expect(TermCalendar.getCoverageWarnings([fall, spring], calendar)).toEqual([
+        'CSE 4501: runs 2026-08-24 to 2026-12-04, outside WashU academic calendar (2025-01-01 to 2026-05-31); holidays and breaks there are not skipped'
+      ]);
+    });
+
+    it('should use the first and last day off when the calendar names no dates', () => {
+      const calendar = TermCalendar.normalizeTermCalendar({
+        holidays: ['2026-01-19'],
+        breaks: [{ start: '2026-03-08', end: '2026-03-14', name: 'Spring Break' }]
+      });
+
+      expect(TermCalendar.getCalendarCoverage(calendar)).toEqual({ startDate: '2026-01-19', endDate: '2026-03-14' });
+      expect(TermCalendar.getCoverageWarnings([spring], null)).toEqual([]);
+      expect(TermCalendar.getCalendarCoverage(TermCalendar.normalizeTermCalendar({}))).toBeNull();
+    });
+  });
+
+  describe('getTermCalendarError', () => {
+    it('should accept a calendar within the limits', () => {
+      expect(TermCalendar.getTermCalendarError({ holidays: ['2025-01-20'], breaks: [] })).toBeNull();
+    });
+
+    it('should reject too many entries or a break that is too long', () => {
+      const holidays = Array.from({ length: TermCalendar.MAX_ENTRIES + 1 }, () => '2025-01-20');
+
+      expect(TermCalendar.getTermCalendarError({ holidays })).toBe(`Term calendar has more than ${TermCalendar.MAX_ENTRIES} holidays`);
+      expect(TermCalendar.getTermCalendarError({ breaks: [{ start: '2000-01-01', end: '2099-12-31', name: 'Forever' }] }))
+        .toBe(`Break "Forever" is longer than ${TermCalendar.MAX_BREAK_DAYS} days`);
+      expect(TermCalendar.getTermCalendarError('2025')).toBe('Term calendar must be an object');
+    });
+  });
+
+  describe('parseAcademicCalendarICS', () => {
+    it('should read all-day events as holidays and breaks', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'X-WR-CALNAME:Academic Calendar',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250120',
+        'DTEND;VALUE=DATE:20250121',
+        'SUMMARY:MLK Day\\, no classes',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250309',
+        'DTEND;VALUE=DATE:20250316',
+        'SUMMARY:Spring',
+        '  Break',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20250401T090000',
+        'SUMMARY:Advising Day',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const calendar = TermCalendar.parseAcademicCalendarICS(ics);
+
+      expect(calendar.name).toBe('Academic Calendar');
+      expect(calendar.holidays).toEqual([{ date: '2025-01-20', name: 'MLK Day, no classes' }]);
+      expect(calendar.breaks).toEqual([{ start: '2025-03-09', end: '2025-03-15', name: 'Spring Break' }]);
+    });
+  });
+
+  describe('getExcludedDates', () => {
+    it('should return meeting days that fall on holidays or breaks', () => {
+      const course = { days: 'Monday/Wednesday', startDate: '2025-01-13', endDate: '2025-05-02' };
+      const calendar = TermCalendar.normalizeTermCalendar(washuCalendar);
+
+      expect(TermCalendar.getExcludedDates(course, calendar)).toEqual(['2025-01-20', '2025-03-10', '2025-03-12']);
+    });
+
+    it('should return no dates without a term calendar', () => {
+      const course = { days: 'Monday', startDate: '2025-01-13', endDate: '2025-05-02' };
+      expect(TermCalendar.getExcludedDates(course, null)).toEqual([]);
+    });
+
+    it('should only look at the days off, however long the course runs', () => {
+      const course = { days: 'Monday', startDate: '1900-01-01', endDate: '9999-12-31' };
+      const calendar = TermCalendar.normalizeTermCalendar({
+        holidays: ['2025-01-20', '2025-01-21'],
+        breaks: [{ start: '2025-03-08', end: '2025-03-16', name: 'Spring Break' }]
+      });
+
+      expect(TermCalendar.getExcludedDates(course, calendar)).toEqual(['2025-01-20', '2025-03-10']);
+    });
+  });
+
+  describe('buildExdateLine', () => {
+    it('should build a floating EXDATE line', () => {
+      expect(TermCalendar.buildExdateLine(['2025-01-20'], '9:00 AM')).toBe('EXDATE:20250120T090000');
+    });
+
+    it('should add TZID when a time zone is given', () => {
+      expect(TermCalendar.buildExdateLine(['2025-01-20', '2025-03-10'], '1:30 PM', 'America/Chicago'))
+        .toBe('EXDATE;TZID=America/Chicago:20250120T133000,20250310T133000');
+    });
+
+    it('should return null when there are no dates', () => {
+      expect(TermCalendar.buildExdateLine([], '9:00 AM')).toBeNull();
+    });
+  });
+});
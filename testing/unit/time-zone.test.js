@@ -0,0 +1,56 @@
+const TimeZone = require('../../scripts/shared/time-zone');
+
+describe('Time Zone', () => {
+  describe('isValidTimeZone', () => {
+    it('should accept IANA time zone names', () => {
+      expect(TimeZone.isValidTimeZone('America/New_York')).toBe(true);
+      expect(TimeZone.isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown or missing names', () => {
+      expect(TimeZone.isValidTimeZone('Not/AZone')).toBe(false);
+      expect(TimeZone.isValidTimeZone('')).toBe(false);
+      expect(TimeZone.isValidTimeZone(null)).toBe(false);
+    });
+  });
+
+  describe('normalizeTimeZone', () => {
+    it('should fall back to America/Chicago', () => {
+      expect(TimeZone.normalizeTimeZone('Not/AZone')).toBe('America/Chicago');
+      expect(TimeZone.normalizeTimeZone('Europe/Paris')).toBe('Europe/Paris');
+    });
+  });
+
+  describe('getTimeZoneOffset', () => {
+    it('should return standard and daylight offsets in minutes', () => {
+      expect(TimeZone.getTimeZoneOffset('America/Chicago', Date.UTC(2025, 0, 15))).toBe(-360);
+      expect(TimeZone.getTimeZoneOffset('America/Chicago', Date.UTC(2025, 6, 15))).toBe(-300);
+      expect(TimeZone.getTimeZoneOffset('Asia/Kolkata', Date.UTC(2025, 0, 15))).toBe(330);
+    });
+  });
+
+  describe('buildVTimezone', () => {
+    it('should describe both DST changes in a year', () => {
+      const lines = TimeZone.buildVTimezone('America/Chicago', 2025);
+
+      expect(lines[0]).toBe('BEGIN:VTIMEZONE');
+      expect(lines[1]).toBe('TZID:America/Chicago');
+      expect(lines[lines.length - 1]).toBe('END:VTIMEZONE');
+
+      const daylightStart = lines.indexOf('BEGIN:DAYLIGHT');
+      expect(lines.slice(daylightStart + 1, daylightStart + 4)).toEqual([
+        'DTSTART:20250309T020000',
+        'TZOFFSETFROM:-0600',
+        'TZOFFSETTO:-0500'
+      ]);
+      expect(lines).toContain('DTSTART:20251102T020000');
+    });
+
+    it('should use a single STANDARD component for zones without DST', () => {
+      const lines = TimeZone.buildVTimezone('Asia/Tokyo', 2025);
+
+      expect(lines.filter(line => line.startsWith('BEGIN:'))).toEqual(['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+      expect(lines).toContain('TZOFFSETTO:+0900');
+    });
+  });
+});
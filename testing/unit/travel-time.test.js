@@ -0,0 +1,157 @@
+const TravelTime = require('../../scripts/shared/travel-time');
+const BuildingDirectory = require('../../scripts/shared/building-directory');
+const washuTravelTimes = require('../../public/institutions/washu/travel-times.json');
+
+describe('Travel Time', () => {
+  const directory = BuildingDirectory.normalizeDirectory([
+    { code: 'RIDGLEY', name: 'Ridgley Hall' },
+    { code: 'REBSTOCK', name: 'Rebstock Hall' },
+    { code: 'URBAUER', name: 'Urbauer Hall', aliases: ['URB'] }
+  ]);
+  const table = TravelTime.normalizeTravelTable({
+    defaultMinutes: 10,
+    walkingMinutes: [
+      { from: 'RIDGLEY', to: 'Rebstock Hall', minutes: 8 },
+      { from: 'URB', to: 'RIDGLEY', minutes: 6 },
+      { from: 'RIDGLEY', to: 'NOWHERE', minutes: 'far' }
+    ]
+  });
+
+  describe('normalizeTravelTable', () => {
+    it('should store both directions and drop invalid entries', () => {
+      expect(table).toEqual({
+        defaultMinutes: 10,
+        minutes: {
+          'RIDGLEY|REBSTOCKHALL': 8,
+          'REBSTOCKHALL|RIDGLEY': 8,
+          'URB|RIDGLEY': 6,
+          'RIDGLEY|URB': 6
+        }
+      });
+    });
+
+    it('should read the bundled WashU walking times', () => {
+      expect(TravelTime.normalizeTravelTable(washuTravelTimes).defaultMinutes).toBe(8);
+    });
+  });
+
+  describe('getTravelMinutes', () => {
+    it('should look buildings up by any directory name, in either direction', () => {
+      expect(TravelTime.getTravelMinutes('RIDGLEY, Room 00016', 'REBSTOCK, Room 215', directory, table)).toBe(8);
+      expect(TravelTime.getTravelMinutes('Rebstock Hall 110', 'Ridgley Hall 16', directory, table)).toBe(8);
+      expect(TravelTime.getTravelMinutes('Urbauer Hall, Room 2', 'RIDGLEY, Room 16', directory, table)).toBe(6);
+    });
+
+    it('should need no travel within one building and fall back to the default otherwise', () => {
+      expect(TravelTime.getTravelMinutes('RIDGLEY, Room 16', 'Ridgley Hall, Room 200', directory, table)).toBe(0);
+      expect(TravelTime.getTravelMinutes('REBSTOCK, Room 1', 'Life Sciences, Room 101', directory, table)).toBe(10);
+      expect(TravelTime.getTravelMinutes('REBSTOCK, Room 1', 'Life Sciences, Room 101', directory, null)).toBeNull();
+      expect(TravelTime.getTravelMinutes('', 'RIDGLEY', directory, table)).toBeNull();
+    });
+  });
+
+  describe('getTravelLegs and findTravelConflicts', () => {
+    const courses = [
+      {
+        id: 1,
+        title: 'CSE 4501',
+        days: 'Monday/Wednesday',
+        time: '9:00 AM',
+        endTime: '10:15 AM',
+        location: 'RIDGLEY, Room 00016',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02'
+      },
+      {
+        id: 2,
+        title: 'BIOL 2960',
+        days: 'Monday',
+        time: '10:20 AM',
+        endTime: '11:10 AM',
+        location: 'REBSTOCK, Room 215',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02'
+      },
+      {
+        id: 3,
+        title: 'PHIL 3400',
+        days: 'Wednesday',
+        time: '11:00 AM',
+        endTime: '12:00 PM',
+        location: 'URBAUER, Room 2',
+        startDate: '2025-03-10',
+        endDate: '2025-05-02'
+      },
+      {
+        id: 4,
+        title: 'CSE 1301',
+        days: 'Monday',
+        time: '11:30 AM',
+        endTime: '12:20 PM',
+        location: 'Rebstock Hall, Room 110',
+        startDate: '2025-01-13',
+        endDate: '2025-05-02'
+      }
+    ];
+
+    it('should list every walk between consecutive classes in different buildings', () => {
+      const legs = TravelTime.getTravelLegs(courses, directory, table);
+
+      expect(legs).toHaveLength(2);
+      expect(legs[0]).toEqual({
+        day: 'Monday',
+        from: { courseId: '1', title: 'CSE 4501', meetingIndex: 0, location: 'RIDGLEY, Room 00016', building: 'Ridgley Hall', registrationStatus: '' },
+        to: { courseId: '2', title: 'BIOL 2960', meetingIndex: 0, location: 'REBSTOCK, Room 215', building: 'Rebstock Hall', registrationStatus: '' },
+        fromEnd: '10:15 AM',
+        toStart: '10:20 AM',
+        gapMinutes: 5,
+        travelMinutes: 8,
+        startDate: '2025-01-13',
+        endDate: '2025-05-02'
+      });
+      // Only while both classes meet
+      expect(legs[1]).toMatchObject({ day: 'Wednesday', gapMinutes: 45, travelMinutes: 6, startDate: '2025-03-10', endDate: '2025-05-02' });
+    });
+
+    it('should flag only the walks longer than the gap', () => {
+      const conflicts = TravelTime.findTravelConflicts(courses, directory, table);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].to.title).toBe('BIOL 2960');
+    });
+
+    it('should skip overlapping classes and classes in different halves of the term', () => {
+      const legs = TravelTime.getTravelLegs([
+        { id: 1, title: 'A', days: 'Tuesday', time: '9:00 AM', endTime: '10:00 AM', location: 'RIDGLEY 1', startDate: '2025-01-13', endDate: '2025-03-07' },
+        { id: 2, title: 'B', days: 'Tuesday', time: '10:00 AM', endTime: '11:00 AM', location: 'REBSTOCK 1', startDate: '2025-03-10', endDate: '2025-05-02' },
+        { id: 3, title: 'C', days: 'Thursday', time: '9:00 AM', endTime: '10:00 AM', location: 'RIDGLEY 1', startDate: '2025-01-13', endDate: '2025-05-02' },
+        { id: 4, title: 'D', days: 'Thursday', time: '9:30 AM', endTime: '11:00 AM', location: 'REBSTOCK 1', startDate: '2025-01-13', endDate: '2025-05-02' }
+      ], directory, table);
+
+      expect(legs).toEqual([]);
+    });
+
+    it('should walk from the latest earlier class that meets in the same weeks', () => {
+      const legs = TravelTime.getTravelLegs([
+        { id: 1, title: 'A', days: 'Friday', time: '9:00 AM', endTime: '10:00 AM', location: 'RIDGLEY 1', startDate: '2025-01-13', endDate: '2025-05-02' },
+        { id: 2, title: 'B', days: 'Friday', time: '10:10 AM', endTime: '11:00 AM', location: 'URBAUER 1', startDate: '2025-01-13', endDate: '2025-03-07' },
+        { id: 3, title: 'C', days: 'Friday', time: '11:10 AM', endTime: '12:00 PM', location: 'REBSTOCK 1', startDate: '2025-03-10', endDate: '2025-05-02' }
+      ], directory, table);
+
+      expect(legs.map(leg => [leg.from.title, leg.to.title, leg.gapMinutes, leg.startDate, leg.endDate])).toEqual([
+        ['A', 'B', 10, '2025-01-13', '2025-03-07'],
+        ['A', 'C', 70, '2025-03-10', '2025-05-02']
+      ]);
+    });
+  });
+
+  describe('getTravelBuffer', () => {
+    it('should block the walk right before the next class, within the gap', () => {
+      expect(TravelTime.getTravelBuffer({ toStart: '11:00 AM', gapMinutes: 45, travelMinutes: 6 }))
+        .toEqual({ time: '10:54 AM', endTime: '11:00 AM', minutes: 6 });
+      expect(TravelTime.getTravelBuffer({ toStart: '10:20 AM', gapMinutes: 5, travelMinutes: 8 }))
+        .toEqual({ time: '10:15 AM', endTime: '10:20 AM', minutes: 5 });
+      expect(TravelTime.getTravelBuffer({ toStart: '10:00 AM', gapMinutes: 0, travelMinutes: 8 })).toBeNull();
+    });
+  });
+});
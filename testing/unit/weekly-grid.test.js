@@ -0,0 +1,85 @@
+const WeeklyGrid = require('../../scripts/shared/weekly-grid');
+
+describe('Weekly Grid', () => {
+  const courses = [
+    {
+      title: 'CSE 4501 - Video Game Programming II',
+      startDate: '2025-08-25',
+      endDate: '2025-12-05',
+      meetings: [
+        { days: 'Monday/Wednesday', time: '9:00 AM', endTime: '10:15 AM', location: 'RIDGLEY, Room 00016' },
+        { days: 'Monday', time: '1:00 PM', endTime: '2:50 PM', location: 'Urbauer 116', startDate: '2025-10-20', endDate: '2025-12-05' }
+      ]
+    },
+    { title: 'BIOL 2960 - Principles of Biology', days: 'Monday', time: '9:30 AM', endTime: '10:20 AM', location: '' },
+    { title: 'MATH 2200 - Calculus III', days: 'Monday', time: '10:00 AM', endTime: '11:00 AM', location: '' },
+    {
+      title: 'CSE 1301 - Online',
+      unscheduled: true,
+      meetings: [{ days: '', time: '', endTime: '', location: '', unscheduled: true, pattern: 'Online' }]
+    }
+  ];
+
+  const grid = WeeklyGrid.buildWeeklyGrid(courses);
+  const day = name => grid.days.find(entry => entry.day === name);
+
+  it('should list every day Monday to Sunday', () => {
+    expect(grid.days.map(entry => entry.day)).toEqual(
+      ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+    expect(day('Tuesday').blocks).toEqual([]);
+  });
+
+  it('should span whole hours from the first start to the last end', () => {
+    expect(grid.startMinutes).toBe(9 * 60);
+    expect(grid.endMinutes).toBe(15 * 60);
+  });
+
+  it('should position and size blocks by their times', () => {
+    const block = day('Wednesday').blocks[0];
+
+    expect(block).toMatchObject({
+      courseIndex: 0,
+      meetingIndex: 0,
+      title: 'CSE 4501 - Video Game Programming II',
+      location: 'RIDGLEY, Room 00016',
+      time: '9:00 AM',
+      endTime: '10:15 AM',
+      startMinutes: 540,
+      endMinutes: 615,
+      column: 0,
+      columnCount: 1,
+      startDate: null,
+      endDate: null
+    });
+  });
+
+  it('should put overlapping classes side by side', () => {
+    const monday = day('Monday').blocks;
+
+    expect(monday.map(block => [block.title.slice(0, 9), block.column, block.columnCount])).toEqual([
+      ['CSE 4501 ', 0, 3],
+      ['BIOL 2960', 1, 3],
+      ['MATH 2200', 2, 3],
+      ['CSE 4501 ', 0, 1]
+    ]);
+  });
+
+  it('should keep the dates of half-term meetings', () => {
+    const afternoon = day('Monday').blocks[3];
+
+    expect(afternoon.startDate).toBe('2025-10-20');
+    expect(afternoon.endDate).toBe('2025-12-05');
+  });
+
+  it('should list meetings with no time separately', () => {
+    expect(grid.unscheduled).toEqual([{ courseIndex: 3, title: 'CSE 1301 - Online', pattern: 'Online' }]);
+  });
+
+  it('should show working hours for an empty schedule', () => {
+    const empty = WeeklyGrid.buildWeeklyGrid([]);
+
+    expect(empty.startMinutes).toBe(8 * 60);
+    expect(empty.endMinutes).toBe(17 * 60);
+    expect(empty.unscheduled).toEqual([]);
+  });
+});